@@ -1,15 +1,21 @@
 /**
  * Authentication service for handling OAuth and PKCE flows
  */
+import AppConfig from "./services/config.server";
+
+// Token refreshes in flight per conversation, shared by concurrent tool calls
+const pendingRefreshes = new Map();
+
+// Authorization requests being created per conversation, shared by concurrent tool calls
+const pendingAuthRequests = new Map();
 
 /**
  * Generate authorization URL for the customer
  * @param {string} conversationId - The conversation ID to track the auth flow
+ * @param {string} shop - The shop domain the conversation belongs to
  * @returns {Promise<Object>} - Object containing the auth URL and conversation ID
  */
-export async function generateAuthUrl(conversationId, shopId) {
-  const { storeCodeVerifier } = await import('./db.server');
-
+export async function generateAuthUrl(conversationId, shop) {
   // Generate authorization URL for the customer
   const clientId = process.env.SHOPIFY_API_KEY;
   const scope = "customer-account-mcp-api:full";
@@ -18,23 +24,17 @@ export async function generateAuthUrl(conversationId, shopId) {
   // Use the actual app URL for redirect
   const redirectUri = process.env.REDIRECT_URL;
 
-  // Include the conversation ID and shop ID in the state parameter for tracking
-  const state = `${conversationId}-${shopId}`;
-
-  // Generate code verifier and challenge
-  const verifier = generateCodeVerifier();
-  const challenge = await generateCodeChallenge(verifier);
-
-  // Store the code verifier in the database
-  try {
-    await storeCodeVerifier(state, verifier);
-  } catch (error) {
-    console.error('Failed to store code verifier:', error);
+  // Tool calls of one turn that all need the customer to log in share one request
+  const key = `${shop}:${conversationId}`;
+  if (!pendingAuthRequests.has(key)) {
+    pendingAuthRequests.set(key, getAuthRequest(conversationId, shop).finally(() => pendingAuthRequests.delete(key)));
   }
+  const { state, verifier } = await pendingAuthRequests.get(key);
+  const challenge = await generateCodeChallenge(verifier);
 
   // Set code_challenge and code_challenge_method parameters
   const codeChallengeMethod = "S256";
-  const baseAuthUrl = await getBaseAuthUrl(conversationId, shopId);
+  const baseAuthUrl = await getBaseAuthUrl(conversationId, shop);
 
   if (!baseAuthUrl) {
     throw new Error('Base auth URL not found');
@@ -42,7 +42,7 @@ export async function generateAuthUrl(conversationId, shopId) {
 
 
   // Construct the authorization URL with hardcoded shop ID
-  const authUrl = `${baseAuthUrl}?client_id=${clientId}&scope=${encodeURIComponent(scope)}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=${responseType}&state=${state}&code_challenge=${challenge}&code_challenge_method=${codeChallengeMethod}`;
+  const authUrl = `${baseAuthUrl}?client_id=${clientId}&scope=${encodeURIComponent(scope)}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=${responseType}&state=${encodeURIComponent(state)}&code_challenge=${challenge}&code_challenge_method=${codeChallengeMethod}`;
 
   return {
     url: authUrl,
@@ -50,15 +50,63 @@ export async function generateAuthUrl(conversationId, shopId) {
   };
 }
 
+/**
+ * Get the state and code verifier of a conversation's authorization request.
+ * A pending request is reused, so every sign-in link shown in the
+ * conversation works, otherwise a new one is stored.
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} - The state and code verifier
+ * @throws {Error} If the request cannot be stored, as a link without it could never complete
+ */
+async function getAuthRequest(conversationId, shop) {
+  const { getPendingCodeVerifier, storeCodeVerifier } = await import('./db.server');
+
+  const pending = await getPendingCodeVerifier(conversationId, shop, AppConfig.customerAuth.authRequestReuseMarginMs);
+  if (pending) {
+    return { state: pending.state, verifier: pending.verifier };
+  }
+
+  // The state is random and only maps to the conversation on the server,
+  // so it cannot be guessed or forged for another conversation
+  const state = generateState();
+  const verifier = generateCodeVerifier();
+  await storeCodeVerifier(state, verifier, conversationId, shop);
+
+  return { state, verifier };
+}
+
 /**
  * Get the base auth URL from the customer MCP endpoint
  * @param {string} conversationId - The conversation ID to track the auth flow
- * @param {string} shopId - The shop ID to track the auth flow
+ * @param {string} shop - The shop domain
  * @returns {Promise<string|null>} - The base auth URL or null if not found
  */
-async function getBaseAuthUrl(conversationId, shopId) {
+async function getBaseAuthUrl(conversationId, shop) {
+  const metadata = await getAuthServerMetadata(conversationId, shop);
+  return metadata?.authorization_endpoint || null;
+}
+
+/**
+ * Get the token URL from the customer account URL
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
+ * @returns {Promise<string|null>} - The token URL or null if not found
+ */
+export async function getTokenUrl(conversationId, shop) {
+  const metadata = await getAuthServerMetadata(conversationId, shop);
+  return metadata?.token_endpoint || null;
+}
+
+/**
+ * Get the OAuth metadata of the customer account authorization server
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object|null>} - The metadata or null if not found
+ */
+async function getAuthServerMetadata(conversationId, shop) {
   const { getCustomerAccountUrl } = await import('./db.server');
-  const customerAccountUrl = await getCustomerAccountUrl(conversationId);
+  const customerAccountUrl = await getCustomerAccountUrl(conversationId, shop);
 
   if (!customerAccountUrl) {
     console.error('Customer account URL not found for conversation:', conversationId);
@@ -69,13 +117,197 @@ async function getBaseAuthUrl(conversationId, shopId) {
   const response = await fetch(endpoint);
 
   if (!response.ok) {
-    console.error('Failed to fetch base auth URL from:', endpoint, response.status);
+    console.error('Failed to fetch auth server metadata from:', endpoint, response.status);
+
+    return null;
+  }
+
+  return response.json();
+}
+
+/**
+ * Get a usable customer access token for a conversation. Tokens about to
+ * expire are refreshed silently, as is a token the customer MCP server
+ * rejected. Tokens whose grant was revoked are deleted, so the customer is
+ * asked to log in again.
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
+ * @param {string|null} rejectedToken - An access token the server rejected with a 401
+ * @returns {Promise<string|null>} - The access token or null if the customer has to log in
+ */
+export async function getCustomerAccessToken(conversationId, shop, rejectedToken = null) {
+  const { getCustomerTokenRecord } = await import('./db.server');
+  const token = await getCustomerTokenRecord(conversationId, shop);
+
+  if (!token) {
+    return null;
+  }
+
+  const expiresAt = token.expiresAt.getTime();
+  const isRejected = Boolean(rejectedToken) && token.accessToken === rejectedToken;
+
+  // Another call already replaced the rejected token
+  if (rejectedToken && !isRejected) {
+    return expiresAt > Date.now() ? token.accessToken : null;
+  }
+
+  if (!isRejected && expiresAt > Date.now() + AppConfig.customerAuth.tokenRefreshMarginMs) {
+    return token.accessToken;
+  }
+
+  const usableToken = !isRejected && expiresAt > Date.now() ? token.accessToken : null;
+  if (!token.refreshToken) {
+    return usableToken;
+  }
+
+  const key = `${shop}:${conversationId}`;
+  if (!pendingRefreshes.has(key)) {
+    pendingRefreshes.set(key, refreshCustomerToken(token).finally(() => pendingRefreshes.delete(key)));
+  }
 
+  const { accessToken, revoked } = await pendingRefreshes.get(key);
+  if (revoked) {
     return null;
   }
 
-  const data = await response.json();
-  return data.authorization_endpoint;
+  // Keep using the current token while the authorization server cannot be reached
+  return accessToken || usableToken;
+}
+
+/**
+ * Exchange a refresh token for a new access token and store it
+ * @param {Object} token - The stored customer token with its decrypted refresh token
+ * @returns {Promise<Object>} - The new access token, or revoked when the grant is no longer valid
+ */
+async function refreshCustomerToken(token) {
+  const { storeCustomerToken, deleteCustomerTokens } = await import('./db.server');
+  const { conversationId, shop } = token;
+
+  try {
+    const tokenUrl = await getTokenUrl(conversationId, shop);
+    if (!tokenUrl) {
+      return { accessToken: null, revoked: false };
+    }
+
+    const response = await fetch(tokenUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: new URLSearchParams({
+        grant_type: "refresh_token",
+        client_id: process.env.SHOPIFY_API_KEY || "",
+        refresh_token: token.refreshToken
+      })
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+
+      // The customer logged out or revoked access, the tokens are of no use anymore
+      if (body.error === "invalid_grant") {
+        console.log('Refresh token revoked for conversation:', conversationId);
+        await deleteCustomerTokens(conversationId, shop);
+        return { accessToken: null, revoked: true };
+      }
+
+      console.error('Token refresh failed:', response.status, body.error || '');
+      return { accessToken: null, revoked: false };
+    }
+
+    const data = await response.json();
+    const expiresAt = new Date(Date.now() + data.expires_in * 1000);
+
+    // Authorization servers may rotate the refresh token with every use
+    await storeCustomerToken(conversationId, shop, data.access_token, expiresAt,
+      data.refresh_token || token.refreshToken);
+
+    console.log('Refreshed customer token for conversation:', conversationId);
+    return { accessToken: data.access_token, revoked: false };
+  } catch (error) {
+    console.error('Error refreshing customer token:', error);
+    return { accessToken: null, revoked: false };
+  }
+}
+
+/**
+ * Disconnect the customer's account from a conversation. The tokens are
+ * revoked at the authorization server when it supports revocation, and are
+ * deleted either way, so the conversation continues anonymously.
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} - The removed access token, if any, and whether it was revoked
+ */
+export async function disconnectCustomer(conversationId, shop) {
+  const { getCustomerTokenRecord, deleteCustomerTokens } = await import('./db.server');
+
+  // A refresh in flight would store a new token after the old one is deleted
+  await pendingRefreshes.get(`${shop}:${conversationId}`);
+
+  const token = await getCustomerTokenRecord(conversationId, shop);
+  if (!token) {
+    return { accessToken: null, revoked: false };
+  }
+
+  const revoked = await revokeCustomerToken(token);
+  await deleteCustomerTokens(conversationId, shop);
+
+  console.log(`Disconnected customer account from conversation ${conversationId}, revoked: ${revoked}`);
+  return { accessToken: token.accessToken, revoked };
+}
+
+/**
+ * Revoke a customer's tokens at the authorization server (RFC 7009).
+ * Revoking the refresh token ends the grant, the access token is revoked
+ * as well for servers that do not revoke it along with the grant.
+ * @param {Object} token - The stored customer token with its decrypted tokens
+ * @returns {Promise<boolean>} - True if the server revoked the tokens
+ */
+async function revokeCustomerToken(token) {
+  try {
+    const metadata = await getAuthServerMetadata(token.conversationId, token.shop);
+    if (!metadata?.revocation_endpoint) {
+      return false;
+    }
+
+    const tokens = [
+      [token.refreshToken, "refresh_token"],
+      [token.accessToken, "access_token"]
+    ].filter(([value]) => value);
+
+    const responses = await Promise.all(tokens.map(([value, hint]) => fetch(metadata.revocation_endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: new URLSearchParams({
+        token: value,
+        token_type_hint: hint,
+        client_id: process.env.SHOPIFY_API_KEY || ""
+      })
+    })));
+
+    const failed = responses.find((response) => !response.ok);
+    if (failed) {
+      console.error('Token revocation failed:', failed.status);
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error revoking customer token:', error);
+    return false;
+  }
+}
+
+/**
+ * Generate an opaque state for an authorization request
+ * @returns {string} - The generated state
+ */
+export function generateState() {
+  const array = new Uint8Array(32);
+  crypto.getRandomValues(array);
+  return base64UrlEncode(convertBufferToString(array));
 }
 
 /**
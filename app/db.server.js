@@ -1,4 +1,8 @@
+import { randomUUID } from "node:crypto";
 import { PrismaClient } from "@prisma/client";
+import { createEncryptionService } from "./services/encryption.server";
+import { createAuthStatusService } from "./services/auth-status.server";
+import AppConfig from "./services/config.server";
 
 if (process.env.NODE_ENV !== "production") {
   if (!global.prismaGlobal) {
@@ -10,26 +14,185 @@ const prisma = global.prismaGlobal ?? new PrismaClient();
 
 export default prisma;
 
+// Created on first use, once the environment has been loaded
+let encryptionService;
+
+/**
+ * Encrypt a secret before it is stored
+ * @param {string|null} value - The secret
+ * @returns {string|null} - The encrypted secret
+ */
+function sealSecret(value) {
+  if (!value) {
+    return null;
+  }
+  encryptionService = encryptionService || createEncryptionService();
+  return encryptionService.encrypt(value);
+}
+
+/**
+ * Decrypt a stored secret. Secrets stored before they were encrypted are
+ * returned as they are until they are re-encrypted.
+ * @param {string|null} value - The stored secret
+ * @returns {string|null} - The secret, or null if it cannot be decrypted
+ */
+function openSecret(value) {
+  if (!value) {
+    return null;
+  }
+
+  encryptionService = encryptionService || createEncryptionService();
+  if (!encryptionService.isEncrypted(value)) {
+    return value;
+  }
+
+  try {
+    return encryptionService.decrypt(value);
+  } catch (error) {
+    console.warn('Could not decrypt stored secret:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Decrypt the tokens of a stored customer token
+ * @param {Object|null} token - The stored customer token
+ * @returns {Object|null} - The customer token with its tokens decrypted
+ */
+function openCustomerToken(token) {
+  const accessToken = openSecret(token?.accessToken);
+  // A token no configured key can read counts as no token
+  if (!accessToken) {
+    return null;
+  }
+  return { ...token, accessToken, refreshToken: openSecret(token.refreshToken) };
+}
+
+/**
+ * Decrypt the auth header value of a stored MCP server
+ * @param {Object|null} server - The stored MCP server
+ * @returns {Object|null} - The MCP server with its auth header value decrypted
+ */
+function openMcpServer(server) {
+  if (!server) {
+    return null;
+  }
+  return { ...server, authHeaderValue: openSecret(server.authHeaderValue) };
+}
+
 /**
- * Store a code verifier for PKCE authentication
+ * Re-encrypt customer tokens, code verifiers and MCP server credentials that are stored in plain
+ * text or with an older key, so the older key can be removed afterwards.
+ * Rows that no configured key can read are left as they are, in case a key
+ * is only missing from the configuration; reading them fails until it is back.
+ * @returns {Promise<number>} - The number of re-encrypted rows
+ */
+export async function reencryptSecrets() {
+  encryptionService = encryptionService || createEncryptionService();
+  const isCurrent = (value) => !value || encryptionService.isCurrent(value);
+  // Encrypts a stored secret again, undefined when it cannot be read
+  const reseal = (value) => {
+    const secret = openSecret(value);
+    return value && secret === null ? undefined : sealSecret(secret);
+  };
+  let updated = 0;
+  let unreadable = 0;
+
+  const tokens = await prisma.customerToken.findMany();
+  for (const token of tokens.filter((row) => !isCurrent(row.accessToken) || !isCurrent(row.refreshToken))) {
+    const accessToken = reseal(token.accessToken);
+    const refreshToken = reseal(token.refreshToken);
+    if (accessToken === undefined || refreshToken === undefined) {
+      unreadable++;
+      continue;
+    }
+
+    await prisma.customerToken.update({
+      where: { id: token.id },
+      data: { accessToken, refreshToken }
+    });
+    updated++;
+  }
+
+  const verifiers = await prisma.codeVerifier.findMany();
+  for (const verifier of verifiers.filter((row) => !isCurrent(row.verifier))) {
+    const value = reseal(verifier.verifier);
+    if (value === undefined) {
+      unreadable++;
+      continue;
+    }
+
+    await prisma.codeVerifier.update({
+      where: { id: verifier.id },
+      data: { verifier: value }
+    });
+    updated++;
+  }
+
+  const servers = await prisma.mcpServer.findMany({ where: { authHeaderValue: { not: null } } });
+  for (const server of servers.filter((row) => !isCurrent(row.authHeaderValue))) {
+    const authHeaderValue = reseal(server.authHeaderValue);
+    if (authHeaderValue === undefined) {
+      unreadable++;
+      continue;
+    }
+
+    await prisma.mcpServer.update({
+      where: { id: server.id },
+      data: { authHeaderValue }
+    });
+    updated++;
+  }
+
+  if (updated > 0) {
+    console.log(`Re-encrypted ${updated} stored secrets with the current key`);
+  }
+  if (unreadable > 0) {
+    console.warn(`${unreadable} stored secrets cannot be read with the configured encryption keys and were left unchanged`);
+  }
+  return updated;
+}
+
+// Secrets written with an older key are re-encrypted once per server start
+if (!global.secretsReencryption) {
+  global.secretsReencryption = reencryptSecrets().catch((error) => {
+    console.error('Error re-encrypting stored secrets:', error);
+  });
+}
+
+/**
+ * Store a code verifier for PKCE authentication. Finished and expired
+ * requests of the conversation are removed, pending ones stay usable.
  * @param {string} state - The state parameter used in OAuth flow
  * @param {string} verifier - The code verifier to store
+ * @param {string} conversationId - The conversation the auth flow was started from
+ * @param {string} shop - The shop domain the auth flow was started for
  * @returns {Promise<Object>} - The saved code verifier object
  */
-export async function storeCodeVerifier(state, verifier) {
-  // Calculate expiration date (10 minutes from now)
-  const expiresAt = new Date();
-  expiresAt.setMinutes(expiresAt.getMinutes() + 10);
+export async function storeCodeVerifier(state, verifier, conversationId, shop) {
+  const expiresAt = new Date(Date.now() + AppConfig.customerAuth.authRequestTtlMs);
 
   try {
-    return await prisma.codeVerifier.create({
-      data: {
-        id: `cv_${Date.now()}`,
-        state,
-        verifier,
-        expiresAt
-      }
-    });
+    const [, record] = await prisma.$transaction([
+      prisma.codeVerifier.deleteMany({
+        where: {
+          conversationId,
+          shop,
+          OR: [{ consumedAt: { not: null } }, { expiresAt: { lte: new Date() } }]
+        }
+      }),
+      prisma.codeVerifier.create({
+        data: {
+          id: `cv_${randomUUID()}`,
+          state,
+          verifier: sealSecret(verifier),
+          conversationId,
+          shop,
+          expiresAt
+        }
+      })
+    ]);
+    return { ...record, verifier };
   } catch (error) {
     console.error('Error storing code verifier:', error);
     throw error;
@@ -37,7 +200,36 @@ export async function storeCodeVerifier(state, verifier) {
 }
 
 /**
- * Get a code verifier by state parameter
+ * Get the newest pending authorization request of a conversation that is
+ * still valid for at least the given time
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
+ * @param {number} minRemainingMs - How long the request must still be valid
+ * @returns {Promise<Object|null>} - The code verifier object or null if there is none
+ */
+export async function getPendingCodeVerifier(conversationId, shop, minRemainingMs) {
+  const record = await prisma.codeVerifier.findFirst({
+    where: {
+      conversationId,
+      shop,
+      consumedAt: null,
+      expiresAt: { gt: new Date(Date.now() + minRemainingMs) }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (!record) {
+    return null;
+  }
+
+  const verifier = openSecret(record.verifier);
+  return verifier ? { ...record, verifier } : null;
+}
+
+/**
+ * Get a code verifier by state parameter. Each state can only be used once:
+ * the verifier is cleared and the request is marked as consumed, so a
+ * replayed callback finds nothing.
  * @param {string} state - The state parameter used in OAuth flow
  * @returns {Promise<Object|null>} - The code verifier object or null if not found
  */
@@ -46,65 +238,122 @@ export async function getCodeVerifier(state) {
     const verifier = await prisma.codeVerifier.findFirst({
       where: {
         state,
+        consumedAt: null,
         expiresAt: {
           gt: new Date()
         }
       }
     });
 
-    if (verifier) {
-      // Delete it after retrieval to prevent reuse
-      await prisma.codeVerifier.delete({
-        where: {
-          id: verifier.id
-        }
-      });
+    if (!verifier) {
+      return null;
+    }
+
+    // Only one of concurrent callbacks with the same state gets the verifier
+    const { count } = await prisma.codeVerifier.updateMany({
+      where: { id: verifier.id, consumedAt: null },
+      data: { consumedAt: new Date(), verifier: "" }
+    });
+
+    if (count !== 1) {
+      return null;
     }
 
-    return verifier;
+    return { ...verifier, verifier: openSecret(verifier.verifier) };
   } catch (error) {
     console.error('Error retrieving code verifier:', error);
     return null;
   }
 }
 
+/**
+ * Record why an authorization request failed, so the widget can tell the customer
+ * @param {string} id - The ID of the code verifier of the failed request
+ * @param {string} error - A message for the customer
+ * @returns {Promise<void>}
+ */
+export async function recordAuthError(id, error) {
+  try {
+    const request = await prisma.codeVerifier.update({
+      where: { id },
+      data: { error }
+    });
+    createAuthStatusService().notify(request.conversationId, request.shop);
+  } catch (e) {
+    console.error('Error recording authorization error:', e);
+  }
+}
+
+/**
+ * Get the error of the latest authorization request of a conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
+ * @returns {Promise<string|null>} - The error, or null if the request has not failed
+ */
+export async function getAuthError(conversationId, shop) {
+  try {
+    const request = await prisma.codeVerifier.findFirst({
+      where: { conversationId, shop },
+      orderBy: { createdAt: 'desc' }
+    });
+    return request?.error || null;
+  } catch (error) {
+    console.error('Error retrieving authorization error:', error);
+    return null;
+  }
+}
+
 /**
  * Store a customer access token in the database
  * @param {string} conversationId - The conversation ID to associate with the token
+ * @param {string} shop - The shop domain
  * @param {string} accessToken - The access token to store
  * @param {Date} expiresAt - When the token expires
+ * @param {string|null} refreshToken - The refresh token to store, null for none
  * @returns {Promise<Object>} - The saved customer token
  */
-export async function storeCustomerToken(conversationId, accessToken, expiresAt) {
+export async function storeCustomerToken(conversationId, shop, accessToken, expiresAt, refreshToken = null) {
   try {
+    // Both tokens are stored encrypted, they let anyone act as the customer
+    const data = {
+      accessToken: sealSecret(accessToken),
+      refreshToken: sealSecret(refreshToken),
+      expiresAt
+    };
+
     // Check if a token already exists for this conversation
     const existingToken = await prisma.customerToken.findFirst({
-      where: { conversationId }
+      where: { conversationId, shop }
     });
 
+    let token;
     if (existingToken) {
       // Update existing token
-      return await prisma.customerToken.update({
+      token = await prisma.customerToken.update({
         where: { id: existingToken.id },
         data: {
-          accessToken,
-          expiresAt,
+          ...data,
+          updatedAt: new Date()
+        }
+      });
+    } else {
+      // Create a new token record
+      token = await prisma.customerToken.create({
+        data: {
+          id: `ct_${Date.now()}`,
+          conversationId,
+          shop,
+          ...data,
+          createdAt: new Date(),
           updatedAt: new Date()
         }
       });
     }
 
-    // Create a new token record
-    return await prisma.customerToken.create({
-      data: {
-        id: `ct_${Date.now()}`,
-        conversationId,
-        accessToken,
-        expiresAt,
-        createdAt: new Date(),
-        updatedAt: new Date()
-      }
-    });
+    // Widgets waiting for the customer to sign in can continue right away
+    createAuthStatusService().notify(conversationId, shop);
+
+    return openCustomerToken(token);
   } catch (error) {
     console.error('Error storing customer token:', error);
     throw error;
@@ -114,38 +363,97 @@ export async function storeCustomerToken(conversationId, accessToken, expiresAt)
 /**
  * Get a customer access token by conversation ID
  * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
  * @returns {Promise<Object|null>} - The customer token or null if not found/expired
  */
-export async function getCustomerToken(conversationId) {
+export async function getCustomerToken(conversationId, shop) {
   try {
     const token = await prisma.customerToken.findFirst({
       where: {
         conversationId,
+        shop,
         expiresAt: {
           gt: new Date() // Only return non-expired tokens
         }
       }
     });
 
-    return token;
+    return openCustomerToken(token);
+  } catch (error) {
+    console.error('Error retrieving customer token:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the stored customer token of a conversation, expired or not
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object|null>} - The customer token or null if not found
+ */
+export async function getCustomerTokenRecord(conversationId, shop) {
+  try {
+    const token = await prisma.customerToken.findFirst({
+      where: { conversationId, shop }
+    });
+
+    return openCustomerToken(token);
   } catch (error) {
     console.error('Error retrieving customer token:', error);
     return null;
   }
 }
 
+/**
+ * Delete the customer tokens of a conversation, e.g. after the customer revoked access
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
+ * @returns {Promise<number>} - The number of deleted tokens
+ */
+export async function deleteCustomerTokens(conversationId, shop) {
+  const result = await prisma.customerToken.deleteMany({
+    where: { conversationId, shop }
+  });
+  return result.count;
+}
+
+/**
+ * Get a conversation belonging to a shop
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object|null>} - The conversation or null if the shop has no such conversation
+ */
+export async function getConversation(conversationId, shop) {
+  try {
+    return await prisma.conversation.findFirst({
+      where: { id: conversationId, shop }
+    });
+  } catch (error) {
+    console.error('Error retrieving conversation:', error);
+    return null;
+  }
+}
+
 /**
  * Create or update a conversation in the database
  * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
  * @returns {Promise<Object>} - The created or updated conversation
+ * @throws {Error} If the conversation belongs to a different shop
  */
-export async function createOrUpdateConversation(conversationId) {
+export async function createOrUpdateConversation(conversationId, shop) {
   try {
     const existingConversation = await prisma.conversation.findUnique({
       where: { id: conversationId }
     });
 
     if (existingConversation) {
+      if (existingConversation.shop !== shop) {
+        const error = new Error('Conversation belongs to a different shop');
+        error.status = 403;
+        throw error;
+      }
+
       return await prisma.conversation.update({
         where: { id: conversationId },
         data: {
@@ -156,7 +464,8 @@ export async function createOrUpdateConversation(conversationId) {
 
     return await prisma.conversation.create({
       data: {
-        id: conversationId
+        id: conversationId,
+        shop
       }
     });
   } catch (error) {
@@ -168,23 +477,71 @@ export async function createOrUpdateConversation(conversationId) {
 /**
  * Save a message to the database
  * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
  * @param {string} role - The message role (user or assistant)
  * @param {string} content - The message content
+ * @param {Object} usage - Usage of the model call that produced the message, if any
+ * @param {string|null} context - Context sent along with a customer message, see formatContext
  * @returns {Promise<Object>} - The saved message
  */
-export async function saveMessage(conversationId, role, content) {
+export async function saveMessage(conversationId, shop, role, content, usage = null, context = null) {
   try {
     // Ensure the conversation exists
-    await createOrUpdateConversation(conversationId);
+    await createOrUpdateConversation(conversationId, shop);
 
-    // Create the message
-    return await prisma.message.create({
-      data: {
-        conversationId,
-        role,
-        content
-      }
-    });
+    if (!usage) {
+      return await prisma.message.create({
+        data: {
+          conversationId,
+          shop,
+          role,
+          content,
+          context
+        }
+      });
+    }
+
+    const increments = {
+      inputTokens: { increment: usage.inputTokens },
+      outputTokens: { increment: usage.outputTokens },
+      cacheReadTokens: { increment: usage.cacheReadTokens },
+      cacheWriteTokens: { increment: usage.cacheWriteTokens },
+      costUsd: { increment: usage.costUsd }
+    };
+    const date = new Date().toISOString().slice(0, 10);
+
+    // Store the message and roll its usage up into the conversation and day
+    const [message] = await prisma.$transaction([
+      prisma.message.create({
+        data: {
+          conversationId,
+          shop,
+          role,
+          content,
+          ...usage
+        }
+      }),
+      prisma.conversation.update({
+        where: { id: conversationId },
+        data: increments
+      }),
+      prisma.shopUsageDaily.upsert({
+        where: { shop_date: { shop, date } },
+        update: { requests: { increment: 1 }, ...increments },
+        create: {
+          shop,
+          date,
+          requests: 1,
+          inputTokens: usage.inputTokens,
+          outputTokens: usage.outputTokens,
+          cacheReadTokens: usage.cacheReadTokens,
+          cacheWriteTokens: usage.cacheWriteTokens,
+          costUsd: usage.costUsd
+        }
+      })
+    ]);
+
+    return message;
   } catch (error) {
     console.error('Error saving message:', error);
     throw error;
@@ -194,13 +551,15 @@ export async function saveMessage(conversationId, role, content) {
 /**
  * Get conversation history
  * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
  * @returns {Promise<Array>} - Array of messages in the conversation
  */
-export async function getConversationHistory(conversationId) {
+export async function getConversationHistory(conversationId, shop) {
   try {
+    // Messages saved in the same millisecond keep their insertion order by ID
     const messages = await prisma.message.findMany({
-      where: { conversationId },
-      orderBy: { createdAt: 'asc' }
+      where: { conversationId, shop },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
     });
 
     return messages;
@@ -213,19 +572,22 @@ export async function getConversationHistory(conversationId) {
 /**
  * Store customer account URL for a conversation
  * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
  * @param {string} url - The customer account URL
  * @returns {Promise<Object>} - The saved URL object
  */
-export async function storeCustomerAccountUrl(conversationId, url) {
+export async function storeCustomerAccountUrl(conversationId, shop, url) {
   try {
     return await prisma.customerAccountUrl.upsert({
       where: { conversationId },
       update: {
+        shop,
         url,
         updatedAt: new Date()
       },
       create: {
         conversationId,
+        shop,
         url,
         updatedAt: new Date()
       }
@@ -239,12 +601,13 @@ export async function storeCustomerAccountUrl(conversationId, url) {
 /**
  * Get customer account URL for a conversation
  * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
  * @returns {Promise<string|null>} - The customer account URL or null if not found
  */
-export async function getCustomerAccountUrl(conversationId) {
+export async function getCustomerAccountUrl(conversationId, shop) {
   try {
-    const record = await prisma.customerAccountUrl.findUnique({
-      where: { conversationId }
+    const record = await prisma.customerAccountUrl.findFirst({
+      where: { conversationId, shop }
     });
 
     return record?.url || null;
@@ -253,3 +616,482 @@ export async function getCustomerAccountUrl(conversationId) {
     return null;
   }
 }
+
+/**
+ * List conversations for the admin dashboard, newest first
+ * @param {string} shop - The shop domain
+ * @param {Object} options - Listing options
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.pageSize - Number of conversations per page
+ * @param {Date|null} options.from - Only include conversations updated on or after this date
+ * @param {Date|null} options.to - Only include conversations updated before this date
+ * @param {string} options.query - Only include conversations with a message containing this text
+ * @returns {Promise<Object>} - The page of conversations and the total count
+ */
+export async function listConversations(shop, { page = 1, pageSize = 20, from = null, to = null, query = '' } = {}) {
+  const where = { shop };
+
+  if (from || to) {
+    where.updatedAt = {
+      ...(from ? { gte: from } : {}),
+      ...(to ? { lt: to } : {})
+    };
+  }
+
+  // Summaries and notes are stored as messages too, but are not part of the transcript
+  const transcriptRoles = { in: ['user', 'assistant'] };
+
+  if (query) {
+    where.messages = {
+      some: {
+        role: transcriptRoles,
+        content: { contains: query }
+      }
+    };
+  }
+
+  try {
+    const [conversations, total] = await Promise.all([
+      prisma.conversation.findMany({
+        where,
+        orderBy: { updatedAt: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        include: {
+          _count: { select: { messages: { where: { role: transcriptRoles } } } },
+          messages: {
+            where: { role: 'user' },
+            orderBy: { createdAt: 'asc' },
+            take: 1
+          }
+        }
+      }),
+      prisma.conversation.count({ where })
+    ]);
+
+    return { conversations, total };
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    return { conversations: [], total: 0 };
+  }
+}
+
+/**
+ * Get the daily usage of a shop
+ * @param {string} shop - The shop domain
+ * @param {string} fromDate - First UTC day to include, as YYYY-MM-DD
+ * @returns {Promise<Array>} - Usage rows, oldest day first
+ */
+export async function getShopUsageByDay(shop, fromDate) {
+  try {
+    return await prisma.shopUsageDaily.findMany({
+      where: { shop, date: { gte: fromDate } },
+      orderBy: { date: 'asc' }
+    });
+  } catch (error) {
+    console.error('Error retrieving shop usage:', error);
+    return [];
+  }
+}
+
+/**
+ * List the conversations of a shop that cost the most
+ * @param {string} shop - The shop domain
+ * @param {Object} options - Filter options
+ * @param {Date} options.from - Only include conversations active since this date
+ * @param {number} options.limit - Maximum number of conversations to return
+ * @returns {Promise<Array>} - Conversations with their first user message
+ */
+export async function listMostExpensiveConversations(shop, { from, limit = 10 }) {
+  try {
+    return await prisma.conversation.findMany({
+      where: {
+        shop,
+        costUsd: { gt: 0 },
+        ...(from ? { updatedAt: { gte: from } } : {})
+      },
+      orderBy: { costUsd: 'desc' },
+      take: limit,
+      include: {
+        messages: {
+          where: { role: 'user' },
+          orderBy: { createdAt: 'asc' },
+          take: 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error listing expensive conversations:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a conversation together with all of its messages
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object|null>} - The conversation or null if not found
+ */
+export async function getConversationWithMessages(conversationId, shop) {
+  try {
+    return await prisma.conversation.findFirst({
+      where: { id: conversationId, shop },
+      include: {
+        messages: {
+          orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving conversation:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the latest version of a shop's custom system prompt
+ * @param {string} shop - The shop domain
+ * @param {string} promptKey - The prompt key sent by the widget as prompt_type
+ * @returns {Promise<Object|null>} - The prompt or null if the shop has not defined it
+ */
+export async function getShopPrompt(shop, promptKey) {
+  try {
+    return await prisma.shopPrompt.findFirst({
+      where: { shop, promptKey },
+      orderBy: { version: 'desc' }
+    });
+  } catch (error) {
+    console.error('Error retrieving shop prompt:', error);
+    return null;
+  }
+}
+
+/**
+ * List the latest version of every custom system prompt for a shop
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} - The prompts ordered by key
+ */
+export async function listShopPrompts(shop) {
+  try {
+    const prompts = await prisma.shopPrompt.findMany({
+      where: { shop },
+      orderBy: [{ promptKey: 'asc' }, { version: 'desc' }]
+    });
+
+    // Rows are sorted newest first within each key, so keep the first one we see
+    const latest = new Map();
+    for (const prompt of prompts) {
+      if (!latest.has(prompt.promptKey)) {
+        latest.set(prompt.promptKey, prompt);
+      }
+    }
+
+    return [...latest.values()];
+  } catch (error) {
+    console.error('Error listing shop prompts:', error);
+    return [];
+  }
+}
+
+/**
+ * Get every saved version of a shop's custom system prompt
+ * @param {string} shop - The shop domain
+ * @param {string} promptKey - The prompt key
+ * @returns {Promise<Array>} - The versions, newest first
+ */
+export async function getShopPromptVersions(shop, promptKey) {
+  try {
+    return await prisma.shopPrompt.findMany({
+      where: { shop, promptKey },
+      orderBy: { version: 'desc' }
+    });
+  } catch (error) {
+    console.error('Error retrieving shop prompt versions:', error);
+    return [];
+  }
+}
+
+/**
+ * Save a new version of a shop's custom system prompt
+ * @param {string} shop - The shop domain
+ * @param {string} promptKey - The prompt key
+ * @param {Object} prompt - The prompt fields
+ * @param {string} prompt.name - Display name
+ * @param {string} prompt.description - Optional description
+ * @param {string} prompt.content - The system prompt text
+ * @returns {Promise<Object>} - The saved prompt version
+ */
+export async function saveShopPrompt(shop, promptKey, { name, description, content }) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const latest = await tx.shopPrompt.findFirst({
+        where: { shop, promptKey },
+        orderBy: { version: 'desc' }
+      });
+
+      return tx.shopPrompt.create({
+        data: {
+          shop,
+          promptKey,
+          name,
+          description: description || null,
+          content,
+          version: (latest?.version || 0) + 1
+        }
+      });
+    });
+  } catch (error) {
+    console.error('Error saving shop prompt:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete every version of a shop's custom system prompt
+ * @param {string} shop - The shop domain
+ * @param {string} promptKey - The prompt key
+ * @returns {Promise<Object>} - The delete result
+ */
+export async function deleteShopPrompt(shop, promptKey) {
+  try {
+    return await prisma.shopPrompt.deleteMany({
+      where: { shop, promptKey }
+    });
+  } catch (error) {
+    console.error('Error deleting shop prompt:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the additional MCP servers a shop has registered
+ * @param {string} shop - The shop domain
+ * @param {Object} options - Filter options
+ * @param {boolean} options.enabledOnly - Only return enabled servers
+ * @returns {Promise<Array>} - The servers, oldest first
+ */
+export async function listMcpServers(shop, { enabledOnly = false } = {}) {
+  try {
+    const servers = await prisma.mcpServer.findMany({
+      where: { shop, ...(enabledOnly ? { enabled: true } : {}) },
+      orderBy: { createdAt: 'asc' }
+    });
+    return servers.map(openMcpServer);
+  } catch (error) {
+    console.error('Error listing MCP servers:', error);
+    return [];
+  }
+}
+
+/**
+ * Get an additional MCP server of a shop
+ * @param {string} id - The server ID
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object|null>} - The server or null if not found
+ */
+export async function getMcpServer(id, shop) {
+  try {
+    return openMcpServer(await prisma.mcpServer.findFirst({
+      where: { id, shop }
+    }));
+  } catch (error) {
+    console.error('Error retrieving MCP server:', error);
+    return null;
+  }
+}
+
+/**
+ * Create or update an additional MCP server of a shop
+ * @param {string} shop - The shop domain
+ * @param {string|null} id - The server ID, or null to create a new server
+ * @param {Object} data - The server fields
+ * @returns {Promise<Object>} - The saved server
+ */
+export async function saveMcpServer(shop, id, data) {
+  try {
+    // The auth header value is a credential of the merchant, stored encrypted
+    if ('authHeaderValue' in data) {
+      data = { ...data, authHeaderValue: sealSecret(data.authHeaderValue) };
+    }
+
+    if (!id) {
+      return openMcpServer(await prisma.mcpServer.create({
+        data: { ...data, shop }
+      }));
+    }
+
+    const existing = await prisma.mcpServer.findFirst({ where: { id, shop } });
+    if (!existing) {
+      const error = new Error('MCP server not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return openMcpServer(await prisma.mcpServer.update({
+      where: { id },
+      data
+    }));
+  } catch (error) {
+    console.error('Error saving MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an additional MCP server of a shop
+ * @param {string} id - The server ID
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} - The delete result
+ */
+export async function deleteMcpServer(id, shop) {
+  try {
+    return await prisma.mcpServer.deleteMany({
+      where: { id, shop }
+    });
+  } catch (error) {
+    console.error('Error deleting MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the tool policies of a shop
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} - The policies, ordered by tool name
+ */
+export async function listToolPolicies(shop) {
+  try {
+    return await prisma.toolPolicy.findMany({
+      where: { shop },
+      orderBy: { toolName: 'asc' }
+    });
+  } catch (error) {
+    console.error('Error listing tool policies:', error);
+    return [];
+  }
+}
+
+/**
+ * Create or update the policy of a tool
+ * @param {string} shop - The shop domain
+ * @param {string} toolName - The tool name
+ * @param {Object} data - Policy fields: hidden, requiresConfirmation and description
+ * @returns {Promise<Object>} - The saved policy
+ */
+export async function saveToolPolicy(shop, toolName, data) {
+  try {
+    return await prisma.toolPolicy.upsert({
+      where: { shop_toolName: { shop, toolName } },
+      update: data,
+      create: { ...data, shop, toolName }
+    });
+  } catch (error) {
+    console.error('Error saving tool policy:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete the policy of a tool, restoring the default behavior
+ * @param {string} shop - The shop domain
+ * @param {string} toolName - The tool name
+ * @returns {Promise<Object>} - The delete result
+ */
+export async function deleteToolPolicy(shop, toolName) {
+  try {
+    return await prisma.toolPolicy.deleteMany({
+      where: { shop, toolName }
+    });
+  } catch (error) {
+    console.error('Error deleting tool policy:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store tool calls that wait for the customer's confirmation
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
+ * @param {Object} data - The pending tool calls, the finished tool results, the tool_use order
+ * and the number of tool calls the turn has made
+ * @param {Date} expiresAt - When the confirmation stops being accepted
+ * @returns {Promise<Object>} - The saved confirmation
+ */
+export async function createPendingConfirmation(conversationId, shop, { toolCalls, toolResults, toolUseOrder, toolCallsUsed = 0 }, expiresAt) {
+  try {
+    return await prisma.pendingToolConfirmation.create({
+      data: {
+        conversationId,
+        shop,
+        toolCalls: JSON.stringify(toolCalls),
+        toolResults: JSON.stringify(toolResults),
+        toolUseOrder: JSON.stringify(toolUseOrder),
+        toolCallsUsed,
+        expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error storing pending confirmation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove and return the pending confirmations of a conversation.
+ * A confirmation can only be taken once, so a decision is never applied twice.
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
+ * @param {string} id - Only take this confirmation, or all of the conversation when omitted
+ * @returns {Promise<Array>} - The confirmations with their JSON fields parsed
+ */
+export async function takePendingConfirmations(conversationId, shop, id = null) {
+  try {
+    const where = { conversationId, shop, ...(id ? { id } : {}) };
+
+    const confirmations = await prisma.$transaction(async (tx) => {
+      const found = await tx.pendingToolConfirmation.findMany({
+        where,
+        orderBy: { createdAt: 'asc' }
+      });
+      await tx.pendingToolConfirmation.deleteMany({
+        where: { id: { in: found.map((confirmation) => confirmation.id) } }
+      });
+      return found;
+    });
+
+    return confirmations.map((confirmation) => ({
+      ...confirmation,
+      toolCalls: JSON.parse(confirmation.toolCalls),
+      toolResults: JSON.parse(confirmation.toolResults),
+      toolUseOrder: JSON.parse(confirmation.toolUseOrder)
+    }));
+  } catch (error) {
+    console.error('Error taking pending confirmations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete all chat data stored for a shop
+ * @param {string} shop - The shop domain
+ * @returns {Promise<void>}
+ */
+export async function deleteShopData(shop) {
+  try {
+    await prisma.$transaction([
+      prisma.conversation.deleteMany({ where: { shop } }),
+      prisma.message.deleteMany({ where: { shop } }),
+      prisma.customerToken.deleteMany({ where: { shop } }),
+      prisma.customerAccountUrl.deleteMany({ where: { shop } }),
+      prisma.codeVerifier.deleteMany({ where: { shop } }),
+      prisma.shopPrompt.deleteMany({ where: { shop } }),
+      prisma.shopUsageDaily.deleteMany({ where: { shop } }),
+      prisma.mcpServer.deleteMany({ where: { shop } }),
+      prisma.toolPolicy.deleteMany({ where: { shop } }),
+      prisma.pendingToolConfirmation.deleteMany({ where: { shop } })
+    ]);
+  } catch (error) {
+    console.error('Error deleting shop data:', error);
+    throw error;
+  }
+}
@@ -1,5 +1,39 @@
-import { generateAuthUrl } from "./auth.server";
-import { getCustomerToken } from "./db.server";
+import { createHash } from "node:crypto";
+import { Agent, fetch } from "undici";
+import { generateAuthUrl, getCustomerAccessToken } from "./auth.server";
+import AppConfig from "./services/config.server";
+import { createToolCatalogService } from "./services/tool-catalog.server";
+import { createAddressService } from "./services/address.server";
+import { readEventStream } from "./services/event-stream.server";
+
+const addressService = createAddressService();
+
+// Connections to MCP servers are kept open and reused across requests. The
+// requests use undici's own fetch, since the global fetch installed by the
+// Remix server ignores the dispatcher option.
+const mcpAgent = new Agent({
+  keepAliveTimeout: AppConfig.mcp.keepAliveTimeoutMs,
+  connections: AppConfig.mcp.connectionsPerOrigin
+});
+
+// Merchant-registered servers may only be reached on public addresses
+const customServerAgent = new Agent({
+  keepAliveTimeout: AppConfig.mcp.keepAliveTimeoutMs,
+  connections: AppConfig.mcp.connectionsPerOrigin,
+  connect: { lookup: addressService.publicLookup }
+});
+
+const toolCatalog = createToolCatalogService();
+
+// Protocol versions this client speaks, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+const CLIENT_INFO = { name: "shop-chat-agent", version: "1.0.0" };
+
+// Initialized sessions per endpoint and credentials, shared across requests
+const mcpSessions = new Map();
+
+let nextRequestId = 1;
 
 /**
  * Client for interacting with Model Context Protocol (MCP) API endpoints.
@@ -11,12 +45,15 @@ class MCPClient {
    *
    * @param {string} hostUrl - The base URL for the shop
    * @param {string} conversationId - ID for the current conversation
-   * @param {string} shopId - ID of the Shopify shop
+   * @param {string} shop - Verified myshopify.com domain of the shop
+   * @param {string} customerMcpEndpoint - The customer account MCP endpoint
    */
-  constructor(hostUrl, conversationId, shopId, customerMcpEndpoint) {
+  constructor(hostUrl, conversationId, shop, customerMcpEndpoint) {
     this.tools = [];
     this.customerTools = [];
     this.storefrontTools = [];
+    // Tools of merchant-registered servers by exposed name, with their server and original name
+    this.customServerTools = new Map();
     // TODO: Make this dynamic, for that first we need to allow access of mcp tools on password proteted demo stores.
     this.storefrontMcpEndpoint = `${hostUrl}/api/mcp`;
 
@@ -24,12 +61,19 @@ class MCPClient {
     this.customerMcpEndpoint = customerMcpEndpoint || `${accountHostUrl}/customer/api/mcp`;
     this.customerAccessToken = "";
     this.conversationId = conversationId;
-    this.shopId = shopId;
+    this.shop = shop;
+    // Tool catalog key per endpoint, used when a server reports changed tools
+    this.catalogKeys = {};
+    // Endpoints of merchant-registered servers, requested as untrusted URLs
+    this.customEndpoints = new Set();
   }
 
   /**
    * Connects to the customer MCP server and retrieves available tools.
-   * Attempts to use an existing token or will proceed without authentication.
+   * Attempts to use an existing token, refreshed if it is about to expire,
+   * or will proceed without authentication.
+   * The tool list is cached per access token, so it is listed again whenever
+   * the customer logs in or their token changes.
    *
    * @returns {Promise<Array>} Array of available customer tools
    * @throws {Error} If connection to MCP server fails
@@ -39,10 +83,10 @@ class MCPClient {
       console.log(`Connecting to MCP server at ${this.customerMcpEndpoint}`);
 
       if (this.conversationId) {
-        const dbToken = await getCustomerToken(this.conversationId);
+        const accessToken = await getCustomerAccessToken(this.conversationId, this.shop);
 
-        if (dbToken && dbToken.accessToken) {
-          this.customerAccessToken = dbToken.accessToken;
+        if (accessToken) {
+          this.customerAccessToken = accessToken;
         } else {
           console.log("No token in database for conversation:", this.conversationId);
         }
@@ -55,17 +99,19 @@ class MCPClient {
         "Authorization": this.customerAccessToken || ""
       };
 
-      const response = await this._makeJsonRpcRequest(
-        this.customerMcpEndpoint,
-        "tools/list",
-        {},
-        headers
+      const authState = this.customerAccessToken ? fingerprint(this.customerAccessToken) : "anonymous";
+      const catalogKey = toolCatalog.getCatalogKey(this.shop, "customer", authState);
+      this.catalogKeys[this.customerMcpEndpoint] = catalogKey;
+
+      // A new token of the same customer replaces the list of their previous token
+      const customerTools = await toolCatalog.getTools(
+        catalogKey,
+        () => this._listTools(this.customerMcpEndpoint, headers),
+        this.customerAccessToken && this.conversationId
+          ? toolCatalog.getCatalogKey(this.shop, "customer", this.conversationId)
+          : undefined
       );
 
-      // Extract tools from the JSON-RPC response format
-      const toolsData = response.result && response.result.tools ? response.result.tools : [];
-      const customerTools = this._formatToolsData(toolsData);
-
       this.customerTools = customerTools;
       this.tools = [...this.tools, ...customerTools];
 
@@ -76,6 +122,25 @@ class MCPClient {
     }
   }
 
+  /**
+   * Forgets the customer tools and MCP session of an access token once the
+   * customer disconnected their account, so nothing cached for it is reused.
+   *
+   * @param {string} accessToken - The customer's former access token
+   */
+  forgetCustomerAccess(accessToken) {
+    toolCatalog.invalidate(toolCatalog.getCatalogKey(this.shop, "customer", fingerprint(accessToken)));
+    mcpSessions.delete(getSessionKey(this.customerMcpEndpoint, {
+      "Content-Type": "application/json",
+      "Authorization": accessToken
+    }));
+
+    const customerToolNames = new Set(this.customerTools.map((tool) => tool.name));
+    this.tools = this.tools.filter((tool) => !customerToolNames.has(tool.name));
+    this.customerTools = [];
+    this.customerAccessToken = "";
+  }
+
   /**
    * Connects to the storefront MCP server and retrieves available tools.
    *
@@ -90,16 +155,13 @@ class MCPClient {
         "Content-Type": "application/json"
       };
 
-      const response = await this._makeJsonRpcRequest(
-        this.storefrontMcpEndpoint,
-        "tools/list",
-        {},
-        headers
-      );
+      const catalogKey = toolCatalog.getCatalogKey(this.shop, "storefront");
+      this.catalogKeys[this.storefrontMcpEndpoint] = catalogKey;
 
-      // Extract tools from the JSON-RPC response format
-      const toolsData = response.result && response.result.tools ? response.result.tools : [];
-      const storefrontTools = this._formatToolsData(toolsData);
+      const storefrontTools = await toolCatalog.getTools(
+        catalogKey,
+        () => this._listTools(this.storefrontMcpEndpoint, headers)
+      );
 
       this.storefrontTools = storefrontTools;
       this.tools = [...this.tools, ...storefrontTools];
@@ -111,19 +173,100 @@ class MCPClient {
     }
   }
 
+  /**
+   * Connects to the additional MCP servers a merchant has registered.
+   * Their tools are exposed with the server's name prefix, limited to the
+   * server's allowed tools. A server that cannot be reached is skipped.
+   *
+   * @param {Array} servers - The enabled McpServer records of the shop
+   * @returns {Promise<Array>} Array of available tools across these servers
+   */
+  async connectToCustomServers(servers) {
+    const results = await Promise.allSettled(servers.map(async (server) => {
+      console.log(`Connecting to MCP server ${server.name} at ${server.url}`);
+      this.customEndpoints.add(server.url);
+
+      // Editing a server changes updatedAt, so its tools are listed again
+      const catalogKey = toolCatalog.getCatalogKey(
+        this.shop,
+        `custom-${server.id}`,
+        String(new Date(server.updatedAt).getTime())
+      );
+      this.catalogKeys[server.url] = catalogKey;
+
+      const tools = await toolCatalog.getTools(
+        catalogKey,
+        () => this._listTools(server.url, getCustomServerHeaders(server)),
+        toolCatalog.getCatalogKey(this.shop, `custom-${server.id}`)
+      );
+
+      return { server, tools };
+    }));
+
+    const customTools = [];
+
+    results.forEach((result, index) => {
+      if (result.status === "rejected") {
+        console.warn(`Failed to connect to MCP server ${servers[index].name}:`, result.reason?.message);
+        return;
+      }
+
+      const { server, tools } = result.value;
+      const allowedTools = parseAllowedTools(server.allowedTools);
+
+      tools
+        .filter((tool) => allowedTools.length === 0 || allowedTools.includes(tool.name))
+        .forEach((tool) => {
+          const name = `${server.namePrefix}_${tool.name}`;
+
+          if (name.length > 64 || this.tools.some((existing) => existing.name === name) || this.customServerTools.has(name)) {
+            console.warn(`Skipping tool ${name} from MCP server ${server.name}: name too long or already in use`);
+            return;
+          }
+
+          this.customServerTools.set(name, { server, toolName: tool.name });
+          customTools.push({
+            ...tool,
+            name,
+            description: `[${server.name}] ${tool.description || ""}`.trim()
+          });
+        });
+    });
+
+    this.tools = [...this.tools, ...customTools];
+
+    return customTools;
+  }
+
+  /**
+   * Lists the tools of a merchant-registered MCP server without caching,
+   * used to test a server's settings before they are saved.
+   *
+   * @param {Object} server - The server's url and auth header fields
+   * @returns {Promise<Array>} Array of the server's tools, before prefixing and filtering
+   * @throws {Error} If connection to the MCP server fails
+   */
+  async listCustomServerTools(server) {
+    this.customEndpoints.add(server.url);
+    return this._listTools(server.url, getCustomServerHeaders(server));
+  }
+
   /**
    * Dispatches a tool call to the appropriate MCP server based on the tool name.
    *
    * @param {string} toolName - Name of the tool to call
    * @param {Object} toolArgs - Arguments to pass to the tool
+   * @param {AbortSignal} [signal] - Cancels the call
    * @returns {Promise<Object>} Result from the tool call
    * @throws {Error} If tool is not found or call fails
    */
-  async callTool(toolName, toolArgs) {
+  async callTool(toolName, toolArgs, signal) {
     if (this.customerTools.some(tool => tool.name === toolName)) {
-      return this.callCustomerTool(toolName, toolArgs);
+      return this.callCustomerTool(toolName, toolArgs, signal);
     } else if (this.storefrontTools.some(tool => tool.name === toolName)) {
-      return this.callStorefrontTool(toolName, toolArgs);
+      return this.callStorefrontTool(toolName, toolArgs, signal);
+    } else if (this.customServerTools.has(toolName)) {
+      return this.callCustomServerTool(toolName, toolArgs, signal);
     } else {
       throw new Error(`Tool ${toolName} not found`);
     }
@@ -134,10 +277,11 @@ class MCPClient {
    *
    * @param {string} toolName - Name of the storefront tool to call
    * @param {Object} toolArgs - Arguments to pass to the tool
+   * @param {AbortSignal} [signal] - Cancels the call
    * @returns {Promise<Object>} Result from the tool call
    * @throws {Error} If the tool call fails
    */
-  async callStorefrontTool(toolName, toolArgs) {
+  async callStorefrontTool(toolName, toolArgs, signal) {
     try {
       console.log("Calling storefront tool", toolName, toolArgs);
 
@@ -152,7 +296,41 @@ class MCPClient {
           name: toolName,
           arguments: toolArgs,
         },
-        headers
+        headers,
+        signal
+      );
+
+      return response.result || response;
+    } catch (error) {
+      console.error(`Error calling tool ${toolName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calls a tool on a merchant-registered MCP server.
+   *
+   * @param {string} toolName - Exposed name of the tool, including the server's prefix
+   * @param {Object} toolArgs - Arguments to pass to the tool
+   * @param {AbortSignal} [signal] - Cancels the call
+   * @returns {Promise<Object>} Result from the tool call
+   * @throws {Error} If the tool call fails
+   */
+  async callCustomServerTool(toolName, toolArgs, signal) {
+    const { server, toolName: serverToolName } = this.customServerTools.get(toolName);
+
+    try {
+      console.log(`Calling tool ${serverToolName} on MCP server ${server.name}`, toolArgs);
+
+      const response = await this._makeJsonRpcRequest(
+        server.url,
+        "tools/call",
+        {
+          name: serverToolName,
+          arguments: toolArgs,
+        },
+        getCustomServerHeaders(server),
+        signal
       );
 
       return response.result || response;
@@ -168,32 +346,27 @@ class MCPClient {
    *
    * @param {string} toolName - Name of the customer tool to call
    * @param {Object} toolArgs - Arguments to pass to the tool
+   * @param {AbortSignal} [signal] - Cancels the call
    * @returns {Promise<Object>} Result from the tool call or auth error
    * @throws {Error} If the tool call fails
    */
-  async callCustomerTool(toolName, toolArgs) {
+  async callCustomerTool(toolName, toolArgs, signal) {
     try {
       console.log("Calling customer tool", toolName, toolArgs);
       // First try to get a token from the database for this conversation
       let accessToken = this.customerAccessToken;
 
       if (!accessToken || accessToken === "") {
-        const dbToken = await getCustomerToken(this.conversationId);
+        accessToken = await getCustomerAccessToken(this.conversationId, this.shop);
 
-        if (dbToken && dbToken.accessToken) {
-          accessToken = dbToken.accessToken;
+        if (accessToken) {
           this.customerAccessToken = accessToken; // Store it for later use
         } else {
           console.log("No token in database for conversation:", this.conversationId);
         }
       }
 
-      const headers = {
-        "Content-Type": "application/json",
-        "Authorization": accessToken
-      };
-
-      try {
+      const callWithToken = async (token) => {
         const response = await this._makeJsonRpcRequest(
           this.customerMcpEndpoint,
           "tools/call",
@@ -201,17 +374,40 @@ class MCPClient {
             name: toolName,
             arguments: toolArgs,
           },
-          headers
+          {
+            "Content-Type": "application/json",
+            "Authorization": token || ""
+          },
+          signal
         );
 
         return response.result || response;
+      };
+
+      try {
+        try {
+          return await callWithToken(accessToken);
+        } catch (error) {
+          // A rejected token is refreshed once before the customer has to log in again
+          const refreshedToken = error.status === 401 && accessToken
+            ? await getCustomerAccessToken(this.conversationId, this.shop, accessToken)
+            : null;
+
+          if (!refreshedToken) {
+            throw error;
+          }
+
+          console.log("Customer token rejected, retrying with a refreshed token");
+          this.customerAccessToken = refreshedToken;
+          return await callWithToken(refreshedToken);
+        }
       } catch (error) {
         // Handle 401 specifically to trigger authentication
         if (error.status === 401) {
           console.log("Unauthorized, generating authorization URL for customer");
 
           // Generate auth URL
-          const authResponse = await generateAuthUrl(this.conversationId, this.shopId);
+          const authResponse = await generateAuthUrl(this.conversationId, this.shop);
 
           // Instead of retrying, return the auth URL for the front-end
           return {
@@ -238,35 +434,281 @@ class MCPClient {
 
   /**
    * Makes a JSON-RPC request to the specified endpoint.
+   * Initializes an MCP session first if there is none for the endpoint and
+   * credentials yet, and starts a new one if the server has expired it.
    *
    * @private
    * @param {string} endpoint - The endpoint URL
    * @param {string} method - The JSON-RPC method to call
    * @param {Object} params - Parameters for the method
    * @param {Object} headers - HTTP headers for the request
-   * @returns {Promise<Object>} Parsed JSON response
+   * @param {AbortSignal} [signal] - Cancels the request, defaults to the configured timeout
+   * @returns {Promise<Object>} The JSON-RPC response
    * @throws {Error} If the request fails
    */
-  async _makeJsonRpcRequest(endpoint, method, params, headers) {
+  async _makeJsonRpcRequest(endpoint, method, params, headers, signal = AbortSignal.timeout(AppConfig.tools.defaultTimeoutMs)) {
+    const session = await this._getSession(endpoint, headers, signal);
+
+    try {
+      return await this._sendRequest(endpoint, method, params, session, headers, signal);
+    } catch (error) {
+      // Servers answer 404 for sessions they no longer know
+      if (error.status === 404 && session.sessionId) {
+        mcpSessions.delete(getSessionKey(endpoint, headers));
+        const newSession = await this._getSession(endpoint, headers, signal);
+        return await this._sendRequest(endpoint, method, params, newSession, headers, signal);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Sends a JSON-RPC request within a session.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {string} method - The JSON-RPC method to call
+   * @param {Object} params - Parameters for the method
+   * @param {Object} session - The MCP session
+   * @param {Object} headers - HTTP headers for the request
+   * @param {AbortSignal} signal - Cancels the request
+   * @returns {Promise<Object>} The JSON-RPC response
+   */
+  async _sendRequest(endpoint, method, params, session, headers, signal) {
+    const { message } = await this._post(
+      endpoint,
+      { jsonrpc: "2.0", id: nextRequestId++, method, params },
+      getSessionHeaders(headers, session),
+      signal
+    );
+
+    return message;
+  }
+
+  /**
+   * Gets the MCP session for an endpoint and credentials, initializing it if needed.
+   * Concurrent callers share one initialization.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers carrying the credentials
+   * @param {AbortSignal} signal - Cancels the initialization
+   * @returns {Promise<Object>} The session
+   */
+  async _getSession(endpoint, headers, signal) {
+    const key = getSessionKey(endpoint, headers);
+    const cached = mcpSessions.get(key);
+
+    if (cached && Date.now() - cached.lastUsedAt < AppConfig.mcp.sessionIdleTimeoutMs) {
+      cached.lastUsedAt = Date.now();
+      return cached.session;
+    }
+
+    removeIdleSessions();
+
+    const session = this._initialize(endpoint, headers, signal);
+    mcpSessions.set(key, { session, lastUsedAt: Date.now() });
+
+    try {
+      return await session;
+    } catch (error) {
+      mcpSessions.delete(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Runs the MCP initialization handshake: negotiates the protocol version,
+   * exchanges capabilities and confirms with notifications/initialized.
+   * Servers that predate the lifecycle and reject initialize are used without
+   * a session, the way this client always talked to them.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the request
+   * @param {AbortSignal} signal - Cancels the handshake
+   * @returns {Promise<Object>} The session
+   * @throws {Error} If the server speaks no supported protocol version
+   */
+  async _initialize(endpoint, headers, signal) {
+    let response;
+
+    try {
+      response = await this._post(
+        endpoint,
+        {
+          jsonrpc: "2.0",
+          id: nextRequestId++,
+          method: "initialize",
+          params: {
+            protocolVersion: SUPPORTED_PROTOCOL_VERSIONS[0],
+            capabilities: {},
+            clientInfo: CLIENT_INFO
+          }
+        },
+        headers,
+        signal
+      );
+    } catch (error) {
+      if (error.status === 404 || error.status === 405) {
+        return { legacy: true };
+      }
+      throw error;
+    }
+
+    const { message, sessionId } = response;
+
+    if (message?.error) {
+      if (message.error.code === -32601) {
+        return { legacy: true };
+      }
+      throw new Error(`MCP initialize failed: ${message.error.message}`);
+    }
+
+    const protocolVersion = message?.result?.protocolVersion;
+    if (!SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+      throw new Error(`Unsupported MCP protocol version: ${protocolVersion}`);
+    }
+
+    const session = {
+      legacy: false,
+      sessionId,
+      protocolVersion,
+      capabilities: message.result.capabilities || {},
+      serverInfo: message.result.serverInfo
+    };
+
+    await this._post(
+      endpoint,
+      { jsonrpc: "2.0", method: "notifications/initialized" },
+      getSessionHeaders(headers, session),
+      signal
+    );
+
+    return session;
+  }
+
+  /**
+   * Posts a JSON-RPC message and reads the reply, which may be plain JSON or
+   * a stream of server-sent events. Notifications in the reply are handled
+   * along the way.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} payload - The JSON-RPC request or notification
+   * @param {Object} headers - HTTP headers for the request
+   * @param {AbortSignal} signal - Cancels the request
+   * @returns {Promise<Object>} The response message, if any, and the session id header
+   * @throws {Error} If the request fails
+   */
+  async _post(endpoint, payload, headers, signal) {
+    const isCustomEndpoint = this.customEndpoints.has(endpoint);
+    if (isCustomEndpoint && !addressService.isPublicUrl(endpoint)) {
+      throw new Error("MCP server URL must be a public https URL");
+    }
+
     const response = await fetch(endpoint, {
       method: "POST",
-      headers: headers,
-      body: JSON.stringify({
-        jsonrpc: "2.0",
-        method: method,
-        id: 1,
-        params: params
-      }),
+      headers: {
+        ...headers,
+        "Accept": "application/json, text/event-stream"
+      },
+      signal,
+      dispatcher: isCustomEndpoint ? customServerAgent : mcpAgent,
+      // A redirect to an IP address is never resolved, so publicLookup would
+      // not see a server sending the request on to the app's own network
+      redirect: isCustomEndpoint ? "error" : "follow",
+      body: JSON.stringify(payload),
     });
 
     if (!response.ok) {
       const error = await response.text();
-      const errorObj = new Error(`Request failed: ${response.status} ${error}`);
+
+      // Responses of merchant-registered servers are only logged, they may
+      // come from anywhere and must not be shown back
+      if (isCustomEndpoint) {
+        console.warn(`MCP server ${endpoint} responded with ${response.status}:`, error.slice(0, 500));
+      }
+
+      const errorObj = new Error(`Request failed: ${response.status}${isCustomEndpoint ? "" : ` ${error}`}`);
       errorObj.status = response.status;
       throw errorObj;
     }
 
-    return await response.json();
+    const sessionId = response.headers.get("Mcp-Session-Id") || undefined;
+
+    // Notifications are acknowledged without a body
+    if (payload.id === undefined || response.status === 202) {
+      await response.body?.cancel();
+      return { message: null, sessionId };
+    }
+
+    const contentType = response.headers.get("Content-Type") || "";
+    const messages = contentType.includes("text/event-stream")
+      ? readEventStreamMessages(response.body)
+      : [].concat(await response.json());
+
+    for await (const message of messages) {
+      if (message.id === payload.id && ("result" in message || "error" in message)) {
+        return { message, sessionId };
+      }
+      this._handleServerMessage(endpoint, message);
+    }
+
+    throw new Error(`No response to ${payload.method} from ${endpoint}`);
+  }
+
+  /**
+   * Handles notifications a server sends alongside a response.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} message - The JSON-RPC message
+   */
+  _handleServerMessage(endpoint, message) {
+    if (message.method === "notifications/tools/list_changed") {
+      console.log(`Tool list changed on ${endpoint}`);
+      const catalogKey = this.catalogKeys[endpoint];
+      if (catalogKey) {
+        toolCatalog.invalidate(catalogKey);
+      }
+    }
+  }
+
+  /**
+   * Lists the tools of an MCP server, following pagination cursors.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the request
+   * @returns {Promise<Array>} Formatted tools data
+   */
+  async _listTools(endpoint, headers) {
+    const session = await this._getSession(endpoint, headers, AbortSignal.timeout(AppConfig.tools.defaultTimeoutMs));
+
+    // Servers without the tools capability have nothing to list
+    if (!session.legacy && !session.capabilities.tools) {
+      return [];
+    }
+
+    const toolsData = [];
+    let cursor;
+    let pages = 0;
+
+    do {
+      const response = await this._makeJsonRpcRequest(endpoint, "tools/list", cursor ? { cursor } : {}, headers);
+
+      if (response.error) {
+        throw new Error(`tools/list failed: ${response.error.message}`);
+      }
+
+      // Extract tools from the JSON-RPC response format
+      toolsData.push(...(response.result?.tools || []));
+      cursor = response.result?.nextCursor;
+      pages++;
+    } while (cursor && pages < AppConfig.mcp.maxToolListPages);
+
+    return this._formatToolsData(toolsData);
   }
 
   /**
@@ -287,4 +729,98 @@ class MCPClient {
   }
 }
 
+/**
+ * Builds the key a session is cached under, sessions belong to one set of credentials
+ * @param {string} endpoint - The endpoint URL
+ * @param {Object} headers - HTTP headers carrying the credentials
+ * @returns {string} The session key
+ */
+function getSessionKey(endpoint, headers) {
+  const credentials = Object.entries(headers)
+    .filter(([name, value]) => name !== "Content-Type" && value)
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  return credentials.length > 0 ? `${endpoint}|${fingerprint(JSON.stringify(credentials))}` : endpoint;
+}
+
+/**
+ * Builds the request headers for a merchant-registered MCP server
+ * @param {Object} server - The McpServer record
+ * @returns {Object} HTTP headers including the server's auth header, if any
+ */
+function getCustomServerHeaders(server) {
+  return {
+    "Content-Type": "application/json",
+    ...(server.authHeaderName && server.authHeaderValue
+      ? { [server.authHeaderName]: server.authHeaderValue }
+      : {})
+  };
+}
+
+/**
+ * Parses the allowed tool names stored with a server
+ * @param {string} allowedTools - JSON array of tool names
+ * @returns {Array<string>} The tool names, empty when all tools are allowed
+ */
+function parseAllowedTools(allowedTools) {
+  try {
+    const parsed = JSON.parse(allowedTools || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Adds the session id and negotiated protocol version to request headers
+ * @param {Object} headers - HTTP headers for the request
+ * @param {Object} session - The MCP session
+ * @returns {Object} The headers for a request within the session
+ */
+function getSessionHeaders(headers, session) {
+  if (session.legacy) return headers;
+
+  return {
+    ...headers,
+    ...(session.sessionId ? { "Mcp-Session-Id": session.sessionId } : {}),
+    "MCP-Protocol-Version": session.protocolVersion
+  };
+}
+
+/**
+ * Drops sessions that have not been used for a while
+ */
+function removeIdleSessions() {
+  const now = Date.now();
+  for (const [key, entry] of mcpSessions) {
+    if (now - entry.lastUsedAt >= AppConfig.mcp.sessionIdleTimeoutMs) {
+      mcpSessions.delete(key);
+    }
+  }
+}
+
+/**
+ * Hashes a credential so it can be used in cache keys without storing it
+ * @param {string} value - The credential
+ * @returns {string} A short hash of the credential
+ */
+function fingerprint(value) {
+  return createHash("sha256").update(value).digest("hex").slice(0, 16);
+}
+
+/**
+ * Reads JSON-RPC messages from a server-sent events response body
+ * @param {ReadableStream} body - The response body
+ * @returns {AsyncGenerator<Object>} Parsed messages
+ */
+async function* readEventStreamMessages(body) {
+  for await (const event of readEventStream(body)) {
+    try {
+      yield* [].concat(JSON.parse(event));
+    } catch (error) {
+      console.warn("Skipping malformed MCP stream event:", event);
+    }
+  }
+}
+
 export default MCPClient;
@@ -1,5 +1,6 @@
 import { authenticate } from "../shopify.server";
-import db from "../db.server";
+import db, { deleteShopData } from "../db.server";
+import { createToolCatalogService } from "../services/tool-catalog.server";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -11,6 +12,8 @@ export const action = async ({ request }) => {
       if (session) {
         await db.session.deleteMany({where: {shop}});
       }
+      await deleteShopData(shop);
+      createToolCatalogService().invalidateShop(shop);
       break;
     default:
       throw new Response('Unhandled webhook topic', {status: 404});
@@ -1,121 +1,202 @@
+import { useState } from "react";
+import { useLoaderData, useNavigate, useSearchParams } from "@remix-run/react";
 import {
   Page,
   Layout,
   Text,
   Card,
   BlockStack,
-  List,
-  Link,
   InlineStack,
+  IndexTable,
+  TextField,
+  Button,
+  Pagination,
+  EmptyState,
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { listConversations } from "../db.server";
+import AppConfig from "../services/config.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const page = Math.max(parseInt(url.searchParams.get("page") || "1", 10) || 1, 1);
+  const query = (url.searchParams.get("query") || "").trim();
+  const from = parseDateParam(url.searchParams.get("from"));
+  const to = parseDateParam(url.searchParams.get("to"), 1);
+  const pageSize = AppConfig.admin.conversationsPageSize;
+
+  const { conversations, total } = await listConversations(session.shop, {
+    page,
+    pageSize,
+    from,
+    to,
+    query
+  });
+
+  return {
+    conversations: conversations.map((conversation) => ({
+      id: conversation.id,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      messageCount: conversation._count.messages,
+      preview: truncate(conversation.messages[0]?.content || "", AppConfig.admin.previewLength)
+    })),
+    total,
+    page,
+    hasNext: page * pageSize < total
+  };
+};
+
+/**
+ * Parse a YYYY-MM-DD query parameter into a Date
+ * @param {string|null} value - The raw parameter value
+ * @param {number} offsetDays - Days to add, used to make the end date inclusive
+ * @returns {Date|null} The parsed date or null if missing/invalid
+ */
+function parseDateParam(value, offsetDays = 0) {
+  if (!value) return null;
+
+  const date = new Date(`${value}T00:00:00.000Z`);
+  if (Number.isNaN(date.getTime())) return null;
+
+  date.setUTCDate(date.getUTCDate() + offsetDays);
+  return date;
+}
+
+/**
+ * Shorten text for the conversation preview column
+ * @param {string} text - The text to shorten
+ * @param {number} length - Maximum length
+ * @returns {string} The shortened text
+ */
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length)}…` : text;
+}
 
 export default function Index() {
+  const { conversations, total, page, hasNext } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+
+  const [query, setQuery] = useState(searchParams.get("query") || "");
+  const [from, setFrom] = useState(searchParams.get("from") || "");
+  const [to, setTo] = useState(searchParams.get("to") || "");
+
+  const applyFilters = () => {
+    const params = new URLSearchParams();
+    if (query) params.set("query", query);
+    if (from) params.set("from", from);
+    if (to) params.set("to", to);
+    setSearchParams(params);
+  };
+
+  const clearFilters = () => {
+    setQuery("");
+    setFrom("");
+    setTo("");
+    setSearchParams(new URLSearchParams());
+  };
+
+  const goToPage = (nextPage) => {
+    const params = new URLSearchParams(searchParams);
+    params.set("page", String(nextPage));
+    setSearchParams(params);
+  };
+
+  const rows = conversations.map((conversation, index) => (
+    <IndexTable.Row
+      id={conversation.id}
+      key={conversation.id}
+      position={index}
+      onClick={() => navigate(`/app/conversations/${conversation.id}`)}
+    >
+      <IndexTable.Cell>
+        <Text as="span" variant="bodyMd" fontWeight="semibold">
+          {conversation.preview || conversation.id}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{conversation.messageCount}</IndexTable.Cell>
+      <IndexTable.Cell>{new Date(conversation.createdAt).toLocaleString()}</IndexTable.Cell>
+      <IndexTable.Cell>{new Date(conversation.updatedAt).toLocaleString()}</IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
   return (
     <Page>
-      <TitleBar title="Shop chat agent reference app">
-      </TitleBar>
-      <BlockStack gap="500">
-        <Layout>
-          <Layout.Section>
+      <TitleBar title="Conversations" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
             <Card>
-              <BlockStack gap="500">
-                <BlockStack gap="200">
-                  <Text as="h2" variant="headingMd">
-                    Congrats on creating a new Shopify app 🎉
-                  </Text>
-                  <Text variant="bodyMd" as="p">
-                    This is a reference app that adds a chat agent on your storefront, which is powered via claude and can connect shopify mcp platform.
-                  </Text>
-                </BlockStack>
+              <BlockStack gap="300">
+                <TextField
+                  label="Search messages"
+                  value={query}
+                  onChange={setQuery}
+                  autoComplete="off"
+                  placeholder="Find conversations containing..."
+                  clearButton
+                  onClearButtonClick={() => setQuery("")}
+                />
+                <InlineStack gap="300" blockAlign="end">
+                  <TextField
+                    label="From"
+                    type="date"
+                    value={from}
+                    onChange={setFrom}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="To"
+                    type="date"
+                    value={to}
+                    onChange={setTo}
+                    autoComplete="off"
+                  />
+                  <Button variant="primary" onClick={applyFilters}>
+                    Apply
+                  </Button>
+                  <Button onClick={clearFilters}>Clear</Button>
+                </InlineStack>
               </BlockStack>
             </Card>
-          </Layout.Section>
-          <Layout.Section variant="oneThird">
-            <BlockStack gap="500">
-              <Card>
-                <BlockStack gap="200">
-                  <Text as="h2" variant="headingMd">
-                    App template specs
-                  </Text>
-                  <BlockStack gap="200">
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodyMd">
-                        Framework
-                      </Text>
-                      <Link
-                        url="https://remix.run"
-                        target="_blank"
-                        removeUnderline
-                      >
-                        Remix
-                      </Link>
-                    </InlineStack>
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodyMd">
-                        Database
-                      </Text>
-                      <Link
-                        url="https://www.prisma.io/"
-                        target="_blank"
-                        removeUnderline
-                      >
-                        Prisma
-                      </Link>
-                    </InlineStack>
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodyMd">
-                        Interface
-                      </Text>
-                      <span>
-                        <Link
-                          url="https://polaris.shopify.com"
-                          target="_blank"
-                          removeUnderline
-                        >
-                          Polaris
-                        </Link>
-                        {", "}
-                        <Link
-                          url="https://shopify.dev/docs/apps/tools/app-bridge"
-                          target="_blank"
-                          removeUnderline
-                        >
-                          App Bridge
-                        </Link>
-                      </span>
-                    </InlineStack>
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodyMd">
-                        API
-                      </Text>
-                      <Link
-                        url="https://shopify.dev/docs/api/admin-graphql"
-                        target="_blank"
-                        removeUnderline
-                      >
-                        GraphQL API
-                      </Link>
-                    </InlineStack>
-                  </BlockStack>
-                </BlockStack>
-              </Card>
-              <Card>
-                <BlockStack gap="200">
-                  <Text as="h2" variant="headingMd">
-                    Next steps
-                  </Text>
-                  <List>
-                    <List.Item>
-                      Enable the theme extension in your theme editor.
-                    </List.Item>
-                  </List>
-                </BlockStack>
-              </Card>
-            </BlockStack>
-          </Layout.Section>
-        </Layout>
-      </BlockStack>
+            <Card padding="0">
+              <IndexTable
+                resourceName={{ singular: "conversation", plural: "conversations" }}
+                itemCount={conversations.length}
+                selectable={false}
+                emptyState={
+                  <EmptyState heading="No conversations found" image="">
+                    <p>Conversations appear here once customers start chatting on your storefront.</p>
+                  </EmptyState>
+                }
+                headings={[
+                  { title: "First message" },
+                  { title: "Messages" },
+                  { title: "Started" },
+                  { title: "Last activity" },
+                ]}
+              >
+                {rows}
+              </IndexTable>
+            </Card>
+            <InlineStack align="space-between" blockAlign="center">
+              <Text as="span" variant="bodySm" tone="subdued">
+                {total} conversation{total === 1 ? "" : "s"}
+              </Text>
+              <Pagination
+                hasPrevious={page > 1}
+                onPrevious={() => goToPage(page - 1)}
+                hasNext={hasNext}
+                onNext={() => goToPage(page + 1)}
+              />
+            </InlineStack>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
     </Page>
   );
 }
@@ -0,0 +1,277 @@
+import { json } from "@remix-run/node";
+import { useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  InlineStack,
+  Badge,
+  Box,
+  Collapsible,
+  Button,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { useId, useState } from "react";
+import { authenticate } from "../shopify.server";
+import { getConversationWithMessages } from "../db.server";
+import { parseContext } from "../services/message-context.server";
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const conversation = await getConversationWithMessages(params.id, session.shop);
+
+  if (!conversation) {
+    throw json({ error: "Conversation not found" }, { status: 404 });
+  }
+
+  return {
+    conversation: {
+      ...conversation,
+      messages: conversation.messages.map((message) => ({ ...message, context: parseContext(message.context) }))
+    }
+  };
+};
+
+/**
+ * Parse a stored message into a list of content blocks
+ * @param {string} content - The stored message content
+ * @returns {Array} Content blocks in the Claude message format
+ */
+function parseContentBlocks(content) {
+  try {
+    const parsed = JSON.parse(content);
+    if (Array.isArray(parsed)) return parsed;
+    if (typeof parsed === "string") return [{ type: "text", text: parsed }];
+  } catch (e) {
+    // Plain text message
+  }
+
+  return [{ type: "text", text: content }];
+}
+
+/**
+ * Read the text of a stored conversation summary
+ * @param {string} content - The stored summary content
+ * @returns {string} The summary text, or an empty string if it is malformed
+ */
+function parseSummaryText(content) {
+  try {
+    const { summary } = JSON.parse(content);
+    return typeof summary === "string" ? summary : "";
+  } catch (e) {
+    return "";
+  }
+}
+
+/**
+ * Convert tool result content into readable text
+ * @param {string|Array} content - The tool_result content
+ * @returns {string} The readable text
+ */
+function toolResultText(content) {
+  if (typeof content === "string") return prettyJson(content);
+  if (!Array.isArray(content)) return JSON.stringify(content, null, 2);
+
+  return content
+    .map((block) => (block.type === "text" ? prettyJson(block.text) : JSON.stringify(block, null, 2)))
+    .join("\n\n");
+}
+
+/**
+ * Pretty-print text if it holds JSON, otherwise return it unchanged
+ * @param {string} text - The text to format
+ * @returns {string} The formatted text
+ */
+function prettyJson(text) {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (e) {
+    return text;
+  }
+}
+
+export default function ConversationDetail() {
+  const { conversation } = useLoaderData();
+
+  // Summaries replace older turns for the assistant only, they are shown apart from the transcript
+  const summaries = conversation.messages
+    .filter((message) => message.role === "summary")
+    .map((message) => ({ ...message, text: parseSummaryText(message.content) }))
+    .filter((summary) => summary.text);
+
+  // Tool results only carry the tool_use id, so map ids back to tool names
+  const toolNames = {};
+  const messages = conversation.messages
+    .filter((message) => message.role !== "summary")
+    .map((message) => {
+      const blocks = parseContentBlocks(message.content);
+      blocks
+        .filter((block) => block.type === "tool_use")
+        .forEach((block) => { toolNames[block.id] = block.name; });
+      // Context the widget sent along is shown ahead of the customer's text
+      const contextBlocks = message.context.length > 0 ? [{ type: "context", texts: message.context }] : [];
+      return { ...message, blocks: [...contextBlocks, ...blocks] };
+    });
+
+  return (
+    <Page backAction={{ content: "Conversations", url: "/app" }}>
+      <TitleBar title={`Conversation ${conversation.id}`} />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="300">
+            <Text as="p" variant="bodySm" tone="subdued">
+              Started {new Date(conversation.createdAt).toLocaleString()} · Last activity{" "}
+              {new Date(conversation.updatedAt).toLocaleString()} · Cost ${conversation.costUsd.toFixed(4)} ·{" "}
+              {(conversation.inputTokens + conversation.outputTokens).toLocaleString()} tokens
+            </Text>
+            {messages.map((message) =>
+              message.blocks.map((block, index) => (
+                <MessageBlock
+                  key={`${message.id}-${index}`}
+                  role={message.role}
+                  block={block}
+                  createdAt={message.createdAt}
+                  toolNames={toolNames}
+                />
+              ))
+            )}
+          </BlockStack>
+        </Layout.Section>
+        {summaries.length > 0 && (
+          <Layout.Section variant="oneThird">
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingSm">
+                  Summaries for the assistant
+                </Text>
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Once a conversation grows long, the assistant sees a summary instead of its older turns.
+                </Text>
+                {summaries.map((summary) => (
+                  <BlockStack key={summary.id} gap="100">
+                    <Text as="span" variant="bodySm" tone="subdued">
+                      {new Date(summary.createdAt).toLocaleString()}
+                    </Text>
+                    <Text as="p" variant="bodyMd">
+                      <span style={{ whiteSpace: "pre-wrap" }}>{summary.text}</span>
+                    </Text>
+                  </BlockStack>
+                ))}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
+
+function MessageBlock({ role, block, createdAt, toolNames }) {
+  const timestamp = new Date(createdAt).toLocaleTimeString();
+
+  if (role === "note") {
+    return (
+      <ToolStep
+        badge={<Badge tone="attention">Note</Badge>}
+        title="Told the assistant"
+        timestamp={timestamp}
+        details={block.text}
+      />
+    );
+  }
+
+  if (block.type === "context") {
+    return (
+      <ToolStep
+        badge={<Badge>Context</Badge>}
+        title="Sent to the assistant with the customer's message"
+        timestamp={timestamp}
+        details={block.texts.join("\n\n")}
+      />
+    );
+  }
+
+  if (block.type === "tool_use") {
+    return (
+      <ToolStep
+        badge={<Badge tone="info">Tool call</Badge>}
+        title={`Called ${block.name}`}
+        timestamp={timestamp}
+        details={JSON.stringify(block.input, null, 2)}
+      />
+    );
+  }
+
+  if (block.type === "tool_result") {
+    return (
+      <ToolStep
+        badge={<Badge tone={block.is_error ? "critical" : "success"}>Tool result</Badge>}
+        title={`Result from ${toolNames[block.tool_use_id] || "tool"}`}
+        timestamp={timestamp}
+        details={toolResultText(block.content)}
+      />
+    );
+  }
+
+  if (block.type !== "text" || !block.text) {
+    return null;
+  }
+
+  return (
+    <Card background={role === "user" ? "bg-surface-secondary" : "bg-surface"}>
+      <BlockStack gap="100">
+        <InlineStack align="space-between">
+          <Text as="span" variant="headingSm">
+            {role === "user" ? "Customer" : "Assistant"}
+          </Text>
+          <Text as="span" variant="bodySm" tone="subdued">
+            {timestamp}
+          </Text>
+        </InlineStack>
+        <Text as="p" variant="bodyMd">
+          <span style={{ whiteSpace: "pre-wrap" }}>{block.text}</span>
+        </Text>
+      </BlockStack>
+    </Card>
+  );
+}
+
+function ToolStep({ badge, title, timestamp, details }) {
+  const [open, setOpen] = useState(false);
+  const detailsId = useId();
+
+  return (
+    <Box paddingInlineStart="400">
+      <Card>
+        <BlockStack gap="200">
+          <InlineStack align="space-between" blockAlign="center">
+            <InlineStack gap="200" blockAlign="center">
+              {badge}
+              <Text as="span" variant="bodyMd">
+                {title}
+              </Text>
+            </InlineStack>
+            <InlineStack gap="200" blockAlign="center">
+              <Text as="span" variant="bodySm" tone="subdued">
+                {timestamp}
+              </Text>
+              <Button variant="plain" onClick={() => setOpen(!open)}>
+                {open ? "Hide details" : "Show details"}
+              </Button>
+            </InlineStack>
+          </InlineStack>
+          <Collapsible open={open} id={detailsId}>
+            <Box background="bg-surface-secondary" padding="200" borderRadius="200">
+              <pre style={{ margin: 0, whiteSpace: "pre-wrap", wordBreak: "break-word" }}>
+                {details}
+              </pre>
+            </Box>
+          </Collapsible>
+        </BlockStack>
+      </Card>
+    </Box>
+  );
+}
@@ -20,8 +20,12 @@ export default function App() {
     <AppProvider isEmbeddedApp apiKey={apiKey}>
       <NavMenu>
         <Link to="/app" rel="home">
-          Home
+          Conversations
         </Link>
+        <Link to="/app/prompts">System prompts</Link>
+        <Link to="/app/tools">Tools</Link>
+        <Link to="/app/mcp-servers">MCP servers</Link>
+        <Link to="/app/usage">Usage</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
@@ -0,0 +1,277 @@
+import { useState } from "react";
+import { json, redirect } from "@remix-run/node";
+import { useActionData, useLoaderData, useNavigation, useSubmit } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  InlineStack,
+  TextField,
+  Checkbox,
+  Button,
+  Banner,
+  Badge,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getMcpServer,
+  saveMcpServer,
+  deleteMcpServer
+} from "../db.server";
+import MCPClient from "../mcp-client";
+import { createAddressService } from "../services/address.server";
+
+const NAME_PREFIX_PATTERN = /^[a-z][a-z0-9_]{0,19}$/;
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const isNew = params.id === "new";
+
+  const server = isNew ? null : await getMcpServer(params.id, session.shop);
+
+  if (!isNew && !server) {
+    throw json({ error: "MCP server not found" }, { status: 404 });
+  }
+
+  // The auth header value is never sent back to the browser
+  return {
+    isNew,
+    name: server?.name || "",
+    url: server?.url || "",
+    namePrefix: server?.namePrefix || "",
+    authHeaderName: server?.authHeaderName || "",
+    hasAuthHeaderValue: Boolean(server?.authHeaderValue),
+    allowedTools: JSON.parse(server?.allowedTools || "[]").join(", "),
+    enabled: server ? server.enabled : true
+  };
+};
+
+export const action = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const isNew = params.id === "new";
+
+  if (intent === "delete") {
+    await deleteMcpServer(params.id, session.shop);
+    return redirect("/app/mcp-servers");
+  }
+
+  const existing = isNew ? null : await getMcpServer(params.id, session.shop);
+  if (!isNew && !existing) {
+    return json({ errors: { form: "This server no longer exists" } }, { status: 404 });
+  }
+
+  const name = String(formData.get("name") || "").trim();
+  const url = String(formData.get("url") || "").trim();
+  const namePrefix = String(formData.get("namePrefix") || "").trim();
+  const authHeaderName = String(formData.get("authHeaderName") || "").trim();
+  const enteredHeaderValue = String(formData.get("authHeaderValue") || "");
+  const allowedTools = String(formData.get("allowedTools") || "")
+    .split(",")
+    .map((tool) => tool.trim())
+    .filter(Boolean);
+  const enabled = formData.get("enabled") === "true";
+
+  // A blank value keeps the stored one, removing the header name clears it
+  const authHeaderValue = authHeaderName
+    ? enteredHeaderValue || existing?.authHeaderValue || null
+    : null;
+
+  const errors = {};
+  if (!name) {
+    errors.name = "Name is required";
+  }
+  if (!createAddressService().isPublicUrl(url)) {
+    errors.url = "Enter the full https:// URL of a publicly reachable MCP endpoint";
+  }
+  if (!NAME_PREFIX_PATTERN.test(namePrefix)) {
+    errors.namePrefix = "Use up to 20 lowercase letters, numbers or underscores, starting with a letter";
+  }
+  if (authHeaderName && !HEADER_NAME_PATTERN.test(authHeaderName)) {
+    errors.authHeaderName = "Use a valid HTTP header name, such as Authorization";
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return json({ errors }, { status: 422 });
+  }
+
+  if (intent === "test") {
+    try {
+      const mcpClient = new MCPClient(`https://${session.shop}`, null, session.shop, null);
+      const tools = await mcpClient.listCustomServerTools({ url, authHeaderName, authHeaderValue });
+      return json({ tools: tools.map((tool) => tool.name) });
+    } catch (error) {
+      // The details stay in the logs, the server's response is not shown back
+      console.warn(`Testing MCP server ${url} failed:`, error.message);
+      return json({
+        errors: { form: "Could not list the server's tools. Check the URL and auth header, and that the server is publicly reachable." }
+      }, { status: 502 });
+    }
+  }
+
+  try {
+    const server = await saveMcpServer(session.shop, isNew ? null : params.id, {
+      name,
+      url,
+      namePrefix,
+      authHeaderName: authHeaderName || null,
+      authHeaderValue,
+      allowedTools: JSON.stringify(allowedTools),
+      enabled
+    });
+    return redirect(`/app/mcp-servers/${server.id}`);
+  } catch (error) {
+    if (error.code === "P2002") {
+      return json({ errors: { namePrefix: "Another server already uses this prefix" } }, { status: 422 });
+    }
+    throw error;
+  }
+};
+
+export default function McpServerEditor() {
+  const server = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const errors = actionData?.errors || {};
+  const isSubmitting = navigation.state === "submitting";
+  const submittingIntent = navigation.formData?.get("intent");
+
+  const [name, setName] = useState(server.name);
+  const [url, setUrl] = useState(server.url);
+  const [namePrefix, setNamePrefix] = useState(server.namePrefix);
+  const [authHeaderName, setAuthHeaderName] = useState(server.authHeaderName);
+  const [authHeaderValue, setAuthHeaderValue] = useState("");
+  const [allowedTools, setAllowedTools] = useState(server.allowedTools);
+  const [enabled, setEnabled] = useState(server.enabled);
+
+  const fields = {
+    name,
+    url,
+    namePrefix,
+    authHeaderName,
+    authHeaderValue,
+    allowedTools,
+    enabled: String(enabled)
+  };
+
+  const save = () => submit({ intent: "save", ...fields }, { method: "post" });
+  const test = () => submit({ intent: "test", ...fields }, { method: "post" });
+  const remove = () => submit({ intent: "delete" }, { method: "post" });
+
+  return (
+    <Page
+      backAction={{ content: "MCP servers", url: "/app/mcp-servers" }}
+      primaryAction={{
+        content: "Save",
+        onAction: save,
+        loading: isSubmitting && submittingIntent === "save"
+      }}
+      secondaryActions={server.isNew ? [] : [{
+        content: "Delete",
+        destructive: true,
+        onAction: remove
+      }]}
+    >
+      <TitleBar title={server.isNew ? "Add MCP server" : server.name} />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            {errors.form && <Banner tone="critical">{errors.form}</Banner>}
+            <Card>
+              <BlockStack gap="300">
+                <TextField
+                  label="Name"
+                  value={name}
+                  onChange={setName}
+                  autoComplete="off"
+                  error={errors.name}
+                />
+                <TextField
+                  label="Endpoint URL"
+                  value={url}
+                  onChange={setUrl}
+                  type="url"
+                  autoComplete="off"
+                  placeholder="https://example.com/mcp"
+                  error={errors.url}
+                />
+                <TextField
+                  label="Tool prefix"
+                  value={namePrefix}
+                  onChange={setNamePrefix}
+                  autoComplete="off"
+                  helpText="Added to the start of every tool name, e.g. loyalty_get_points, so tools of different servers never collide."
+                  error={errors.namePrefix}
+                />
+                <InlineStack gap="300" wrap={false}>
+                  <TextField
+                    label="Auth header"
+                    value={authHeaderName}
+                    onChange={setAuthHeaderName}
+                    autoComplete="off"
+                    placeholder="Authorization"
+                    error={errors.authHeaderName}
+                  />
+                  <TextField
+                    label="Auth header value"
+                    value={authHeaderValue}
+                    onChange={setAuthHeaderValue}
+                    type="password"
+                    autoComplete="off"
+                    placeholder={server.hasAuthHeaderValue ? "Leave blank to keep the saved value" : "Bearer ..."}
+                  />
+                </InlineStack>
+                <TextField
+                  label="Allowed tools"
+                  value={allowedTools}
+                  onChange={setAllowedTools}
+                  autoComplete="off"
+                  helpText="Comma-separated tool names as the server lists them. Leave blank to allow all tools."
+                />
+                <Checkbox
+                  label="Enabled"
+                  checked={enabled}
+                  onChange={setEnabled}
+                />
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Connection
+              </Text>
+              <Text as="p" variant="bodySm" tone="subdued">
+                Lists the server's tools with the settings above, without saving them.
+              </Text>
+              <Button onClick={test} loading={isSubmitting && submittingIntent === "test"}>
+                Test connection
+              </Button>
+              {actionData?.tools && (
+                actionData.tools.length > 0 ? (
+                  <InlineStack gap="100">
+                    {actionData.tools.map((tool) => (
+                      <Badge key={tool}>{tool}</Badge>
+                    ))}
+                  </InlineStack>
+                ) : (
+                  <Text as="p" variant="bodySm">
+                    The server has no tools.
+                  </Text>
+                )
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
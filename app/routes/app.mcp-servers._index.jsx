@@ -0,0 +1,107 @@
+import { useLoaderData, useNavigate } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  IndexTable,
+  Badge,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { listMcpServers } from "../db.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const servers = await listMcpServers(session.shop);
+
+  return {
+    servers: servers.map((server) => ({
+      id: server.id,
+      name: server.name,
+      url: server.url,
+      namePrefix: server.namePrefix,
+      enabled: server.enabled,
+      allowedToolCount: JSON.parse(server.allowedTools || "[]").length,
+      updatedAt: server.updatedAt
+    }))
+  };
+};
+
+export default function McpServers() {
+  const { servers } = useLoaderData();
+  const navigate = useNavigate();
+
+  const rows = servers.map((server, index) => (
+    <IndexTable.Row
+      id={server.id}
+      key={server.id}
+      position={index}
+      onClick={() => navigate(`/app/mcp-servers/${server.id}`)}
+    >
+      <IndexTable.Cell>
+        <BlockStack gap="100">
+          <Text as="span" variant="bodyMd" fontWeight="semibold">
+            {server.name}
+          </Text>
+          <Text as="span" variant="bodySm" tone="subdued">
+            {server.url}
+          </Text>
+        </BlockStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <code>{server.namePrefix}_</code>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {server.allowedToolCount > 0 ? `${server.allowedToolCount} allowed` : "All"}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {server.enabled ? <Badge tone="success">Enabled</Badge> : <Badge>Disabled</Badge>}
+      </IndexTable.Cell>
+      <IndexTable.Cell>{new Date(server.updatedAt).toLocaleDateString()}</IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page
+      primaryAction={{ content: "Add server", url: "/app/mcp-servers/new" }}
+    >
+      <TitleBar title="MCP servers" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            <Text as="p" variant="bodyMd">
+              The assistant always uses your store's catalog and customer account tools.
+              Add your own MCP servers to give it more tools, such as store locators or
+              loyalty programs.
+            </Text>
+            <Card padding="0">
+              <IndexTable
+                resourceName={{ singular: "server", plural: "servers" }}
+                itemCount={servers.length}
+                selectable={false}
+                emptyState={
+                  <EmptyState heading="No additional MCP servers" image="">
+                    <p>Servers you add appear here.</p>
+                  </EmptyState>
+                }
+                headings={[
+                  { title: "Server" },
+                  { title: "Tool prefix" },
+                  { title: "Tools" },
+                  { title: "Status" },
+                  { title: "Updated" },
+                ]}
+              >
+                {rows}
+              </IndexTable>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
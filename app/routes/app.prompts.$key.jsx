@@ -0,0 +1,223 @@
+import { useState } from "react";
+import { json, redirect } from "@remix-run/node";
+import { useActionData, useLoaderData, useNavigation, useSubmit } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  InlineStack,
+  TextField,
+  Button,
+  Banner,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getShopPromptVersions,
+  saveShopPrompt,
+  deleteShopPrompt
+} from "../db.server";
+import systemPrompts from "../prompts/prompts.json";
+
+const PROMPT_KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const isNew = params.key === "new";
+
+  const versions = isNew ? [] : await getShopPromptVersions(session.shop, params.key);
+  const builtIn = isNew ? null : systemPrompts.systemPrompts[params.key] || null;
+
+  if (!isNew && versions.length === 0 && !builtIn) {
+    throw json({ error: "Prompt not found" }, { status: 404 });
+  }
+
+  const latest = versions[0];
+
+  return {
+    isNew,
+    isBuiltIn: Boolean(builtIn),
+    promptKey: isNew ? "" : params.key,
+    name: latest?.name || (builtIn ? params.key : ""),
+    description: latest?.description || builtIn?.description || "",
+    content: latest?.content || builtIn?.content || "",
+    versions: versions.map((version) => ({
+      version: version.version,
+      name: version.name,
+      content: version.content,
+      createdAt: version.createdAt
+    }))
+  };
+};
+
+export const action = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "delete") {
+    await deleteShopPrompt(session.shop, params.key);
+    return redirect("/app/prompts");
+  }
+
+  if (intent === "restore") {
+    const version = parseInt(formData.get("version"), 10);
+    const versions = await getShopPromptVersions(session.shop, params.key);
+    const target = versions.find((candidate) => candidate.version === version);
+
+    if (!target) {
+      return json({ errors: { form: "That version no longer exists" } }, { status: 404 });
+    }
+
+    await saveShopPrompt(session.shop, params.key, target);
+    return redirect(`/app/prompts/${params.key}`);
+  }
+
+  const promptKey = params.key === "new"
+    ? String(formData.get("promptKey") || "").trim()
+    : params.key;
+  const name = String(formData.get("name") || "").trim();
+  const description = String(formData.get("description") || "").trim();
+  const content = String(formData.get("content") || "").trim();
+
+  const errors = {};
+  if (!PROMPT_KEY_PATTERN.test(promptKey) || promptKey === "new") {
+    errors.promptKey = "Use up to 64 letters, numbers, dashes or underscores";
+  }
+  if (!name) {
+    errors.name = "Name is required";
+  }
+  if (!content) {
+    errors.content = "Prompt text is required";
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return json({ errors }, { status: 422 });
+  }
+
+  await saveShopPrompt(session.shop, promptKey, { name, description, content });
+  return redirect(`/app/prompts/${promptKey}`);
+};
+
+export default function PromptEditor() {
+  const prompt = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const errors = actionData?.errors || {};
+  const isSubmitting = navigation.state === "submitting";
+
+  const [promptKey, setPromptKey] = useState(prompt.promptKey);
+  const [name, setName] = useState(prompt.name);
+  const [description, setDescription] = useState(prompt.description);
+  const [content, setContent] = useState(prompt.content);
+
+  const save = () => submit(
+    { intent: "save", promptKey, name, description, content },
+    { method: "post" }
+  );
+
+  const restore = (version) => submit(
+    { intent: "restore", version: String(version) },
+    { method: "post" }
+  );
+
+  const remove = () => submit({ intent: "delete" }, { method: "post" });
+
+  const hasCustomVersions = prompt.versions.length > 0;
+
+  return (
+    <Page
+      backAction={{ content: "System prompts", url: "/app/prompts" }}
+      primaryAction={{ content: "Save new version", onAction: save, loading: isSubmitting }}
+      secondaryActions={hasCustomVersions ? [{
+        content: prompt.isBuiltIn ? "Revert to built-in" : "Delete",
+        destructive: true,
+        onAction: remove
+      }] : []}
+    >
+      <TitleBar title={prompt.isNew ? "New prompt" : prompt.name} />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            {errors.form && <Banner tone="critical">{errors.form}</Banner>}
+            {prompt.isBuiltIn && !hasCustomVersions && (
+              <Banner tone="info">
+                This is the built-in prompt. Saving creates a custom version for your store.
+              </Banner>
+            )}
+            <Card>
+              <BlockStack gap="300">
+                <TextField
+                  label="Key"
+                  value={promptKey}
+                  onChange={setPromptKey}
+                  disabled={!prompt.isNew}
+                  autoComplete="off"
+                  helpText="Enter this key as the Custom Prompt Key in the chat block settings."
+                  error={errors.promptKey}
+                />
+                <TextField
+                  label="Name"
+                  value={name}
+                  onChange={setName}
+                  autoComplete="off"
+                  error={errors.name}
+                />
+                <TextField
+                  label="Description"
+                  value={description}
+                  onChange={setDescription}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Prompt"
+                  value={content}
+                  onChange={setContent}
+                  multiline={12}
+                  autoComplete="off"
+                  helpText="Describe your store policies, tone and brand voice."
+                  error={errors.content}
+                />
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+        {hasCustomVersions && (
+          <Layout.Section variant="oneThird">
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Version history
+                </Text>
+                {prompt.versions.map((version, index) => (
+                  <InlineStack key={version.version} align="space-between" blockAlign="center">
+                    <BlockStack gap="050">
+                      <Text as="span" variant="bodyMd" fontWeight="semibold">
+                        Version {version.version}
+                      </Text>
+                      <Text as="span" variant="bodySm" tone="subdued">
+                        {new Date(version.createdAt).toLocaleString()}
+                      </Text>
+                    </BlockStack>
+                    {index === 0 ? (
+                      <Text as="span" variant="bodySm" tone="success">
+                        Current
+                      </Text>
+                    ) : (
+                      <Button variant="plain" onClick={() => restore(version.version)}>
+                        Restore
+                      </Button>
+                    )}
+                  </InlineStack>
+                ))}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
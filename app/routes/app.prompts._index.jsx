@@ -0,0 +1,116 @@
+import { useLoaderData, useNavigate } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  IndexTable,
+  Badge,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { listShopPrompts } from "../db.server";
+import systemPrompts from "../prompts/prompts.json";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const shopPrompts = await listShopPrompts(session.shop);
+  const customKeys = new Set(shopPrompts.map((prompt) => prompt.promptKey));
+
+  // Built-in prompts the shop has not overridden are listed so they can be customized
+  const builtInPrompts = Object.entries(systemPrompts.systemPrompts)
+    .filter(([key]) => !customKeys.has(key))
+    .map(([key, prompt]) => ({
+      promptKey: key,
+      name: key,
+      description: prompt.description,
+      version: prompt.version,
+      updatedAt: prompt.lastUpdated,
+      builtIn: true
+    }));
+
+  return {
+    prompts: [
+      ...shopPrompts.map((prompt) => ({
+        promptKey: prompt.promptKey,
+        name: prompt.name,
+        description: prompt.description,
+        version: String(prompt.version),
+        updatedAt: prompt.createdAt,
+        builtIn: false
+      })),
+      ...builtInPrompts
+    ]
+  };
+};
+
+export default function Prompts() {
+  const { prompts } = useLoaderData();
+  const navigate = useNavigate();
+
+  const rows = prompts.map((prompt, index) => (
+    <IndexTable.Row
+      id={prompt.promptKey}
+      key={prompt.promptKey}
+      position={index}
+      onClick={() => navigate(`/app/prompts/${prompt.promptKey}`)}
+    >
+      <IndexTable.Cell>
+        <BlockStack gap="100">
+          <Text as="span" variant="bodyMd" fontWeight="semibold">
+            {prompt.name}
+          </Text>
+          {prompt.description && (
+            <Text as="span" variant="bodySm" tone="subdued">
+              {prompt.description}
+            </Text>
+          )}
+        </BlockStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <code>{prompt.promptKey}</code>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {prompt.builtIn ? <Badge>Built-in</Badge> : <Badge tone="success">Custom</Badge>}
+      </IndexTable.Cell>
+      <IndexTable.Cell>{prompt.version}</IndexTable.Cell>
+      <IndexTable.Cell>{new Date(prompt.updatedAt).toLocaleDateString()}</IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page
+      primaryAction={{ content: "New prompt", url: "/app/prompts/new" }}
+    >
+      <TitleBar title="System prompts" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            <Text as="p" variant="bodyMd">
+              The chat widget picks a prompt by its key. Saving a custom prompt with the
+              key of a built-in prompt replaces it for your store.
+            </Text>
+            <Card padding="0">
+              <IndexTable
+                resourceName={{ singular: "prompt", plural: "prompts" }}
+                itemCount={prompts.length}
+                selectable={false}
+                headings={[
+                  { title: "Name" },
+                  { title: "Key" },
+                  { title: "Source" },
+                  { title: "Version" },
+                  { title: "Updated" },
+                ]}
+              >
+                {rows}
+              </IndexTable>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
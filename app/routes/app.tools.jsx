@@ -0,0 +1,233 @@
+import { useState } from "react";
+import { json } from "@remix-run/node";
+import { useActionData, useLoaderData, useNavigation, useSubmit } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  InlineStack,
+  IndexTable,
+  TextField,
+  Checkbox,
+  Button,
+  Banner,
+  Badge,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  listToolPolicies,
+  saveToolPolicy,
+  deleteToolPolicy,
+  listMcpServers
+} from "../db.server";
+import MCPClient from "../mcp-client";
+
+const TOOL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const [policies, servers] = await Promise.all([
+    listToolPolicies(session.shop),
+    listMcpServers(session.shop, { enabledOnly: true })
+  ]);
+
+  // Customer account tools are only listed per customer, so they are entered by name
+  const knownTools = [];
+  const mcpClient = new MCPClient(`https://${session.shop}`, null, session.shop, null);
+  try {
+    const storefrontTools = await mcpClient.connectToStorefrontServer();
+    knownTools.push(...storefrontTools.map((tool) => ({ name: tool.name, description: tool.description, source: "Storefront" })));
+  } catch (error) {
+    console.warn("Could not list storefront tools:", error.message);
+  }
+  const customTools = await mcpClient.connectToCustomServers(servers);
+  knownTools.push(...customTools.map((tool) => ({ name: tool.name, description: tool.description, source: "Custom server" })));
+
+  const policiesByTool = new Map(policies.map((policy) => [policy.toolName, policy]));
+  const toolNames = [...new Set([...knownTools.map((tool) => tool.name), ...policiesByTool.keys()])].sort();
+
+  return {
+    tools: toolNames.map((name) => {
+      const known = knownTools.find((tool) => tool.name === name);
+      const policy = policiesByTool.get(name);
+
+      return {
+        name,
+        source: known?.source || "Other",
+        originalDescription: known?.description || "",
+        hidden: policy?.hidden || false,
+        requiresConfirmation: policy?.requiresConfirmation || false,
+        description: policy?.description || "",
+        hasPolicy: Boolean(policy)
+      };
+    })
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const toolName = String(formData.get("toolName") || "").trim();
+
+  if (!TOOL_NAME_PATTERN.test(toolName)) {
+    return json({ errors: { toolName: "Use the tool name exactly as the assistant sees it" } }, { status: 422 });
+  }
+
+  if (intent === "delete") {
+    await deleteToolPolicy(session.shop, toolName);
+    return json({ saved: toolName });
+  }
+
+  await saveToolPolicy(session.shop, toolName, {
+    hidden: formData.get("hidden") === "true",
+    requiresConfirmation: formData.get("requiresConfirmation") === "true",
+    description: String(formData.get("description") || "").trim() || null
+  });
+
+  return json({ saved: toolName });
+};
+
+export default function ToolPolicies() {
+  const { tools } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const errors = actionData?.errors || {};
+  const isSubmitting = navigation.state === "submitting";
+
+  const [toolName, setToolName] = useState("");
+  const [hidden, setHidden] = useState(false);
+  const [requiresConfirmation, setRequiresConfirmation] = useState(false);
+  const [description, setDescription] = useState("");
+
+  const selectedTool = tools.find((tool) => tool.name === toolName);
+
+  const selectTool = (tool) => {
+    setToolName(tool.name);
+    setHidden(tool.hidden);
+    setRequiresConfirmation(tool.requiresConfirmation);
+    setDescription(tool.description);
+  };
+
+  const save = () => submit(
+    {
+      intent: "save",
+      toolName,
+      hidden: String(hidden),
+      requiresConfirmation: String(requiresConfirmation),
+      description
+    },
+    { method: "post" }
+  );
+
+  const reset = () => submit({ intent: "delete", toolName }, { method: "post" });
+
+  const rows = tools.map((tool, index) => (
+    <IndexTable.Row
+      id={tool.name}
+      key={tool.name}
+      position={index}
+      selected={tool.name === toolName}
+      onClick={() => selectTool(tool)}
+    >
+      <IndexTable.Cell>
+        <code>{tool.name}</code>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{tool.source}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <InlineStack gap="100">
+          {tool.hidden && <Badge tone="critical">Hidden</Badge>}
+          {tool.requiresConfirmation && <Badge tone="attention">Needs confirmation</Badge>}
+          {tool.description && <Badge>Custom description</Badge>}
+          {!tool.hasPolicy && <Badge tone="success">Default</Badge>}
+        </InlineStack>
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page>
+      <TitleBar title="Tools" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            <Text as="p" variant="bodyMd">
+              Control which tools the assistant may use. Hidden tools are never offered to
+              the assistant. Tools that need confirmation only run after the customer approves
+              the exact request in the chat.
+            </Text>
+            <Card padding="0">
+              <IndexTable
+                resourceName={{ singular: "tool", plural: "tools" }}
+                itemCount={tools.length}
+                selectable={false}
+                headings={[
+                  { title: "Tool" },
+                  { title: "Source" },
+                  { title: "Policy" },
+                ]}
+              >
+                {rows}
+              </IndexTable>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                {selectedTool ? "Edit policy" : "Add policy"}
+              </Text>
+              {actionData?.saved && (
+                <Banner tone="success">Policy for {actionData.saved} updated</Banner>
+              )}
+              <TextField
+                label="Tool name"
+                value={toolName}
+                onChange={setToolName}
+                autoComplete="off"
+                helpText="Select a tool from the list, or enter the name of a customer account tool."
+                error={errors.toolName}
+              />
+              <Checkbox
+                label="Hide from the assistant"
+                checked={hidden}
+                onChange={setHidden}
+              />
+              <Checkbox
+                label="Require customer confirmation"
+                checked={requiresConfirmation}
+                onChange={setRequiresConfirmation}
+                disabled={hidden}
+              />
+              <TextField
+                label="Description"
+                value={description}
+                onChange={setDescription}
+                multiline={4}
+                autoComplete="off"
+                placeholder={selectedTool?.originalDescription}
+                helpText="Replaces the description the assistant sees. Leave blank to keep the server's."
+              />
+              <InlineStack gap="200">
+                <Button variant="primary" onClick={save} loading={isSubmitting} disabled={!toolName}>
+                  Save
+                </Button>
+                {selectedTool?.hasPolicy && (
+                  <Button onClick={reset} disabled={isSubmitting}>
+                    Reset to default
+                  </Button>
+                )}
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
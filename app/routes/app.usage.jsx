@@ -0,0 +1,228 @@
+import { useLoaderData, useNavigate, useSearchParams } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  IndexTable,
+  Select,
+  ProgressBar,
+  Box,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getShopUsageByDay, listMostExpensiveConversations } from "../db.server";
+import AppConfig from "../services/config.server";
+import { getCacheHitRate } from "../services/usage.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const periods = AppConfig.admin.usageReportDays;
+  const requestedDays = parseInt(url.searchParams.get("days") || "", 10);
+  const days = periods.includes(requestedDays) ? requestedDays : periods[1];
+
+  const from = new Date();
+  from.setUTCHours(0, 0, 0, 0);
+  from.setUTCDate(from.getUTCDate() - (days - 1));
+
+  const [usageRows, expensiveConversations] = await Promise.all([
+    getShopUsageByDay(session.shop, toDateKey(from)),
+    listMostExpensiveConversations(session.shop, {
+      from,
+      limit: AppConfig.admin.expensiveConversationsLimit
+    })
+  ]);
+
+  // One entry per day, including days without any usage
+  const usageByDate = new Map(usageRows.map((row) => [row.date, row]));
+  const daily = Array.from({ length: days }, (_, index) => {
+    const date = new Date(from);
+    date.setUTCDate(from.getUTCDate() + index);
+    const row = usageByDate.get(toDateKey(date));
+
+    return {
+      date: toDateKey(date),
+      requests: row?.requests || 0,
+      inputTokens: row?.inputTokens || 0,
+      outputTokens: row?.outputTokens || 0,
+      cacheReadTokens: row?.cacheReadTokens || 0,
+      cacheWriteTokens: row?.cacheWriteTokens || 0,
+      costUsd: row?.costUsd || 0
+    };
+  });
+
+  const totals = daily.reduce((sum, day) => ({
+    requests: sum.requests + day.requests,
+    inputTokens: sum.inputTokens + day.inputTokens,
+    outputTokens: sum.outputTokens + day.outputTokens,
+    cacheReadTokens: sum.cacheReadTokens + day.cacheReadTokens,
+    cacheWriteTokens: sum.cacheWriteTokens + day.cacheWriteTokens,
+    costUsd: sum.costUsd + day.costUsd
+  }), { requests: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, costUsd: 0 });
+
+  return {
+    days,
+    periods,
+    daily,
+    totals: { ...totals, cacheHitRate: getCacheHitRate(totals) },
+    expensiveConversations: expensiveConversations.map((conversation) => ({
+      id: conversation.id,
+      updatedAt: conversation.updatedAt,
+      costUsd: conversation.costUsd,
+      tokens: conversation.inputTokens + conversation.outputTokens +
+        conversation.cacheReadTokens + conversation.cacheWriteTokens,
+      preview: conversation.messages[0]?.content || ""
+    }))
+  };
+};
+
+/**
+ * Format a date as its UTC day
+ * @param {Date} date - The date to format
+ * @returns {string} The day as YYYY-MM-DD
+ */
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Format a cost in USD, keeping precision for small amounts
+ * @param {number} value - The cost in USD
+ * @returns {string} The formatted cost
+ */
+function formatCost(value) {
+  return `$${value.toFixed(value > 0 && value < 1 ? 4 : 2)}`;
+}
+
+export default function Usage() {
+  const { days, periods, daily, totals, expensiveConversations } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+
+  const maxDailyCost = Math.max(...daily.map((day) => day.costUsd), 0);
+
+  const changePeriod = (value) => {
+    const params = new URLSearchParams(searchParams);
+    params.set("days", value);
+    setSearchParams(params);
+  };
+
+  const metrics = [
+    { label: "Spend", value: formatCost(totals.costUsd) },
+    { label: "Model calls", value: totals.requests.toLocaleString() },
+    { label: "Input tokens", value: totals.inputTokens.toLocaleString() },
+    { label: "Output tokens", value: totals.outputTokens.toLocaleString() },
+    { label: "Cache reads", value: totals.cacheReadTokens.toLocaleString() },
+    { label: "Cache hit rate", value: `${(totals.cacheHitRate * 100).toFixed(1)}%` },
+  ];
+
+  const rows = expensiveConversations.map((conversation, index) => (
+    <IndexTable.Row
+      id={conversation.id}
+      key={conversation.id}
+      position={index}
+      onClick={() => navigate(`/app/conversations/${conversation.id}`)}
+    >
+      <IndexTable.Cell>
+        <Text as="span" variant="bodyMd" fontWeight="semibold">
+          {conversation.preview || conversation.id}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{formatCost(conversation.costUsd)}</IndexTable.Cell>
+      <IndexTable.Cell>{conversation.tokens.toLocaleString()}</IndexTable.Cell>
+      <IndexTable.Cell>{new Date(conversation.updatedAt).toLocaleString()}</IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page>
+      <TitleBar title="Usage" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            <InlineStack align="end">
+              <Select
+                label="Period"
+                labelInline
+                options={periods.map((period) => ({
+                  label: `Last ${period} days`,
+                  value: String(period)
+                }))}
+                value={String(days)}
+                onChange={changePeriod}
+              />
+            </InlineStack>
+            <InlineGrid columns={{ xs: 2, md: 3, lg: metrics.length }} gap="300">
+              {metrics.map((metric) => (
+                <Card key={metric.label}>
+                  <BlockStack gap="100">
+                    <Text as="span" variant="bodySm" tone="subdued">
+                      {metric.label}
+                    </Text>
+                    <Text as="span" variant="headingLg">
+                      {metric.value}
+                    </Text>
+                  </BlockStack>
+                </Card>
+              ))}
+            </InlineGrid>
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Daily spend
+                </Text>
+                {daily.map((day) => (
+                  <InlineGrid key={day.date} columns="7rem 1fr 6rem" gap="300" alignItems="center">
+                    <Text as="span" variant="bodySm">
+                      {day.date}
+                    </Text>
+                    <ProgressBar
+                      progress={maxDailyCost > 0 ? (day.costUsd / maxDailyCost) * 100 : 0}
+                      size="small"
+                    />
+                    <Box>
+                      <Text as="span" variant="bodySm" alignment="end">
+                        {formatCost(day.costUsd)}
+                      </Text>
+                    </Box>
+                  </InlineGrid>
+                ))}
+              </BlockStack>
+            </Card>
+            <Card padding="0">
+              <Box padding="400">
+                <Text as="h2" variant="headingMd">
+                  Most expensive conversations
+                </Text>
+              </Box>
+              <IndexTable
+                resourceName={{ singular: "conversation", plural: "conversations" }}
+                itemCount={expensiveConversations.length}
+                selectable={false}
+                emptyState={
+                  <EmptyState heading="No usage recorded yet" image="">
+                    <p>Costs appear here once customers start chatting on your storefront.</p>
+                  </EmptyState>
+                }
+                headings={[
+                  { title: "First message" },
+                  { title: "Cost" },
+                  { title: "Tokens" },
+                  { title: "Last activity" },
+                ]}
+              >
+                {rows}
+              </IndexTable>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
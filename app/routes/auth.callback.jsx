@@ -1,5 +1,5 @@
-import { json } from "@remix-run/node";
-import { getCodeVerifier, storeCustomerToken } from "../db.server";
+import { getCodeVerifier, recordAuthError, storeCustomerToken } from "../db.server";
+import { getTokenUrl } from "../auth.server";
 
 /**
  * Handle OAuth callback from Shopify Customer API
@@ -8,119 +8,179 @@ export async function loader({ request }) {
   const url = new URL(request.url);
   const code = url.searchParams.get("code");
   const state = url.searchParams.get("state");
-  const [conversationId, shopId] = state.split("-");
+  const error = url.searchParams.get("error");
 
-  if (!code) {
-    return json({ error: "Authorization code is missing" }, { status: 400 });
+  // The state maps to the conversation and shop that started the flow, and
+  // can only be used once
+  const verifierRecord = state ? await getCodeVerifier(state) : null;
+
+  if (!verifierRecord) {
+    return callbackPage({
+      title: "Sign-in link expired",
+      message: "This sign-in link is invalid, was already used or has expired. Return to the chat and ask to sign in again.",
+      status: 400
+    });
+  }
+
+  const { id, conversationId, shop } = verifierRecord;
+
+  // The authorization server redirects with an error when the customer
+  // declines or the request is rejected
+  if (error || !code) {
+    const description = url.searchParams.get("error_description");
+    console.warn(`Authorization failed for conversation ${conversationId}: ${error || "missing code"}${description ? ` (${description})` : ""}`);
+
+    const message = error === "access_denied"
+      ? "You cancelled signing in to your account."
+      : "Signing in to your account failed.";
+    await recordAuthError(id, message);
+
+    return callbackPage({
+      title: "Sign-in failed",
+      message: `${message} Return to the chat to continue.`,
+      details: description,
+      status: 400
+    });
   }
 
   try {
     // Exchange code for access token
-    const tokenResponse = await exchangeCodeForToken(code, state);
-
-    // Store token in database
-    try {
-      // Calculate expiration date based on expires_in (seconds)
-      const expiresAt = new Date();
-      expiresAt.setSeconds(expiresAt.getSeconds() + tokenResponse.expires_in);
-
-      // Store in database with conversation ID
-      await storeCustomerToken(
-        conversationId,
-        tokenResponse.access_token,
-        expiresAt
-      );
-
-      console.log('Stored customer token in database for conversation:', conversationId);
-    } catch (error) {
-      console.error('Failed to store token in database:', error);
-      // Continue anyway to not disrupt user flow
-    }
+    const tokenResponse = await exchangeCodeForToken(code, conversationId, shop, verifierRecord.verifier);
+
+    // Calculate expiration date based on expires_in (seconds)
+    const expiresAt = new Date();
+    expiresAt.setSeconds(expiresAt.getSeconds() + tokenResponse.expires_in);
+
+    // Store in database with conversation ID, the refresh token keeps the
+    // customer logged in after the access token expires
+    await storeCustomerToken(
+      conversationId,
+      shop,
+      tokenResponse.access_token,
+      expiresAt,
+      tokenResponse.refresh_token || null
+    );
+
+    console.log('Stored customer token in database for conversation:', conversationId);
+  } catch (error) {
+    console.error("Error completing authorization:", error);
+    await recordAuthError(id, "Your sign-in could not be completed.");
 
-    // Instead of redirecting, return HTML that auto-closes the tab
-    return new Response(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Authentication Successful</title>
-        <script>
-          window.onload = function() {
-            // Show success message briefly before closing
-            document.getElementById('message').style.display = 'block';
-            // Close the tab after a short delay
-            setTimeout(function() {
-              window.close();
-              // In case window.close() doesn't work (common in some browsers)
-              document.getElementById('fallback').style.display = 'block';
-            }, 1500);
-          }
-        </script>
-        <style>
-          body { font-family: system-ui, sans-serif; text-align: center; padding-top: 100px; }
-          #message { display: none; }
-          #fallback { display: none; margin-top: 20px; }
-          .success { color: green; font-size: 18px; }
-        </style>
-      </head>
-      <body>
-        <div id="message">
-          <h2>Authentication Successful!</h2>
-          <p class="success">You've been authenticated successfully</p>
-          <p>This window will close automatically.</p>
-        </div>
-        <div id="fallback">
-          <p>If this window didn't close automatically, you can close it and return to your conversation.</p>
-        </div>
-      </body>
-      </html>
-    `, {
-      headers: {
-        "Content-Type": "text/html"
-      }
+    return callbackPage({
+      title: "Sign-in failed",
+      message: "Your sign-in could not be completed. Return to the chat and try again.",
+      status: 500
     });
-  } catch (error) {
-    console.error("Error exchanging code for token:", error);
-    console.log("shopId", shopId);
-    return json({ error: "Failed to obtain access token" }, { status: 500 });
   }
+
+  return callbackPage({
+    title: "Authentication Successful!",
+    message: "You've been authenticated successfully. This window will close automatically.",
+    success: true
+  });
+}
+
+/**
+ * Render the page the customer sees at the end of the auth flow. The page
+ * tells the chat that opened it to check the outcome, and successful
+ * sign-ins close the window and return the customer to the chat.
+ * @param {Object} options - The page content
+ * @param {string} options.title - The heading
+ * @param {string} options.message - The message for the customer
+ * @param {string} [options.details] - Details reported by the authorization server
+ * @param {boolean} [options.success] - Whether the sign-in succeeded
+ * @param {number} [options.status] - The HTTP status
+ * @returns {Response} - The HTML response
+ */
+function callbackPage({ title, message, details = null, success = false, status = 200 }) {
+  // The message carries no data, the chat checks its origin and then reads
+  // the outcome from the server, so any opener may receive it
+  const notifyScript = `
+    <script>
+      if (window.opener) {
+        window.opener.postMessage({ type: "shop-ai-chat:auth-complete" }, "*");
+      }
+    </script>`;
+  const closeScript = success ? `
+    <script>
+      window.onload = function() {
+        // Close the tab after a short delay
+        setTimeout(function() {
+          window.close();
+          // In case window.close() doesn't work (common in some browsers)
+          document.getElementById('fallback').style.display = 'block';
+        }, 1500);
+      }
+    </script>` : "";
+
+  return new Response(`<!DOCTYPE html>
+    <html>
+    <head>
+      <title>${escapeHtml(title)}</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">${notifyScript}${closeScript}
+      <style>
+        body { font-family: system-ui, sans-serif; text-align: center; padding: 100px 20px 0; }
+        #fallback { display: none; margin-top: 20px; }
+        .success { color: green; font-size: 18px; }
+        .error { color: #b00020; font-size: 18px; }
+        .details { color: #666; font-size: 14px; }
+      </style>
+    </head>
+    <body>
+      <h2>${escapeHtml(title)}</h2>
+      <p class="${success ? "success" : "error"}">${escapeHtml(message)}</p>
+      ${details ? `<p class="details">${escapeHtml(details)}</p>` : ""}
+      <div id="fallback">
+        <p>If this window didn't close automatically, you can close it and return to your conversation.</p>
+      </div>
+    </body>
+    </html>
+  `, {
+    status,
+    headers: {
+      "Content-Type": "text/html",
+      "Cache-Control": "no-store"
+    }
+  });
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} value - The text
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
 }
 
 /**
  * Exchange authorization code for access token
  * @param {string} code - The authorization code
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
+ * @param {string} codeVerifier - The PKCE code verifier for this authorization request
  * @returns {Promise<Object>} - The token response
  */
-async function exchangeCodeForToken(code, state) {
+async function exchangeCodeForToken(code, conversationId, shop, codeVerifier) {
   const clientId = process.env.SHOPIFY_API_KEY;
-  const [conversationId, shopId] = state.split("-");
-  if (!clientId || !shopId) {
-    throw new Error("SHOPIFY_CLIENT_ID and SHOPIFY_SHOP_ID environment variables are required");
+  if (!clientId) {
+    throw new Error("SHOPIFY_API_KEY environment variable is required");
   }
 
   const redirectUri = process.env.REDIRECT_URL;
 
   // Correct token URL format
-  const tokenUrl = await getTokenUrl(shopId, conversationId);
+  const tokenUrl = await getTokenUrl(conversationId, shop);
 
   if (!tokenUrl) {
     throw new Error("Token URL not found");
   }
 
-  // Get the code verifier that corresponds to this authorization request from database
-  let codeVerifier = "";
-  try {
-    const verifierRecord = await getCodeVerifier(state);
-    if (verifierRecord) {
-      codeVerifier = verifierRecord.verifier;
-    } else {
-      console.warn("Code verifier not found for state:", state);
-      // Proceed anyway, since we might be using an older flow without PKCE
-    }
-  } catch (error) {
-    console.error("Error retrieving code verifier:", error);
-    // Proceed anyway and attempt the token exchange
-  }
-
   const requestBody = {
     grant_type: "authorization_code",
     client_id: clientId,
@@ -156,30 +216,3 @@ async function exchangeCodeForToken(code, state) {
 
   return response.json();
 }
-
-/**
- * Get the token URL from the customer account URL
- * @param {string} shopId - The shop ID
- * @param {string} conversationId - The conversation ID
- * @returns {Promise<string|null>} - The token URL or null if not found
- */
-async function getTokenUrl(shopId, conversationId) {
-  const { getCustomerAccountUrl } = await import('../db.server');
-  const customerAccountUrl = await getCustomerAccountUrl(conversationId);
-  if (!customerAccountUrl) {
-    console.error('Customer account URL not found for conversation:', conversationId);
-    return null;
-  }
-
-  const endpoint = `${customerAccountUrl}/.well-known/oauth-authorization-server`;
-  const response = await fetch(endpoint);
-
-  if (!response.ok) {
-    console.error('Failed to fetch base auth URL from:', endpoint, response.status);
-
-    return null;
-  }
-
-  const data = await response.json();
-  return data.token_endpoint;
-}
@@ -0,0 +1,107 @@
+import { json } from "@remix-run/node";
+import { getCustomerAccountUrl } from "../db.server";
+import { disconnectCustomer } from "../auth.server";
+import { createShopService } from "../services/shop.server";
+import { createOwnershipService } from "../services/ownership.server";
+import { createCustomerAccountService } from "../services/customer-account.server";
+import MCPClient from "../mcp-client";
+
+/**
+ * API endpoint for disconnecting the customer's account from a conversation
+ * The chat interface calls this from the "Disconnect account" action
+ */
+export const action = async ({ request }) => {
+  if (request.method.toLowerCase() === "options") {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders(request)
+    });
+  }
+
+  if (request.method.toLowerCase() !== "post") {
+    return json({ error: "Method not allowed" }, { status: 405, headers: corsHeaders(request) });
+  }
+
+  const body = await request.json().catch(() => ({}));
+  const conversationId = body.conversation_id;
+  const shop = await createShopService().verifyShopRequest(request, body.shop_domain);
+
+  if (!conversationId) {
+    return json({
+      status: "error",
+      message: "Missing conversation_id parameter"
+    }, {
+      status: 400,
+      headers: corsHeaders(request)
+    });
+  }
+
+  if (!shop) {
+    return json({
+      status: "error",
+      message: "Shop could not be verified"
+    }, {
+      status: 403,
+      headers: corsHeaders(request)
+    });
+  }
+
+  if (!createOwnershipService().verifyConversationToken(conversationId, shop, body.conversation_token)) {
+    return json({
+      status: "error",
+      message: "Missing or invalid conversation_token parameter"
+    }, {
+      status: 403,
+      headers: corsHeaders(request)
+    });
+  }
+
+  try {
+    const { accessToken, revoked } = await disconnectCustomer(conversationId, shop);
+
+    // The next turn lists the customer tools without the customer's token,
+    // and the model learns that the customer is anonymous again
+    if (accessToken) {
+      await createCustomerAccountService().recordDisconnect(conversationId, shop);
+
+      const customerAccountUrl = await getCustomerAccountUrl(conversationId, shop);
+      const mcpClient = new MCPClient(
+        createShopService().getStorefrontOrigin(request, shop),
+        conversationId,
+        shop,
+        customerAccountUrl ? `${customerAccountUrl}/customer/api/mcp` : null
+      );
+      mcpClient.forgetCustomerAccess(accessToken);
+    }
+
+    return json({
+      status: "disconnected",
+      revoked
+    }, {
+      headers: corsHeaders(request)
+    });
+  } catch (error) {
+    console.error("Error disconnecting customer account:", error);
+    return json({
+      status: "error",
+      message: "Failed to disconnect the account"
+    }, {
+      status: 500,
+      headers: corsHeaders(request)
+    });
+  }
+};
+
+/**
+ * Helper to add CORS headers to the response
+ */
+function corsHeaders(request) {
+  const origin = request.headers.get("Origin") || "*";
+
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Accept",
+    "Access-Control-Max-Age": "86400"
+  };
+}
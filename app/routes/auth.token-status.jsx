@@ -1,15 +1,21 @@
 import { json } from "@remix-run/node";
-import { getCustomerToken } from "../db.server";
+import { getAuthError, getCustomerTokenRecord } from "../db.server";
+import { createShopService } from "../services/shop.server";
+import { createOwnershipService, CONVERSATION_TOKEN_HEADER } from "../services/ownership.server";
+import { createAuthStatusService } from "../services/auth-status.server";
+import AppConfig from "../services/config.server";
 
 /**
  * API endpoint for checking if a customer token is available for a given conversation ID
- * The chat interface can poll this endpoint after displaying an auth link
+ * The chat interface long-polls this endpoint after displaying an auth link
  */
 export async function loader({ request }) {
   // Get conversation ID from query parameter
   const url = new URL(request.url);
   const conversationId = url.searchParams.get("conversation_id");
-  
+  const conversationToken = request.headers.get(CONVERSATION_TOKEN_HEADER);
+  const shop = await createShopService().verifyShopRequest(request, url.searchParams.get("shop_domain"));
+
   if (!conversationId) {
     return json({ 
       status: "error", 
@@ -20,26 +26,44 @@ export async function loader({ request }) {
     });
   }
 
+  if (!shop) {
+    return json({
+      status: "error",
+      message: "Shop could not be verified"
+    }, {
+      status: 403,
+      headers: corsHeaders(request)
+    });
+  }
+
+  if (!createOwnershipService().verifyConversationToken(conversationId, shop, conversationToken)) {
+    return json({
+      status: "error",
+      message: `Missing or invalid ${CONVERSATION_TOKEN_HEADER} header`
+    }, {
+      status: 403,
+      headers: corsHeaders(request)
+    });
+  }
+
+  // With wait=1 the request is held until the sign-in finishes or the wait
+  // times out. The wait starts before the check, so no change is missed.
+  const abortWait = new AbortController();
+  request.signal?.addEventListener("abort", () => abortWait.abort());
+  const change = url.searchParams.get("wait") === "1"
+    ? createAuthStatusService().waitForChange(conversationId, shop, AppConfig.customerAuth.statusWaitMs, abortWait.signal)
+    : null;
+
   try {
-    // Check if a token exists for this conversation ID
-    const token = await getCustomerToken(conversationId);
-    
-    if (token) {
-      // Token exists and is valid
-      return json({
-        status: "authorized",
-        expires_at: token.expiresAt.toISOString()
-      }, {
-        headers: corsHeaders(request)
-      });
-    } else {
-      // No token found or token expired
-      return json({
-        status: "unauthorized"
-      }, {
-        headers: corsHeaders(request)
-      });
+    let status = await getTokenStatus(conversationId, shop);
+
+    if (change && status.status === "unauthorized" && await change) {
+      status = await getTokenStatus(conversationId, shop);
     }
+
+    return json(status, {
+      headers: corsHeaders(request)
+    });
   } catch (error) {
     console.error("Error checking token status:", error);
     return json({ 
@@ -49,9 +73,43 @@ export async function loader({ request }) {
       status: 500,
       headers: corsHeaders(request)
     });
+  } finally {
+    abortWait.abort();
   }
 }
 
+/**
+ * Read the sign-in status of a conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} - The status, with the token expiry or failure message
+ */
+async function getTokenStatus(conversationId, shop) {
+  // An expired access token still counts while it can be refreshed
+  const token = await getCustomerTokenRecord(conversationId, shop);
+
+  if (token && (token.refreshToken || token.expiresAt > new Date())) {
+    return {
+      status: "authorized",
+      expires_at: token.expiresAt.toISOString()
+    };
+  }
+
+  // The latest sign-in was declined or could not be completed
+  const authError = await getAuthError(conversationId, shop);
+  if (authError) {
+    return {
+      status: "failed",
+      message: authError
+    };
+  }
+
+  // No token found, or it expired and cannot be refreshed
+  return {
+    status: "unauthorized"
+  };
+}
+
 /**
  * Helper to add CORS headers to the response
  */
@@ -61,7 +119,7 @@ function corsHeaders(request) {
   return {
     "Access-Control-Allow-Origin": origin,
     "Access-Control-Allow-Methods": "GET, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Accept",
+    "Access-Control-Allow-Headers": `Content-Type, Accept, ${CONVERSATION_TOKEN_HEADER}`,
     "Access-Control-Max-Age": "86400"
   };
 }
@@ -1,14 +1,32 @@
 /**
  * Chat API Route
- * Handles chat interactions with Claude API and tools
+ * Handles chat interactions with the configured LLM provider and tools
  */
 import { json } from "@remix-run/node";
 import MCPClient from "../mcp-client";
-import { saveMessage, getConversationHistory, storeCustomerAccountUrl, getCustomerAccountUrl } from "../db.server";
+import {
+  saveMessage,
+  getConversation,
+  getConversationHistory,
+  storeCustomerAccountUrl,
+  getCustomerAccountUrl,
+  listMcpServers,
+  listToolPolicies,
+  createPendingConfirmation,
+  takePendingConfirmations
+} from "../db.server";
 import AppConfig from "../services/config.server";
 import { createSseStream } from "../services/streaming.server";
-import { createClaudeService } from "../services/claude.server";
+import { createLlmService } from "../services/llm.server";
 import { createToolService } from "../services/tool.server";
+import { createResultRendererService } from "../services/result-renderer.server";
+import { createCartService } from "../services/cart.server";
+import { createPageContextService } from "../services/page-context.server";
+import { createMessageContextService } from "../services/message-context.server";
+import { createHistoryService, SUMMARY_ROLE, NOTE_ROLE } from "../services/history.server";
+import { createShopService } from "../services/shop.server";
+import { createOwnershipService, CONVERSATION_TOKEN_HEADER } from "../services/ownership.server";
+import { getMessageUsage } from "../services/usage.server";
 import { unauthenticated } from "../shopify.server";
 
 
@@ -16,19 +34,17 @@ import { unauthenticated } from "../shopify.server";
  * Remix loader function for handling GET requests
  */
 export async function loader({ request }) {
-  // Handle OPTIONS requests (CORS preflight)
-  if (request.method === "OPTIONS") {
-    return new Response(null, {
-      status: 204,
-      headers: getCorsHeaders(request)
-    });
-  }
-
   const url = new URL(request.url);
 
-  // Handle history fetch requests - matches /chat?history=true&conversation_id=XYZ
+  // Handle history fetch requests - matches /chat?history=true&conversation_id=XYZ&shop_domain=ABC
+  // with the conversation token in the X-Conversation-Token header
   if (url.searchParams.has('history') && url.searchParams.has('conversation_id')) {
-    return handleHistoryRequest(request, url.searchParams.get('conversation_id'));
+    return handleHistoryRequest(
+      request,
+      url.searchParams.get('conversation_id'),
+      request.headers.get(CONVERSATION_TOKEN_HEADER),
+      url.searchParams.get('shop_domain')
+    );
   }
 
   // Handle SSE requests
@@ -47,6 +63,14 @@ export async function loader({ request }) {
  * Remix action function for handling POST requests
  */
 export async function action({ request }) {
+  // Handle OPTIONS requests (CORS preflight), which Remix routes to the action
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: getCorsHeaders(request)
+    });
+  }
+
   return handleChatRequest(request);
 }
 
@@ -54,10 +78,31 @@ export async function action({ request }) {
  * Handle history fetch requests
  * @param {Request} request - The request object
  * @param {string} conversationId - The conversation ID
+ * @param {string} conversationToken - The ownership token issued with the conversation ID
+ * @param {string} shopDomain - The shop domain claimed by the widget
  * @returns {Response} JSON response with chat history
  */
-async function handleHistoryRequest(request, conversationId) {
-  const messages = await getConversationHistory(conversationId);
+async function handleHistoryRequest(request, conversationId, conversationToken, shopDomain) {
+  const shop = await createShopService().verifyShopRequest(request, shopDomain);
+
+  if (!shop) {
+    return json(
+      { error: AppConfig.errorMessages.shopNotVerified },
+      { status: 403, headers: getCorsHeaders(request) }
+    );
+  }
+
+  if (!createOwnershipService().verifyConversationToken(conversationId, shop, conversationToken)) {
+    return json(
+      { error: AppConfig.errorMessages.invalidConversationToken },
+      { status: 403, headers: getCorsHeaders(request) }
+    );
+  }
+
+  // Summaries, notes and message context are internal context for the model, not part of the transcript
+  const messages = (await getConversationHistory(conversationId, shop))
+    .filter((message) => message.role !== SUMMARY_ROLE && message.role !== NOTE_ROLE)
+    .map(({ context, ...message }) => message);
 
   return json(
     { messages },
@@ -75,17 +120,56 @@ async function handleChatRequest(request) {
     // Get message data from request body
     const body = await request.json();
     const userMessage = body.message;
-
-    // Validate required message
-    if (!userMessage) {
+    const confirmation = body.confirmation || null;
+    // Items the customer added with product cards since their last message
+    const cartService = createCartService();
+    const cartContext = userMessage ? cartService.formatCartUpdate(body.cart_update) : null;
+    const storefrontCartId = cartService.getStorefrontCartId(body.cart_id);
+    // The page the customer is viewing, as described by the theme
+    const pageContext = userMessage ? createPageContextService().formatPageContext(body.page_context) : null;
+
+    // Validate required message, a confirmation decision continues the turn without one
+    if (!userMessage && !confirmation) {
       return new Response(
         JSON.stringify({ error: AppConfig.errorMessages.missingMessage }),
         { status: 400, headers: getSseHeaders(request) }
       );
     }
 
-    // Generate or use existing conversation ID
-    const conversationId = body.conversation_id || Date.now().toString();
+    // Only serve shops that have the app installed and match the request origin
+    const shop = await createShopService().verifyShopRequest(request, body.shop_domain);
+
+    if (!shop) {
+      return new Response(
+        JSON.stringify({ error: AppConfig.errorMessages.shopNotVerified }),
+        { status: 403, headers: getSseHeaders(request) }
+      );
+    }
+
+    // Continuing a conversation requires the ownership token issued with its ID
+    const ownershipService = createOwnershipService();
+    if (body.conversation_id &&
+      !ownershipService.verifyConversationToken(body.conversation_id, shop, body.conversation_token)) {
+      return new Response(
+        JSON.stringify({ error: AppConfig.errorMessages.invalidConversationToken }),
+        { status: 403, headers: getSseHeaders(request) }
+      );
+    }
+
+    // Continue an existing conversation of this shop, otherwise start a new one
+    const existingConversation = body.conversation_id
+      ? await getConversation(body.conversation_id, shop)
+      : null;
+
+    if (confirmation && (!existingConversation || !confirmation.id || !["approve", "reject"].includes(confirmation.decision))) {
+      return new Response(
+        JSON.stringify({ error: AppConfig.errorMessages.invalidConfirmation }),
+        { status: 400, headers: getSseHeaders(request) }
+      );
+    }
+
+    const conversationId = existingConversation?.id || ownershipService.generateConversationId();
+    const conversationToken = ownershipService.signConversation(conversationId, shop);
     const promptType = body.prompt_type || AppConfig.api.defaultPromptType;
 
     // Create a stream for the response
@@ -93,8 +177,14 @@ async function handleChatRequest(request) {
       await handleChatSession({
         request,
         userMessage,
+        cartContext,
+        pageContext,
+        storefrontCartId,
+        confirmation,
         conversationId,
+        conversationToken,
         promptType,
+        shop,
         stream
       });
     });
@@ -116,188 +206,427 @@ async function handleChatRequest(request) {
  * @param {Object} params - Session parameters
  * @param {Request} params.request - The request object
  * @param {string} params.userMessage - The user's message
+ * @param {string|null} params.cartContext - Cart changes to tell the model about along with the message
+ * @param {string|null} params.pageContext - The page the customer is viewing, stored along with the message
+ * @param {string|null} params.storefrontCartId - The customer's storefront cart, used by the cart tools
+ * @param {Object} params.confirmation - The customer's decision on pending tool calls, sent instead of a message
  * @param {string} params.conversationId - The conversation ID
+ * @param {string} params.conversationToken - The ownership token for the conversation
  * @param {string} params.promptType - The prompt type
+ * @param {string} params.shop - The shop domain
  * @param {Object} params.stream - Stream manager for sending responses
  */
 async function handleChatSession({
   request,
   userMessage,
+  cartContext,
+  pageContext,
+  storefrontCartId,
+  confirmation,
   conversationId,
+  conversationToken,
   promptType,
+  shop,
   stream
 }) {
   // Initialize services
-  const claudeService = createClaudeService();
+  const llmService = createLlmService();
   const toolService = createToolService();
-
-  // Initialize MCP client
-  const shopId = request.headers.get("X-Shopify-Shop-Id");
-  const shopDomain = request.headers.get("Origin");
-  const customerMcpEndpoint = await getCustomerMcpEndpoint(shopDomain, conversationId);
+  const resultRenderer = createResultRendererService();
+  const cartService = createCartService();
+  const messageContextService = createMessageContextService();
+  const historyService = createHistoryService(llmService);
+
+  // Initialize MCP client at the shop's verified storefront origin
+  const shopDomain = createShopService().getStorefrontOrigin(request, shop);
+  const customerMcpEndpoint = await getCustomerMcpEndpoint(shop, conversationId);
   const mcpClient = new MCPClient(
     shopDomain,
     conversationId,
-    shopId,
+    shop,
     customerMcpEndpoint
   );
 
+  // Send conversation ID and its ownership token to client
+  stream.sendMessage({
+    type: 'id',
+    conversation_id: conversationId,
+    conversation_token: conversationToken
+  });
+
+  // Connect to MCP servers and get available tools
+  let storefrontMcpTools = [], customerMcpTools = [];
+
   try {
-    // Send conversation ID to client
-    stream.sendMessage({ type: 'id', conversation_id: conversationId });
+    storefrontMcpTools = await mcpClient.connectToStorefrontServer();
+    customerMcpTools = await mcpClient.connectToCustomerServer();
+
+    console.log(`Connected to MCP with ${storefrontMcpTools.length} tools`);
+    console.log(`Connected to customer MCP with ${customerMcpTools.length} tools`);
+  } catch (error) {
+    console.warn('Failed to connect to MCP servers, continuing without tools:', error.message);
+  }
+
+  // Connect to the additional MCP servers registered by the merchant
+  const customServers = await listMcpServers(shop, { enabledOnly: true });
+  if (customServers.length > 0) {
+    const customTools = await mcpClient.connectToCustomServers(customServers);
+    console.log(`Connected to ${customServers.length} custom MCP servers with ${customTools.length} tools`);
+  }
+
+  // Hide tools and rewrite descriptions as configured by the merchant,
+  // and let the cart tools act on the cart the customer sees in the store
+  const toolPolicies = await listToolPolicies(shop);
+  const tools = cartService.withStorefrontCartTools(
+    toolService.applyToolPolicies(mcpClient.tools, toolPolicies),
+    storefrontCartId
+  );
+
+  // Prepare conversation state
+  let conversationHistory = [];
+  let uiPayloads = [];
+
+  /**
+   * Run a tool call and turn its response into a tool_result block
+   * @param {Object} toolUse - The tool_use content block
+   * @returns {Promise<Object>} The tool_result content block
+   */
+  const runTool = async ({ id: toolUseId, name: toolName, input }) => {
+    const toolArgs = cartService.withStorefrontCart(toolName, input, storefrontCartId);
+
+    stream.sendMessage({
+      type: 'tool_use',
+      tool_use_message: `Calling tool: ${toolName} with arguments: ${JSON.stringify(toolArgs)}`
+    });
 
-    // Connect to MCP servers and get available tools
-    let storefrontMcpTools = [], customerMcpTools = [];
+    // Call the tool, giving up after its timeout or when the client disconnects
+    const toolUseResponse = await toolService.executeTool(
+      toolName,
+      (signal) => mcpClient.callTool(toolName, toolArgs, signal),
+      request.signal
+    );
 
-    try {
-      storefrontMcpTools = await mcpClient.connectToStorefrontServer();
-      customerMcpTools = await mcpClient.connectToCustomerServer();
+    // Handle tool response based on success/error
+    return toolUseResponse.error
+      ? toolService.handleToolError(toolUseResponse, toolName, toolUseId, stream.sendMessage)
+      : toolService.handleToolSuccess(toolUseResponse, toolName, toolUseId, uiPayloads);
+  };
 
-      console.log(`Connected to MCP with ${storefrontMcpTools.length} tools`);
-      console.log(`Connected to customer MCP with ${customerMcpTools.length} tools`);
-    } catch (error) {
-      console.warn('Failed to connect to MCP servers, continuing without tools:', error.message);
+  // Usage of the turn, checked against the per-turn limits
+  const turnUsage = { iterations: 0, toolCalls: 0, inputTokens: 0, outputTokens: 0 };
+
+  /**
+   * Complete tool calls that waited for confirmation and store all results of their response
+   * @param {Object} pending - The pending confirmation
+   * @param {string} decision - approve, reject, or superseded when the customer moved on
+   * @returns {Promise<boolean>} True if approved calls were refused over the tool call limit
+   */
+  const resolveConfirmation = async (pending, decision) => {
+    const expired = new Date(pending.expiresAt) < new Date();
+    const results = new Map(pending.toolResults.map((result) => [result.tool_use_id, result]));
+    let refused = false;
+
+    await Promise.all(pending.toolCalls.map(async (toolUse) => {
+      if (decision === "approve" && !expired && tools.some((tool) => tool.name === toolUse.name)) {
+        // Approved calls count towards the limit like the calls made before the pause
+        if (turnUsage.toolCalls >= AppConfig.agentLoop.maxToolCalls) {
+          refused = true;
+          results.set(toolUse.id, toolService.handleToolError(
+            { error: { type: "limit_exceeded", data: "Tool call limit reached for this message." } },
+            toolUse.name,
+            toolUse.id,
+            stream.sendMessage
+          ));
+          return;
+        }
+        turnUsage.toolCalls++;
+        results.set(toolUse.id, await runTool(toolUse));
+      } else {
+        const reason = decision === "approve" ? "expired" : decision === "reject" ? "rejected" : decision;
+        results.set(toolUse.id, toolService.handleToolRejection(toolUse.name, toolUse.id, reason));
+      }
+    }));
+
+    const orderedResults = pending.toolUseOrder
+      .filter((toolUseId) => results.has(toolUseId))
+      .map((toolUseId) => results.get(toolUseId));
+
+    await toolService.addToolResultsToHistory([], orderedResults, conversationId, shop);
+    return refused;
+  };
+
+  let confirmationRefused = false;
+  if (confirmation) {
+    // Continue the paused turn with the customer's decision
+    const [pending] = await takePendingConfirmations(conversationId, shop, confirmation.id);
+
+    if (!pending) {
+      stream.sendMessage({ type: 'error', error: AppConfig.errorMessages.confirmationNotFound });
+      stream.sendMessage({ type: 'end_turn' });
+      return;
     }
 
-    // Prepare conversation state
-    let conversationHistory = [];
-    let productsToDisplay = [];
+    // The decision continues the paused turn, with the tool calls it had made
+    turnUsage.toolCalls = pending.toolCallsUsed || 0;
+    confirmationRefused = await resolveConfirmation(pending, confirmation.decision);
+  } else {
+    // Calls still waiting for a decision are dropped once the customer moves on
+    for (const pending of await takePendingConfirmations(conversationId, shop)) {
+      await resolveConfirmation(pending, "superseded");
+    }
 
     // Save user message to the database
-    await saveMessage(conversationId, 'user', userMessage);
-
-    // Fetch all messages from the database for this conversation
-    const dbMessages = await getConversationHistory(conversationId);
-
-    // Format messages for Claude API
-    conversationHistory = dbMessages.map(dbMessage => {
-      let content;
-      try {
-        content = JSON.parse(dbMessage.content);
-      } catch (e) {
-        content = dbMessage.content;
-      }
-      return {
-        role: dbMessage.role,
-        content
-      };
-    });
+    await saveMessage(
+      conversationId,
+      shop,
+      'user',
+      userMessage,
+      null,
+      messageContextService.formatContext([cartContext, pageContext])
+    );
+  }
 
-    // Execute the conversation stream
-    let finalMessage = { role: 'user', content: userMessage };
+  // Fetch all messages from the database for this conversation
+  const dbMessages = await getConversationHistory(conversationId, shop);
 
-    while (finalMessage.stop_reason !== "end_turn") {
-      finalMessage = await claudeService.streamConversation(
-        {
-          messages: conversationHistory,
-          promptType,
-          tools: mcpClient.tools
+  // Format messages for the model, summarizing older turns if over budget
+  conversationHistory = await historyService.buildConversationWindow({
+    dbMessages,
+    conversationId,
+    shop
+  });
+
+  // Resolve the system prompt once for the whole turn
+  const systemPrompt = await llmService.getSystemPrompt(promptType, shop);
+
+  // Execute the conversation stream, within the per-turn limits
+  let exceededLimit = confirmationRefused ? "tool_calls" : null;
+
+  while (exceededLimit === null && (exceededLimit = getExceededLimit(turnUsage)) === null) {
+    turnUsage.iterations++;
+
+    // Tool results of this model response, keyed by tool_use id
+    const toolResults = new Map();
+    // Tool calls that wait for the customer's confirmation
+    const pendingCalls = [];
+    let toolCallsRefused = false;
+    // Saving the model's message, its tool results must be stored after it
+    let messageSaved = Promise.resolve();
+    const startedAt = Date.now();
+
+    const finalMessage = await llmService.streamConversation(
+      {
+        messages: conversationHistory,
+        promptType,
+        systemPrompt,
+        tools
+      },
+      {
+        // Handle text chunks
+        onText: (textDelta) => {
+          stream.sendMessage({
+            type: 'chunk',
+            chunk: textDelta
+          });
         },
-        {
-          // Handle text chunks
-          onText: (textDelta) => {
-            stream.sendMessage({
-              type: 'chunk',
-              chunk: textDelta
-            });
-          },
 
-          // Handle complete messages
-          onMessage: (message) => {
-            conversationHistory.push({
-              role: message.role,
-              content: message.content
+        // Handle complete messages
+        onMessage: (message) => {
+          conversationHistory.push({
+            role: message.role,
+            content: message.content
+          });
+
+          const usage = getMessageUsage(message, Date.now() - startedAt);
+          messageSaved = saveMessage(conversationId, shop, message.role, JSON.stringify(message.content), usage)
+            .catch((error) => {
+              console.error("Error saving message to database:", error);
             });
 
-            saveMessage(conversationId, message.role, JSON.stringify(message.content))
-              .catch((error) => {
-                console.error("Error saving message to database:", error);
-              });
+          // Send a completion message
+          stream.sendMessage({ type: 'message_complete' });
+        },
 
-            // Send a completion message
-            stream.sendMessage({ type: 'message_complete' });
-          },
+        // Handle tool use requests; all tools of one response run concurrently
+        onToolUse: async (content) => {
+          const toolName = content.name;
+          const toolUseId = content.id;
+
+          // Hidden tools are never run, even if the model asks for them by name
+          if (!tools.some((tool) => tool.name === toolName)) {
+            toolResults.set(toolUseId, toolService.handleToolError(
+              { error: { type: "unavailable", data: `The ${toolName} tool is not available.` } },
+              toolName,
+              toolUseId,
+              stream.sendMessage
+            ));
+            return;
+          }
 
-          // Handle tool use requests
-          onToolUse: async (content) => {
-            const toolName = content.name;
-            const toolArgs = content.input;
-            const toolUseId = content.id;
+          if (toolService.requiresConfirmation(toolName, toolPolicies)) {
+            pendingCalls.push(content);
+            return;
+          }
+
+          // Answer calls over the limit with an error instead of running them
+          if (turnUsage.toolCalls >= AppConfig.agentLoop.maxToolCalls) {
+            toolCallsRefused = true;
+            toolResults.set(toolUseId, toolService.handleToolError(
+              { error: { type: "limit_exceeded", data: "Tool call limit reached for this message." } },
+              toolName,
+              toolUseId,
+              stream.sendMessage
+            ));
+            return;
+          }
+          turnUsage.toolCalls++;
 
-            const toolUseMessage = `Calling tool: ${toolName} with arguments: ${JSON.stringify(toolArgs)}`;
+          toolResults.set(toolUseId, await runTool(content));
+        },
 
+        // Handle content block completion
+        onContentBlock: (contentBlock) => {
+          if (contentBlock.type === 'text') {
             stream.sendMessage({
-              type: 'tool_use',
-              tool_use_message: toolUseMessage
+              type: 'content_block_complete',
+              content_block: contentBlock
             });
-
-            // Call the tool
-            const toolUseResponse = await mcpClient.callTool(toolName, toolArgs);
-
-            // Handle tool response based on success/error
-            if (toolUseResponse.error) {
-              await toolService.handleToolError(
-                toolUseResponse,
-                toolName,
-                toolUseId,
-                conversationHistory,
-                stream.sendMessage,
-                conversationId
-              );
-            } else {
-              await toolService.handleToolSuccess(
-                toolUseResponse,
-                toolName,
-                toolUseId,
-                conversationHistory,
-                productsToDisplay,
-                conversationId
-              );
-            }
-
-            // Signal new message to client
-            stream.sendMessage({ type: 'new_message' });
-          },
-
-          // Handle content block completion
-          onContentBlock: (contentBlock) => {
-            if (contentBlock.type === 'text') {
-              stream.sendMessage({
-                type: 'content_block_complete',
-                content_block: contentBlock
-              });
-            }
           }
         }
-      );
-    }
+      }
+    );
 
-    // Signal end of turn
-    stream.sendMessage({ type: 'end_turn' });
+    turnUsage.inputTokens += finalMessage.usage?.input_tokens || 0;
+    turnUsage.outputTokens += finalMessage.usage?.output_tokens || 0;
+
+    // A tool result stored before its tool call breaks every replay of the history
+    await messageSaved;
+
+    // Pause the turn until the widget posts the customer's decision
+    if (pendingCalls.length > 0) {
+      const pending = await createPendingConfirmation(
+        conversationId,
+        shop,
+        {
+          toolCalls: pendingCalls,
+          toolResults: [...toolResults.values()],
+          toolUseOrder: finalMessage.content
+            .filter((content) => content.type === "tool_use")
+            .map((content) => content.id),
+          toolCallsUsed: turnUsage.toolCalls
+        },
+        new Date(Date.now() + AppConfig.tools.confirmationTtlMs)
+      );
 
-    // Send product results if available
-    if (productsToDisplay.length > 0) {
       stream.sendMessage({
-        type: 'product_results',
-        products: productsToDisplay
+        type: 'confirmation_required',
+        confirmation_id: pending.id,
+        expires_at: pending.expiresAt,
+        tool_calls: pendingCalls.map((toolUse) => ({
+          name: toolUse.name,
+          description: tools.find((tool) => tool.name === toolUse.name)?.description || "",
+          arguments: toolUse.input
+        }))
       });
+
+      break;
     }
+
+    // Append tool results in the order the model requested the tools
+    if (toolResults.size > 0) {
+      const orderedResults = finalMessage.content
+        .filter((content) => content.type === "tool_use" && toolResults.has(content.id))
+        .map((content) => toolResults.get(content.id));
+
+      await toolService.addToolResultsToHistory(conversationHistory, orderedResults, conversationId, shop);
+
+      // Signal new message to client
+      stream.sendMessage({ type: 'new_message' });
+    }
+
+    if (toolCallsRefused) {
+      exceededLimit = "tool_calls";
+      break;
+    }
+
+    // Only tool results give the model something new to continue from
+    if (toolResults.size === 0) {
+      if (finalMessage.stop_reason === "max_tokens") {
+        // Keep the cut-off answer rather than asking the model to continue it
+        stream.sendMessage({ type: 'response_truncated' });
+      }
+      break;
+    }
+  }
+
+  if (exceededLimit) {
+    await closeTurnAtLimit({ exceededLimit, turnUsage, conversationId, shop, stream });
+  }
+
+  // Signal end of turn
+  stream.sendMessage({ type: 'end_turn' });
+
+  // Send the products, carts, orders and policies the tools returned
+  if (uiPayloads.length > 0) {
+    stream.sendMessage({
+      type: 'ui_payloads',
+      payloads: resultRenderer.mergePayloads(uiPayloads)
+    });
+  }
+}
+
+/**
+ * Check the usage of a turn against the configured agent loop limits
+ * @param {Object} turnUsage - Round-trips, tool calls and tokens used so far
+ * @returns {string|null} The name of the exceeded limit, or null if within all limits
+ */
+function getExceededLimit(turnUsage) {
+  const limits = AppConfig.agentLoop;
+
+  if (turnUsage.iterations >= limits.maxIterations) return "iterations";
+  if (turnUsage.inputTokens >= limits.maxInputTokens) return "input_tokens";
+  if (turnUsage.outputTokens >= limits.maxOutputTokens) return "output_tokens";
+  return null;
+}
+
+/**
+ * End a turn that hit a limit with a closing assistant message
+ * @param {Object} params - Closing parameters
+ * @param {string} params.exceededLimit - The name of the exceeded limit
+ * @param {Object} params.turnUsage - Round-trips, tool calls and tokens used in the turn
+ * @param {string} params.conversationId - The conversation ID
+ * @param {string} params.shop - The shop domain
+ * @param {Object} params.stream - Stream manager for sending responses
+ */
+async function closeTurnAtLimit({ exceededLimit, turnUsage, conversationId, shop, stream }) {
+  console.warn(`Agent loop limit reached (${exceededLimit}) for conversation ${conversationId}:`, turnUsage);
+
+  const message = AppConfig.agentLoop.limitMessage;
+
+  // Store the closing message so the history ends with an assistant reply
+  try {
+    await saveMessage(conversationId, shop, 'assistant', JSON.stringify([{ type: 'text', text: message }]));
   } catch (error) {
-    // The streaming handler takes care of error handling
-    throw error;
+    console.error("Error saving message to database:", error);
   }
+
+  stream.sendMessage({
+    type: 'turn_limit_reached',
+    limit: exceededLimit,
+    message
+  });
 }
 
 /**
  * Get the customer MCP endpoint for a shop
- * @param {string} shopDomain - The shop domain
+ * @param {string} shop - The verified shop domain
  * @param {string} conversationId - The conversation ID
  * @returns {string} The customer MCP endpoint
  */
-async function getCustomerMcpEndpoint(shopDomain, conversationId) {
+async function getCustomerMcpEndpoint(shop, conversationId) {
   try {
     // Check if the customer account URL exists in the DB
-    const existingUrl = await getCustomerAccountUrl(conversationId);
+    const existingUrl = await getCustomerAccountUrl(conversationId, shop);
 
     // If URL exists, return early with the MCP endpoint
     if (existingUrl) {
@@ -305,9 +634,8 @@ async function getCustomerMcpEndpoint(shopDomain, conversationId) {
     }
 
     // If not, query for it from the Shopify API
-    const { hostname } = new URL(shopDomain);
     const { storefront } = await unauthenticated.storefront(
-      hostname
+      shop
     );
 
     const response = await storefront.graphql(
@@ -323,7 +651,7 @@ async function getCustomerMcpEndpoint(shopDomain, conversationId) {
     const customerAccountUrl = body.data.shop.customerAccountUrl;
 
     // Store the customer account URL with conversation ID in the DB
-    await storeCustomerAccountUrl(conversationId, customerAccountUrl);
+    await storeCustomerAccountUrl(conversationId, shop, customerAccountUrl);
 
     return `${customerAccountUrl}/customer/api/mcp`;
   } catch (error) {
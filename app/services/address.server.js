@@ -0,0 +1,125 @@
+/**
+ * Address Service
+ * Keeps requests to URLs entered by merchants, such as their MCP servers,
+ * away from loopback, private and link-local networks of the app's host
+ */
+import { lookup } from "node:dns";
+import { BlockList, isIP } from "node:net";
+
+// Networks that are not reachable on the public internet
+const blockedNetworks = new BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+].forEach(([network, prefix]) => blockedNetworks.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+].forEach(([network, prefix]) => blockedNetworks.addSubnet(network, prefix, "ipv6"));
+
+// IPv4 addresses mapped to IPv6, as ::ffff:127.0.0.1 or ::ffff:7f00:1
+const MAPPED_IPV4_PATTERN = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+const MAPPED_IPV4_HEX_PATTERN = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i;
+
+/**
+ * Creates an address service instance
+ * @returns {Object} Address service with methods for checking request targets
+ */
+export function createAddressService() {
+  /**
+   * Checks whether an IP address is on the public internet
+   * @param {string} address - An IPv4 or IPv6 address
+   * @returns {boolean} True for public addresses
+   */
+  const isPublicAddress = (address) => {
+    const mapped = MAPPED_IPV4_PATTERN.exec(address);
+    if (mapped) {
+      return isPublicAddress(mapped[1]);
+    }
+
+    const mappedHex = MAPPED_IPV4_HEX_PATTERN.exec(address);
+    if (mappedHex) {
+      const [high, low] = [mappedHex[1], mappedHex[2]].map((part) => parseInt(part, 16));
+      return isPublicAddress([high >> 8, high & 255, low >> 8, low & 255].join("."));
+    }
+
+    const family = isIP(address);
+    if (family === 0) {
+      return false;
+    }
+
+    return !blockedNetworks.check(address, family === 4 ? "ipv4" : "ipv6");
+  };
+
+  /**
+   * Checks that a URL is an https URL that does not name a local host or a
+   * non-public IP address. Host names are checked again when they are
+   * resolved, see publicLookup.
+   * @param {string} value - The URL
+   * @returns {boolean} True for URLs that may be requested
+   */
+  const isPublicUrl = (value) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (e) {
+      return false;
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    if (url.protocol !== "https:" || hostname === "localhost" || hostname.endsWith(".localhost")) {
+      return false;
+    }
+
+    return isIP(hostname) === 0 || isPublicAddress(hostname);
+  };
+
+  /**
+   * A dns.lookup replacement for outgoing connections that fails for host
+   * names resolving to a non-public address, so DNS cannot point a public
+   * name at the app's own network
+   * @param {string} hostname - The host name
+   * @param {Object} options - The lookup options
+   * @param {Function} callback - Called with the error or the addresses
+   */
+  const publicLookup = (hostname, options, callback) => {
+    lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      if (addresses.some((entry) => !isPublicAddress(entry.address))) {
+        const blocked = new Error(`${hostname} resolves to a non-public address`);
+        blocked.code = "ENOTPUBLIC";
+        callback(blocked);
+        return;
+      }
+
+      callback(null, address, family);
+    });
+  };
+
+  return {
+    isPublicAddress,
+    isPublicUrl,
+    publicLookup
+  };
+}
+
+export default {
+  createAddressService
+};
@@ -0,0 +1,92 @@
+/**
+ * Auth Status Service
+ * Lets requests wait for a customer's sign-in to finish, so the widget learns
+ * about it the moment the token is stored instead of on its next poll.
+ * Waiters are kept in memory: with several app instances, a waiter on another
+ * instance only learns about the change when its wait times out.
+ */
+
+// Resolvers of waiting requests per conversation
+const waiters = new Map();
+
+/**
+ * Creates an auth status service instance
+ * @returns {Object} Auth status service with methods for waiting on sign-ins
+ */
+export function createAuthStatusService() {
+  /**
+   * Wakes up the requests waiting for a conversation's sign-in
+   * @param {string} conversationId - The conversation ID
+   * @param {string} shop - The shop domain
+   */
+  const notify = (conversationId, shop) => {
+    const key = getKey(conversationId, shop);
+    const resolvers = waiters.get(key);
+    if (!resolvers) {
+      return;
+    }
+
+    waiters.delete(key);
+    resolvers.forEach((resolve) => resolve(true));
+  };
+
+  /**
+   * Waits until a conversation's sign-in completes or fails. The wait starts
+   * when this is called, so a change right after is not missed.
+   * @param {string} conversationId - The conversation ID
+   * @param {string} shop - The shop domain
+   * @param {number} timeoutMs - How long to wait at most
+   * @param {AbortSignal} [signal] - Ends the wait early, e.g. when the client disconnects
+   * @returns {Promise<boolean>} True when notified, false on timeout or abort
+   */
+  const waitForChange = (conversationId, shop, timeoutMs, signal) => {
+    const key = getKey(conversationId, shop);
+
+    return new Promise((resolve) => {
+      if (signal?.aborted) {
+        resolve(false);
+        return;
+      }
+
+      const done = (changed) => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+
+        const resolvers = waiters.get(key);
+        resolvers?.delete(done);
+        if (resolvers?.size === 0) {
+          waiters.delete(key);
+        }
+
+        resolve(changed);
+      };
+      const onAbort = () => done(false);
+      const timer = setTimeout(() => done(false), timeoutMs);
+
+      signal?.addEventListener("abort", onAbort);
+      if (!waiters.has(key)) {
+        waiters.set(key, new Set());
+      }
+      waiters.get(key).add(done);
+    });
+  };
+
+  return {
+    notify,
+    waitForChange
+  };
+}
+
+/**
+ * Builds the key of a conversation's waiters
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shop - The shop domain
+ * @returns {string} The key
+ */
+function getKey(conversationId, shop) {
+  return `${shop}:${conversationId}`;
+}
+
+export default {
+  createAuthStatusService
+};
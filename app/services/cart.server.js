@@ -0,0 +1,167 @@
+/**
+ * Cart Service
+ * Connects the chat to the customer's storefront cart, and turns cart changes
+ * the customer makes in the chat widget into context for the model
+ */
+import AppConfig from "./config.server";
+import { cleanText } from "./message-context.server";
+
+// Opens the context text, so the model knows what it describes
+const CART_CONTEXT_HEADER = "[Cart updated by the customer]";
+
+// Storefront cart IDs as the widget builds them from the Ajax Cart API token
+const CART_ID_PATTERN = /^gid:\/\/shopify\/Cart\/[A-Za-z0-9_-]{1,200}(\?key=[A-Za-z0-9]{1,100})?$/;
+
+/**
+ * Creates a cart service instance
+ * @returns {Object} Cart service with methods for cart context
+ */
+export function createCartService() {
+  /**
+   * Describes the items the customer added with product cards, and the
+   * resulting cart, so the model knows about changes it did not make itself.
+   * @param {Object} cartUpdate - The cart_update sent by the widget
+   * @returns {string|null} The context text, or null when there is nothing to tell
+   */
+  const formatCartUpdate = (cartUpdate) => {
+    if (!cartUpdate || typeof cartUpdate !== 'object') {
+      return null;
+    }
+
+    const maxItems = AppConfig.cart.maxContextItems;
+    const added = Array.isArray(cartUpdate.added) ? cartUpdate.added.slice(0, maxItems) : [];
+    const cart = cartUpdate.cart && typeof cartUpdate.cart === 'object' ? cartUpdate.cart : null;
+
+    if (added.length === 0 && !cart) {
+      return null;
+    }
+
+    const lines = [CART_CONTEXT_HEADER];
+
+    if (added.length > 0) {
+      lines.push("The customer added these items to their cart with the chat's product cards:");
+      lines.push(...added.map((item) => {
+        const variantId = cleanText(item.variant_id);
+        return `${formatLine(item)}${variantId ? `, variant ${variantId}` : ''}`;
+      }));
+    } else {
+      lines.push("The customer changed their cart in the chat.");
+    }
+
+    if (cart) {
+      const cartId = cleanText(cart.id);
+      const itemCount = toQuantity(cart.item_count);
+      const subtotal = formatMoney(cart.subtotal);
+
+      lines.push(`Their cart${cartId ? ` ${cartId}` : ''} now holds ${itemCount} ${itemCount === 1 ? 'item' : 'items'}` +
+        `${subtotal ? `, subtotal ${subtotal}` : ''}:`);
+      lines.push(...(Array.isArray(cart.lines) ? cart.lines.slice(0, maxItems) : []).map(formatLine));
+
+      if (cartId) {
+        lines.push("Use this cart ID with the cart tools to view or change the cart.");
+      }
+    }
+
+    return lines.join("\n");
+  };
+
+  /**
+   * Reads the storefront cart ID sent by the widget
+   * @param {*} value - The cart_id sent by the widget
+   * @returns {string|null} The cart ID, or null when missing or malformed
+   */
+  const getStorefrontCartId = (value) => {
+    return typeof value === 'string' && CART_ID_PATTERN.test(value) ? value : null;
+  };
+
+  /**
+   * Lets the model leave out the cart ID of the cart tools, so they act on the
+   * cart the customer sees in the store instead of a new one
+   * @param {Array} tools - Available tools in Claude format
+   * @param {string|null} cartId - The storefront cart ID
+   * @returns {Array} The tools
+   */
+  const withStorefrontCartTools = (tools, cartId) => {
+    if (!cartId) {
+      return tools;
+    }
+
+    return tools.map((tool) => {
+      if (!AppConfig.cart.toolNames.includes(tool.name)) {
+        return tool;
+      }
+
+      const schema = tool.input_schema || {};
+      return {
+        ...tool,
+        description: `${tool.description || ''} Leave out cart_id to use the customer's current cart.`.trim(),
+        input_schema: {
+          ...schema,
+          required: (schema.required || []).filter((name) => name !== 'cart_id')
+        }
+      };
+    });
+  };
+
+  /**
+   * Fills in the storefront cart ID for cart tool calls that leave it out
+   * @param {string} toolName - The name of the tool
+   * @param {Object} toolArgs - The arguments of the call
+   * @param {string|null} cartId - The storefront cart ID
+   * @returns {Object} The arguments to call the tool with
+   */
+  const withStorefrontCart = (toolName, toolArgs, cartId) => {
+    if (!cartId || !AppConfig.cart.toolNames.includes(toolName) || toolArgs?.cart_id) {
+      return toolArgs;
+    }
+
+    return { ...toolArgs, cart_id: cartId };
+  };
+
+  return {
+    formatCartUpdate,
+    getStorefrontCartId,
+    withStorefrontCartTools,
+    withStorefrontCart
+  };
+}
+
+/**
+ * Formats an item as a line such as "- 2 × T-shirt (Blue / M)"
+ * @param {Object} item - The item with title, variant title and quantity
+ * @returns {string} The formatted line
+ */
+function formatLine(item) {
+  const title = cleanText(item?.title) || "Item";
+  const variantTitle = cleanText(item?.variant_title);
+  return `- ${toQuantity(item?.quantity)} × ${title}${variantTitle ? ` (${variantTitle})` : ''}`;
+}
+
+/**
+ * Formats an amount and currency sent by the widget
+ * @param {Object} money - The amount and currency code
+ * @returns {string} The formatted amount, or an empty string
+ */
+function formatMoney(money) {
+  const amount = Number(money?.amount);
+  if (!money || isNaN(amount)) {
+    return "";
+  }
+
+  const currency = cleanText(money.currency_code).slice(0, 3);
+  return `${currency ? `${currency} ` : ''}${amount.toFixed(2)}`;
+}
+
+/**
+ * Reads a quantity sent by the widget
+ * @param {*} value - The quantity
+ * @returns {number} A whole number between 0 and 9999
+ */
+function toQuantity(value) {
+  const quantity = parseInt(value, 10);
+  return isNaN(quantity) ? 0 : Math.min(Math.max(quantity, 0), 9999);
+}
+
+export default {
+  createCartService
+};
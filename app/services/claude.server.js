@@ -4,14 +4,20 @@
  */
 import { Anthropic } from "@anthropic-ai/sdk";
 import AppConfig from "./config.server";
-import systemPrompts from "../prompts/prompts.json";
+import { getSystemPrompt, getStaticSystemPrompt } from "./prompt.server";
+
+const CACHE_CONTROL = { type: "ephemeral" };
 
 /**
  * Creates a Claude service instance
  * @param {string} apiKey - Claude API key
+ * @param {string} model - The Claude model to use
  * @returns {Object} Claude service with methods for interacting with Claude API
  */
-export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
+export function createClaudeService(
+  apiKey = process.env.CLAUDE_API_KEY,
+  model = process.env.LLM_MODEL || AppConfig.api.models.anthropic
+) {
   // Initialize Claude client
   const anthropic = new Anthropic({ apiKey });
 
@@ -20,28 +26,33 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
    * @param {Object} params - Stream parameters
    * @param {Array} params.messages - Conversation history
    * @param {string} params.promptType - The type of system prompt to use
+   * @param {string} params.systemPrompt - Resolved system prompt, overrides promptType when set
    * @param {Array} params.tools - Available tools for Claude
    * @param {Object} streamHandlers - Stream event handlers
    * @param {Function} streamHandlers.onText - Handles text chunks
    * @param {Function} streamHandlers.onMessage - Handles complete messages
    * @param {Function} streamHandlers.onToolUse - Handles tool use requests
+   * @param {Function} streamHandlers.onContentBlock - Handles completed content blocks
    * @returns {Promise<Object>} The final message
    */
   const streamConversation = async ({
     messages,
     promptType = AppConfig.api.defaultPromptType,
+    systemPrompt,
     tools
   }, streamHandlers) => {
     // Get system prompt from configuration or use default
-    const systemInstruction = getSystemPrompt(promptType);
+    const systemInstruction = systemPrompt || getStaticSystemPrompt(promptType);
+
+    const caching = AppConfig.api.promptCaching;
 
     // Create stream
     const stream = await anthropic.messages.stream({
-      model: AppConfig.api.defaultModel,
+      model,
       max_tokens: AppConfig.api.maxTokens,
-      system: systemInstruction,
-      messages,
-      tools: tools && tools.length > 0 ? tools : undefined
+      system: caching ? [{ type: "text", text: systemInstruction, cache_control: CACHE_CONTROL }] : systemInstruction,
+      messages: caching ? withCachedPrefix(messages) : messages,
+      tools: tools && tools.length > 0 ? (caching ? withCachedTools(tools) : tools) : undefined
     });
 
     // Set up event handlers
@@ -60,34 +71,66 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
     // Wait for final message
     const finalMessage = await stream.finalMessage();
 
-    // Process tool use requests
+    // Process tool use requests concurrently
     if (streamHandlers.onToolUse && finalMessage.content) {
-      for (const content of finalMessage.content) {
-        if (content.type === "tool_use") {
-          await streamHandlers.onToolUse(content);
-        }
-      }
+      await Promise.all(
+        finalMessage.content
+          .filter((content) => content.type === "tool_use")
+          .map((content) => streamHandlers.onToolUse(content))
+      );
     }
 
     return finalMessage;
   };
 
-  /**
-   * Gets the system prompt content for a given prompt type
-   * @param {string} promptType - The prompt type to retrieve
-   * @returns {string} The system prompt content
-   */
-  const getSystemPrompt = (promptType) => {
-    return systemPrompts.systemPrompts[promptType]?.content ||
-      systemPrompts.systemPrompts[AppConfig.api.defaultPromptType].content;
-  };
-
   return {
     streamConversation,
     getSystemPrompt
   };
 }
 
+/**
+ * Marks the tool definitions as cacheable.
+ * A breakpoint on the last tool caches the whole list.
+ * @param {Array} tools - Available tools
+ * @returns {Array} Tools with a cache breakpoint
+ */
+function withCachedTools(tools) {
+  return tools.map((tool, index) => (
+    index === tools.length - 1 ? { ...tool, cache_control: CACHE_CONTROL } : tool
+  ));
+}
+
+/**
+ * Marks the conversation so far as cacheable.
+ * Each agent loop step only appends messages, so a breakpoint on the last
+ * message lets the next step read everything before it from the cache.
+ * The messages are copied, the caller's history is left untouched.
+ * @param {Array} messages - Conversation history
+ * @returns {Array} Messages with a cache breakpoint on the last content block
+ */
+function withCachedPrefix(messages) {
+  if (messages.length === 0) return messages;
+
+  const last = messages[messages.length - 1];
+  const content = typeof last.content === "string"
+    ? [{ type: "text", text: last.content }]
+    : last.content;
+
+  if (!Array.isArray(content) || content.length === 0) return messages;
+
+  return [
+    ...messages.slice(0, -1),
+    {
+      ...last,
+      content: [
+        ...content.slice(0, -1),
+        { ...content[content.length - 1], cache_control: CACHE_CONTROL }
+      ]
+    }
+  ];
+}
+
 export default {
   createClaudeService
 };
@@ -6,11 +6,29 @@
 export const AppConfig = {
   // API Configuration
   api: {
-    defaultModel: 'claude-3-5-sonnet-20241022',
+    // One of the providers registered in llm.server.js, overridable with LLM_PROVIDER
+    provider: 'anthropic',
+    // Default model per provider, overridable with LLM_MODEL
+    models: {
+      anthropic: 'claude-3-5-sonnet-20241022',
+      openai: 'gpt-4o-mini',
+      mock: 'mock'
+    },
+    openaiBaseUrl: 'https://api.openai.com/v1',
     maxTokens: 2000,
+    // Mark the system prompt, tools and conversation prefix as cacheable (Anthropic only)
+    promptCaching: true,
     defaultPromptType: 'standardAssistant',
   },
 
+  // Model Pricing in USD per million tokens, used for usage reports.
+  // Models missing here are tracked with a cost of zero.
+  pricing: {
+    'claude-3-5-sonnet-20241022': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6, cacheRead: 0.075, cacheWrite: 0 },
+    mock: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 }
+  },
+
   // Error Message Templates
   errorMessages: {
     missingMessage: "Message is required",
@@ -19,13 +37,109 @@ export const AppConfig = {
     apiKeyError: "Please check your API key in environment variables",
     rateLimitExceeded: "Rate limit exceeded",
     rateLimitDetails: "Please try again later",
-    genericError: "Failed to get response from Claude"
+    genericError: "Failed to get response from Claude",
+    shopNotVerified: "This request could not be verified for the shop",
+    invalidConversationToken: "Missing or invalid conversation token",
+    invalidConfirmation: "A confirmation needs an existing conversation, its ID and a decision of approve or reject",
+    confirmationNotFound: "This confirmation was already answered or does not exist"
   },
 
   // Tool Configuration
   tools: {
-    productSearchName: "search_shop_catalog",
-    maxProductsToDisplay: 3
+    // Cards shown per product list, and answers shown per policy search
+    maxProductsToDisplay: 10,
+    maxPolicyAnswersToDisplay: 3,
+    // Time a single tool call may take before the model gets a timeout error
+    defaultTimeoutMs: 15000,
+    // Per-tool overrides of defaultTimeoutMs, keyed by tool name
+    timeouts: {
+      search_shop_catalog: 10000
+    },
+    // Time the customer has to approve or reject a tool call that needs confirmation
+    confirmationTtlMs: 15 * 60 * 1000
+  },
+
+  // Storefront Cart Shared With the Chat Widget
+  cart: {
+    // Cart changes made with product cards, sent as context with the next message
+    maxContextItems: 20,
+    // Cart tools that act on the customer's storefront cart when no cart_id is given
+    toolNames: ["get_cart", "update_cart"]
+  },
+
+  // Customer Account Authentication
+  customerAuth: {
+    // Access tokens are refreshed when they expire within this time
+    tokenRefreshMarginMs: 5 * 60 * 1000,
+    // How long a sign-in link stays valid
+    authRequestTtlMs: 10 * 60 * 1000,
+    // A pending sign-in link is handed out again while it stays valid this long
+    authRequestReuseMarginMs: 5 * 60 * 1000,
+    // How long a token status request waits for a sign-in to finish, kept
+    // below the timeout of the app proxy
+    statusWaitMs: 8 * 1000
+  },
+
+  // Page Details Set by the Theme With ShopAIChat.setContext
+  pageContext: {
+    maxFields: 20,
+    maxValueLength: 300
+  },
+
+  // MCP Server Connections
+  mcp: {
+    // Tool lists younger than this are used without asking the server
+    toolsCacheTtlMs: 5 * 60 * 1000,
+    // Older lists are still served while a refresh runs in the background
+    toolsCacheMaxStaleMs: 60 * 60 * 1000,
+    // Idle time before a pooled connection to an MCP server is closed
+    keepAliveTimeoutMs: 30 * 1000,
+    // Pooled connections per MCP server origin
+    connectionsPerOrigin: 10,
+    // Unused MCP sessions are forgotten and initialized again after this
+    sessionIdleTimeoutMs: 30 * 60 * 1000,
+    // Upper bound on tools/list pages followed through nextCursor
+    maxToolListPages: 20
+  },
+
+  // Agent Loop Limits, applied to each customer message
+  agentLoop: {
+    // Model round-trips before the turn is closed
+    maxIterations: 8,
+    // Tool calls across all round-trips of the turn
+    maxToolCalls: 12,
+    // Input and output tokens reported by the provider across the turn
+    maxInputTokens: 100000,
+    maxOutputTokens: 8000,
+    limitMessage: "I wasn't able to finish looking into that. Could you rephrase your question or narrow it down a little?"
+  },
+
+  // Conversation History Windowing
+  history: {
+    // Estimated tokens of history sent to the model before older turns get summarized
+    tokenBudget: 12000,
+    // Estimated tokens of the most recent turns that are always kept verbatim
+    keepRecentTokens: 4000,
+    // Characters of each tool result included in the text handed to the summarizer
+    maxToolResultChars: 1000,
+    summaryPrompt: "You summarize conversations between a customer and a store's shopping assistant. " +
+      "Write a concise summary of the conversation so far that lets the assistant continue it. " +
+      "Keep the customer's goals, preferences, products and variants discussed, cart contents, " +
+      "order numbers and any open questions. Reply with the summary only."
+  },
+
+  // Storefront Shop Verification
+  shopVerification: {
+    domainCacheTtlMs: 10 * 60 * 1000
+  },
+
+  // Admin Dashboard Configuration
+  admin: {
+    conversationsPageSize: 20,
+    previewLength: 120,
+    // Periods offered on the usage report, in days
+    usageReportDays: [7, 30, 90],
+    expensiveConversationsLimit: 10
   }
 };
 
@@ -0,0 +1,48 @@
+/**
+ * Customer Account Service
+ * Tells the model when the customer disconnected their account from the chat
+ */
+import { saveMessage } from "../db.server";
+import { NOTE_ROLE } from "./history.server";
+
+// Marks the notice ahead of the customer's next message
+export const ACCOUNT_CONTEXT_HEADER = "[Customer account disconnected]";
+
+/**
+ * Creates a customer account service instance
+ * @returns {Object} Customer account service with methods for account context
+ */
+export function createCustomerAccountService() {
+  /**
+   * Builds the notice for the model after the customer disconnected their account
+   * @returns {string} The notice
+   */
+  const formatDisconnectNotice = () => {
+    return [
+      ACCOUNT_CONTEXT_HEADER,
+      "The customer disconnected their account from this chat and is now anonymous.",
+      "Do not share order or account details from earlier in the conversation again.",
+      "If they need their account, ask them to sign in again."
+    ].join("\n");
+  };
+
+  /**
+   * Stores the notice in the conversation, so the model gets it with the
+   * customer's next message and on every replay of the history
+   * @param {string} conversationId - The conversation ID
+   * @param {string} shop - The shop domain
+   * @returns {Promise<Object>} The stored note
+   */
+  const recordDisconnect = async (conversationId, shop) => {
+    return await saveMessage(conversationId, shop, NOTE_ROLE, formatDisconnectNotice());
+  };
+
+  return {
+    formatDisconnectNotice,
+    recordDisconnect
+  };
+}
+
+export default {
+  createCustomerAccountService
+};
@@ -0,0 +1,158 @@
+/**
+ * Encryption Service
+ * Envelope encryption for secrets stored in the database, such as customer
+ * tokens and PKCE verifiers. Every value is encrypted with its own data key,
+ * which is encrypted with a key from the environment.
+ */
+import { createCipheriv, createDecipheriv, hkdfSync, randomBytes } from "node:crypto";
+
+// Values written by this service start with a prefix and their format version
+const ENCRYPTED_PREFIX = "enc";
+const ENVELOPE_VERSION = "v2";
+
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * Reads the encryption keys from the environment. TOKEN_ENCRYPTION_KEYS holds
+ * comma-separated "id:secret" pairs: the first key encrypts, the others are
+ * only used to read values until they are re-encrypted. Without it, the single
+ * TOKEN_ENCRYPTION_KEY or SHOPIFY_API_SECRET is used with the id "default".
+ * @returns {Array} The keys with their id and secret
+ */
+export function getEncryptionKeysFromEnv() {
+  if (process.env.TOKEN_ENCRYPTION_KEYS) {
+    return process.env.TOKEN_ENCRYPTION_KEYS.split(",").map((entry) => {
+      const separator = entry.indexOf(":");
+      return { id: entry.slice(0, separator).trim(), secret: entry.slice(separator + 1).trim() };
+    });
+  }
+
+  const secret = process.env.TOKEN_ENCRYPTION_KEY || process.env.SHOPIFY_API_SECRET;
+  return secret ? [{ id: "default", secret }] : [];
+}
+
+/**
+ * Creates an encryption service instance
+ * @param {Array} keys - Keys with their id and secret, the first one encrypts
+ * @returns {Object} Encryption service with methods for encrypting and decrypting values
+ */
+export function createEncryptionService(keys = getEncryptionKeysFromEnv()) {
+  if (keys.length === 0) {
+    throw new Error("TOKEN_ENCRYPTION_KEYS, TOKEN_ENCRYPTION_KEY or SHOPIFY_API_SECRET environment variable is required");
+  }
+
+  const keysById = new Map(keys.map(({ id, secret }) => {
+    if (!KEY_ID_PATTERN.test(id) || !secret) {
+      throw new Error(`Invalid encryption key "${id}", use id:secret with an id of letters, numbers, - or _`);
+    }
+    return [id, deriveKey(secret)];
+  }));
+  const currentKeyId = keys[0].id;
+
+  /**
+   * Encrypts a value with a new data key, wrapped with the current key
+   * @param {string} value - The value to encrypt
+   * @returns {string} The encrypted value
+   */
+  const encrypt = (value) => {
+    const dataKey = randomBytes(32);
+    const wrappedKey = seal(keysById.get(currentKeyId), dataKey);
+    const ciphertext = seal(dataKey, Buffer.from(value, "utf8"));
+
+    return [ENCRYPTED_PREFIX, ENVELOPE_VERSION, currentKeyId, ...wrappedKey, ...ciphertext]
+      .map((part) => typeof part === "string" ? part : part.toString("base64url"))
+      .join(":");
+  };
+
+  /**
+   * Decrypts a value written by encrypt, with any of the configured keys
+   * @param {string} value - The encrypted value
+   * @returns {string} The original value
+   * @throws {Error} If the value is malformed or its key is not configured
+   */
+  const decrypt = (value) => {
+    const [prefix, version, ...parts] = typeof value === "string" ? value.split(":") : [];
+
+    if (prefix === ENCRYPTED_PREFIX && version === ENVELOPE_VERSION && parts.length === 7) {
+      const [keyId, ...sealed] = parts;
+      const key = keysById.get(keyId);
+      if (!key) {
+        throw new Error(`Encryption key "${keyId}" is not configured`);
+      }
+
+      const [wrapIv, wrapTag, wrappedKey, iv, authTag, ciphertext] = sealed.map((part) => Buffer.from(part, "base64url"));
+      const dataKey = open(key, wrapIv, wrapTag, wrappedKey);
+      return open(dataKey, iv, authTag, ciphertext).toString("utf8");
+    }
+
+    throw new Error("Value is not encrypted");
+  };
+
+  /**
+   * Checks whether a value was written by this service
+   * @param {string} value - The stored value
+   * @returns {boolean} True for encrypted values
+   */
+  const isEncrypted = (value) => {
+    return typeof value === "string" && value.startsWith(`${ENCRYPTED_PREFIX}:`);
+  };
+
+  /**
+   * Checks whether a value is encrypted with the current key and format,
+   * so it does not need to be re-encrypted
+   * @param {string} value - The stored value
+   * @returns {boolean} True for values that are up to date
+   */
+  const isCurrent = (value) => {
+    return typeof value === "string" &&
+      value.startsWith(`${ENCRYPTED_PREFIX}:${ENVELOPE_VERSION}:${currentKeyId}:`);
+  };
+
+  return {
+    encrypt,
+    decrypt,
+    isEncrypted,
+    isCurrent
+  };
+}
+
+/**
+ * Derives a 256-bit key from a secret of any length
+ * @param {string} secret - The secret from the environment
+ * @returns {Buffer} The key
+ */
+function deriveKey(secret) {
+  return Buffer.from(hkdfSync("sha256", secret, "", "shop-chat-agent token encryption", 32));
+}
+
+/**
+ * Encrypts data with AES-256-GCM
+ * @param {Buffer} key - The key
+ * @param {Buffer} data - The data
+ * @returns {Array} The IV, auth tag and ciphertext
+ */
+function seal(key, data) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext];
+}
+
+/**
+ * Decrypts data encrypted with seal
+ * @param {Buffer} key - The key
+ * @param {Buffer} iv - The IV
+ * @param {Buffer} authTag - The auth tag
+ * @param {Buffer} ciphertext - The ciphertext
+ * @returns {Buffer} The data
+ * @throws {Error} If the key is wrong or the data was changed
+ */
+function open(key, iv, authTag, ciphertext) {
+  const decipher = createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+export default {
+  createEncryptionService
+};
@@ -0,0 +1,57 @@
+/**
+ * Event Stream Service
+ * Reads server-sent events from a response body, following the event stream
+ * format of the HTML standard
+ */
+
+/**
+ * Reads the data of each event in a server-sent events response body
+ * @param {ReadableStream} body - The response body
+ * @returns {AsyncGenerator<string>} The data of each event, with the lines of
+ * multi-line data joined by newlines
+ */
+export async function* readEventStream(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let data = [];
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // A trailing CR may be the first half of a CRLF, so it waits for the next chunk
+      const end = buffer.endsWith("\r") ? buffer.length - 1 : buffer.length;
+      const lines = buffer.slice(0, end).split(/\r\n|\r|\n/);
+      buffer = lines.pop() + buffer.slice(end);
+
+      for (const line of lines) {
+        // A blank line ends the event
+        if (line === "") {
+          const event = data.join("\n");
+          data = [];
+          if (event !== "") {
+            yield event;
+          }
+          continue;
+        }
+
+        // Only data is used, other fields and comments are skipped
+        const colon = line.indexOf(":");
+        const field = colon === -1 ? line : line.slice(0, colon);
+        if (field === "data") {
+          data.push(colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, ""));
+        }
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+export default {
+  readEventStream
+};
@@ -0,0 +1,270 @@
+/**
+ * History Service
+ * Builds the conversation window sent to the model, summarizing older turns
+ * once the history outgrows the configured token budget
+ */
+import { saveMessage } from "../db.server";
+import AppConfig from "./config.server";
+import { estimateTokens, getMessageUsage } from "./usage.server";
+import { createMessageContextService, prependText } from "./message-context.server";
+
+export const SUMMARY_ROLE = "summary";
+// Notes tell the model about things that happened outside the chat, such as
+// the customer disconnecting their account. They are stored as their own rows
+// and sent along with the customer's next message.
+export const NOTE_ROLE = "note";
+
+/**
+ * Creates a history service instance
+ * @param {Object} llmService - The LLM service used to write summaries
+ * @returns {Object} History service with methods for windowing conversation history
+ */
+export function createHistoryService(llmService) {
+  /**
+   * Builds the messages to send to the model from the stored conversation.
+   *
+   * The window only ever starts at a customer text message. Tool results are
+   * stored as user messages too, but cutting right before one would orphan it
+   * from its tool_use, so those positions are never used as a cut point.
+   *
+   * @param {Object} params - Window parameters
+   * @param {Array} params.dbMessages - Stored messages, oldest first
+   * @param {string} params.conversationId - The conversation ID
+   * @param {string} params.shop - The shop domain
+   * @returns {Promise<Array>} Messages in Claude format
+   */
+  const buildConversationWindow = async ({ dbMessages, conversationId, shop }) => {
+    const { summary, messages } = applyStoredSummary(dbMessages);
+
+    if (estimateTokens(summary) + estimateMessagesTokens(messages) <= AppConfig.history.tokenBudget) {
+      return withSummary(summary, messages);
+    }
+
+    const cutIndex = findCutIndex(messages);
+    if (cutIndex <= 0) {
+      // The current turn alone is over budget, there is nothing older to summarize
+      return withSummary(summary, messages);
+    }
+
+    const olderMessages = messages.slice(0, cutIndex);
+    const recentMessages = messages.slice(cutIndex);
+
+    let newSummary, usage;
+    try {
+      ({ summary: newSummary, usage } = await summarize(summary, olderMessages));
+    } catch (error) {
+      console.error("Error summarizing conversation history:", error);
+      return withSummary(summary, messages);
+    }
+
+    try {
+      await saveMessage(conversationId, shop, SUMMARY_ROLE, JSON.stringify({
+        summary: newSummary,
+        through: olderMessages[olderMessages.length - 1].id
+      }), usage);
+    } catch (error) {
+      console.error("Error saving conversation summary:", error);
+    }
+
+    return withSummary(newSummary, recentMessages);
+  };
+
+  /**
+   * Asks the model to summarize older messages
+   * @param {string} previousSummary - Summary of the turns before these messages, if any
+   * @param {Array} messages - Messages to summarize
+   * @returns {Promise<Object>} The summary and the usage of the call
+   */
+  const summarize = async (previousSummary, messages) => {
+    const transcript = [
+      previousSummary ? `Summary of the earlier conversation:\n${previousSummary}` : "",
+      messages.map(formatForTranscript).filter(Boolean).join("\n")
+    ].filter(Boolean).join("\n\n");
+
+    const startedAt = Date.now();
+    const result = await llmService.streamConversation({
+      messages: [{ role: "user", content: transcript }],
+      systemPrompt: AppConfig.history.summaryPrompt,
+      tools: []
+    }, {});
+
+    const text = result.content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("\n")
+      .trim();
+
+    if (!text) {
+      throw new Error("Summarizer returned no text");
+    }
+
+    return {
+      summary: text,
+      usage: getMessageUsage(result, Date.now() - startedAt)
+    };
+  };
+
+  return {
+    buildConversationWindow
+  };
+}
+
+/**
+ * Parses stored messages and drops everything covered by the latest summary.
+ * Stored context is put ahead of its message, and notes are folded into the
+ * next customer text message.
+ * @param {Array} dbMessages - Stored messages, oldest first
+ * @returns {Object} The latest summary text and the messages after it
+ */
+function applyStoredSummary(dbMessages) {
+  let summary = "";
+  let startIndex = 0;
+
+  dbMessages.forEach((dbMessage) => {
+    if (dbMessage.role !== SUMMARY_ROLE) return;
+
+    try {
+      const { summary: text, through } = JSON.parse(dbMessage.content);
+      const throughIndex = dbMessages.findIndex((candidate) => candidate.id === through);
+      if (text && throughIndex >= 0) {
+        summary = text;
+        startIndex = throughIndex + 1;
+      }
+    } catch (error) {
+      console.error("Ignoring malformed conversation summary:", dbMessage.id);
+    }
+  });
+
+  const messageContextService = createMessageContextService();
+  const messages = [];
+  let notes = [];
+
+  dbMessages.slice(startIndex).forEach((dbMessage) => {
+    if (dbMessage.role === SUMMARY_ROLE) return;
+
+    if (dbMessage.role === NOTE_ROLE) {
+      notes.push(dbMessage.content);
+      return;
+    }
+
+    let content;
+    try {
+      content = JSON.parse(dbMessage.content);
+    } catch (e) {
+      content = dbMessage.content;
+    }
+
+    const message = {
+      id: dbMessage.id,
+      role: dbMessage.role,
+      content: messageContextService.withContext(content, dbMessage.context)
+    };
+    // Tool results must stay first in their message, so notes wait for the next customer turn
+    if (notes.length > 0 && isTurnStart(message)) {
+      message.content = prependText(message.content, notes);
+      notes = [];
+    }
+    messages.push(message);
+  });
+
+  return { summary, messages };
+}
+
+/**
+ * Finds where to split the history so the recent part fits keepRecentTokens
+ * @param {Array} messages - Parsed messages, oldest first
+ * @returns {number} Index of the first message to keep, or 0 if none can be dropped
+ */
+function findCutIndex(messages) {
+  const boundaries = messages
+    .map((message, index) => (isTurnStart(message) ? index : -1))
+    .filter((index) => index > 0);
+
+  if (boundaries.length === 0) {
+    return 0;
+  }
+
+  // Take the earliest boundary whose suffix fits, but always drop up to the latest turn if needed
+  for (const boundary of boundaries) {
+    if (estimateMessagesTokens(messages.slice(boundary)) <= AppConfig.history.keepRecentTokens) {
+      return boundary;
+    }
+  }
+
+  return boundaries[boundaries.length - 1];
+}
+
+/**
+ * Checks whether a message starts a customer turn
+ * @param {Object} message - A parsed message
+ * @returns {boolean} True for customer text messages, false for tool results
+ */
+function isTurnStart(message) {
+  if (message.role !== "user") return false;
+  if (typeof message.content === "string") return true;
+  return Array.isArray(message.content) &&
+    !message.content.some((block) => block.type === "tool_result");
+}
+
+/**
+ * Prepends the summary to the first message of the window
+ * @param {string} summary - The summary text, if any
+ * @param {Array} messages - Parsed messages starting at a customer turn
+ * @returns {Array} Messages in Claude format
+ */
+function withSummary(summary, messages) {
+  const result = messages.map(({ role, content }) => ({ role, content }));
+
+  if (!summary || result.length === 0) {
+    return result;
+  }
+
+  const [first, ...rest] = result;
+  const content = prependText(first.content, [`[Summary of the earlier conversation]\n${summary}`]);
+
+  return [{ role: first.role, content }, ...rest];
+}
+
+/**
+ * Renders a message as plain text for the summarizer
+ * @param {Object} message - A parsed message
+ * @returns {string} The message as text
+ */
+function formatForTranscript(message) {
+  const speaker = message.role === "user" ? "Customer" : "Assistant";
+
+  if (typeof message.content === "string") {
+    return `${speaker}: ${message.content}`;
+  }
+
+  return (message.content || []).map((block) => {
+    switch (block.type) {
+      case "text":
+        return `${speaker}: ${block.text}`;
+      case "tool_use":
+        return `[Assistant called ${block.name} with ${JSON.stringify(block.input)}]`;
+      case "tool_result": {
+        const text = typeof block.content === "string" ? block.content : JSON.stringify(block.content);
+        return `[Tool result: ${text.slice(0, AppConfig.history.maxToolResultChars)}]`;
+      }
+      default:
+        return "";
+    }
+  }).filter(Boolean).join("\n");
+}
+
+/**
+ * Roughly estimates the token count of messages
+ * @param {Array} messages - Messages in Claude format
+ * @returns {number} Estimated token count
+ */
+function estimateMessagesTokens(messages) {
+  return messages.reduce((total, message) => {
+    const text = typeof message.content === "string" ? message.content : JSON.stringify(message.content);
+    return total + estimateTokens(text);
+  }, 0);
+}
+
+export default {
+  createHistoryService
+};
@@ -0,0 +1,38 @@
+/**
+ * LLM Service
+ * Selects the model provider used by the chat route. Every provider exposes
+ * the same interface: streamConversation(params, { onText, onMessage,
+ * onToolUse, onContentBlock }) resolving to a Claude-format final message,
+ * and getSystemPrompt(promptType, shop). onToolUse is called for every
+ * tool_use block of the final message at once and awaited together.
+ */
+import AppConfig from "./config.server";
+import { createClaudeService } from "./claude.server";
+import { createOpenAIService } from "./openai.server";
+import { createMockService } from "./mock.server";
+
+const providers = {
+  anthropic: () => createClaudeService(),
+  openai: () => createOpenAIService(),
+  mock: () => createMockService()
+};
+
+/**
+ * Creates the LLM service for the configured provider
+ * @param {string} provider - Provider name, defaults to LLM_PROVIDER or the configured provider
+ * @returns {Object} LLM service with methods for streaming conversations
+ * @throws {Error} If the provider is unknown
+ */
+export function createLlmService(provider = process.env.LLM_PROVIDER || AppConfig.api.provider) {
+  const createProvider = providers[provider];
+
+  if (!createProvider) {
+    throw new Error(`Unknown LLM provider "${provider}". Expected one of: ${Object.keys(providers).join(", ")}`);
+  }
+
+  return createProvider();
+}
+
+export default {
+  createLlmService
+};
@@ -0,0 +1,107 @@
+/**
+ * Message Context Service
+ * Context for the model that the widget sends along with a customer's
+ * message, such as cart changes or the page the customer is viewing. It comes
+ * from the storefront and is treated like the customer's own text.
+ *
+ * The context is stored with the message, apart from what the customer wrote,
+ * and put ahead of their text whenever the history is sent to the model. Later
+ * turns replay it unchanged, so the cached prompt prefix still matches.
+ */
+
+/**
+ * Creates a message context service instance
+ * @returns {Object} Message context service with methods for message context
+ */
+export function createMessageContextService() {
+  /**
+   * Builds the context to store with a customer message
+   * @param {Array<string|null>} contexts - Context texts, empty ones are skipped
+   * @returns {string|null} The context to store, or null when there is none
+   */
+  const formatContext = (contexts) => {
+    const texts = contexts.filter(Boolean);
+    return texts.length > 0 ? JSON.stringify(texts) : null;
+  };
+
+  /**
+   * Puts the stored context of a message ahead of its content
+   * @param {string|Array} content - Message content in Claude format
+   * @param {string|null} context - The stored context, see formatContext
+   * @returns {string|Array} The content for the model
+   */
+  const withContext = (content, context) => {
+    const texts = parseContext(context);
+    return texts.length > 0 ? prependText(content, texts) : content;
+  };
+
+  return {
+    formatContext,
+    withContext
+  };
+}
+
+/**
+ * Reads stored context
+ * @param {string|null} context - The stored context, see formatContext
+ * @returns {Array<string>} The context texts
+ */
+export function parseContext(context) {
+  if (!context) {
+    return [];
+  }
+
+  try {
+    const texts = JSON.parse(context);
+    return Array.isArray(texts) ? texts.filter((text) => typeof text === "string") : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Puts text blocks ahead of message content
+ * @param {string|Array} content - Message content in Claude format
+ * @param {Array<string>} texts - The texts to put first
+ * @returns {Array} The content blocks
+ */
+export function prependText(content, texts) {
+  const blocks = typeof content === "string"
+    ? [{ type: "text", text: content }]
+    : content;
+
+  return [...texts.map((text) => ({ type: "text", text })), ...blocks];
+}
+
+/**
+ * Reads what the customer wrote from message content, without the context,
+ * notes or summary put ahead of it
+ * @param {string|Array} content - Message content in Claude format
+ * @returns {string} The customer's text, empty for tool results
+ */
+export function getCustomerText(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+
+  // Everything else is prepended, so the customer's text is the last block
+  const textBlocks = (content || []).filter((block) => block.type === "text");
+  return textBlocks.length > 0 ? textBlocks[textBlocks.length - 1].text : "";
+}
+
+/**
+ * Flattens text sent by the widget to a single short line
+ * @param {*} value - The text
+ * @param {number} maxLength - The maximum length
+ * @returns {string} The cleaned text
+ */
+export function cleanText(value, maxLength = 200) {
+  if (value === undefined || value === null || typeof value === "function") {
+    return "";
+  }
+  return String(value).replace(/\s+/g, " ").trim().slice(0, maxLength);
+}
+
+export default {
+  createMessageContextService
+};
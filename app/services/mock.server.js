@@ -0,0 +1,163 @@
+/**
+ * Mock LLM Service
+ * Deterministic, scripted stand-in for a real model. It needs no network
+ * access, so the chat route can be exercised end to end in tests.
+ */
+import { readFileSync } from "node:fs";
+import AppConfig from "./config.server";
+import { getCustomerText } from "./message-context.server";
+import { getSystemPrompt } from "./prompt.server";
+import { estimateTokens } from "./usage.server";
+
+/**
+ * Script used when none is configured: echo the customer's message
+ */
+const DEFAULT_SCRIPT = [
+  { responses: [{ text: "This is a mock response to: {{message}}" }] }
+];
+
+/**
+ * Creates a mock LLM service instance.
+ *
+ * A script is a list of rules. The first rule whose `match` pattern matches
+ * the latest customer message (or that has no `match`) answers the turn. Each
+ * step of the agent loop within that turn uses the next entry of `responses`;
+ * once they run out the last one is repeated. A response has `text`, a
+ * `tool_use` list of `{ name, input }`, or both. `{{message}}` in text or
+ * string inputs is replaced with the customer's message.
+ *
+ * @param {Array} script - The script, defaults to the JSON file at LLM_MOCK_SCRIPT
+ * @returns {Object} Service with the same interface as the Claude service
+ */
+export function createMockService(script = loadScript(process.env.LLM_MOCK_SCRIPT)) {
+  /**
+   * Streams a scripted response
+   * @param {Object} params - Stream parameters
+   * @param {Array} params.messages - Conversation history in Claude format
+   * @param {Object} streamHandlers - Stream event handlers
+   * @param {Function} streamHandlers.onText - Handles text chunks
+   * @param {Function} streamHandlers.onMessage - Handles complete messages
+   * @param {Function} streamHandlers.onToolUse - Handles tool use requests
+   * @param {Function} streamHandlers.onContentBlock - Handles completed content blocks
+   * @returns {Promise<Object>} The final message in Claude format
+   */
+  const streamConversation = async ({ messages }, streamHandlers) => {
+    const { userText, step } = getTurnPosition(messages);
+    const rule = script.find((candidate) => !candidate.match || new RegExp(candidate.match, "i").test(userText));
+    const responses = rule?.responses?.length ? rule.responses : DEFAULT_SCRIPT[0].responses;
+    const response = responses[Math.min(step, responses.length - 1)];
+
+    const content = [];
+
+    if (response.text) {
+      const text = fillTemplate(response.text, userText);
+
+      // Stream word by word so clients see incremental chunks
+      for (const chunk of text.match(/\S+\s*/g) || []) {
+        streamHandlers.onText?.(chunk);
+      }
+
+      content.push({ type: "text", text });
+    }
+
+    (response.tool_use || []).forEach((toolUse, index) => {
+      content.push({
+        type: "tool_use",
+        id: `toolu_mock_${messages.length}_${index}`,
+        name: toolUse.name,
+        input: fillTemplate(toolUse.input || {}, userText)
+      });
+    });
+
+    const hasToolUse = content.some((block) => block.type === "tool_use");
+    const finalMessage = {
+      id: `msg_mock_${messages.length}`,
+      type: "message",
+      role: "assistant",
+      model: AppConfig.api.models.mock,
+      content,
+      stop_reason: hasToolUse ? "tool_use" : "end_turn",
+      usage: {
+        input_tokens: estimateTokens(JSON.stringify(messages)),
+        output_tokens: estimateTokens(JSON.stringify(content))
+      }
+    };
+
+    content.forEach((block) => streamHandlers.onContentBlock?.(block));
+    streamHandlers.onMessage?.(finalMessage);
+
+    // Process tool use requests concurrently
+    if (streamHandlers.onToolUse) {
+      await Promise.all(
+        content
+          .filter((block) => block.type === "tool_use")
+          .map((block) => streamHandlers.onToolUse(block))
+      );
+    }
+
+    return finalMessage;
+  };
+
+  return {
+    streamConversation,
+    getSystemPrompt
+  };
+}
+
+/**
+ * Loads a mock script from a JSON file
+ * @param {string} path - Path of the script file
+ * @returns {Array} The script, or the default echo script if no path is set
+ */
+function loadScript(path) {
+  if (!path) return DEFAULT_SCRIPT;
+  return JSON.parse(readFileSync(path, "utf8"));
+}
+
+/**
+ * Finds the latest customer message and how many assistant steps followed it
+ * @param {Array} messages - Conversation history in Claude format
+ * @returns {Object} The customer's text and the step index within the turn
+ */
+function getTurnPosition(messages) {
+  let step = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const message = messages[i];
+
+    if (message.role === "assistant") {
+      step++;
+      continue;
+    }
+
+    const text = getCustomerText(message.content);
+
+    // Tool results are user messages without text, keep looking further back
+    if (text) {
+      return { userText: text, step };
+    }
+  }
+
+  return { userText: "", step };
+}
+
+/**
+ * Replaces {{message}} placeholders in strings, arrays and objects
+ * @param {*} value - The value to fill in
+ * @param {string} message - The customer's message
+ * @returns {*} The value with placeholders replaced
+ */
+function fillTemplate(value, message) {
+  if (typeof value === "string") return value.replaceAll("{{message}}", message);
+  if (Array.isArray(value)) return value.map((item) => fillTemplate(item, message));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, fillTemplate(item, message)])
+    );
+  }
+  return value;
+}
+
+export default {
+  createMockService
+};
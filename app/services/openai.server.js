@@ -0,0 +1,283 @@
+/**
+ * OpenAI-Compatible Service
+ * Manages interactions with any OpenAI-compatible chat completions endpoint,
+ * including self-hosted models. Messages and tools are kept in the Claude
+ * format everywhere else in the app and translated here.
+ */
+import AppConfig from "./config.server";
+import { readEventStream } from "./event-stream.server";
+import { getSystemPrompt, getStaticSystemPrompt } from "./prompt.server";
+
+const STOP_REASONS = {
+  stop: "end_turn",
+  tool_calls: "tool_use",
+  function_call: "tool_use",
+  length: "max_tokens"
+};
+
+/**
+ * Creates an OpenAI-compatible service instance
+ * @param {string} apiKey - API key for the endpoint, if it requires one
+ * @param {string} model - The model to use
+ * @param {string} baseUrl - Base URL of the API, without the /chat/completions path
+ * @returns {Object} Service with the same interface as the Claude service
+ */
+export function createOpenAIService(
+  apiKey = process.env.OPENAI_API_KEY,
+  model = process.env.LLM_MODEL || AppConfig.api.models.openai,
+  baseUrl = process.env.OPENAI_BASE_URL || AppConfig.api.openaiBaseUrl
+) {
+  /**
+   * Streams a conversation with the model
+   * @param {Object} params - Stream parameters
+   * @param {Array} params.messages - Conversation history in Claude format
+   * @param {string} params.promptType - The type of system prompt to use
+   * @param {string} params.systemPrompt - Resolved system prompt, overrides promptType when set
+   * @param {Array} params.tools - Available tools in Claude format
+   * @param {Object} streamHandlers - Stream event handlers
+   * @param {Function} streamHandlers.onText - Handles text chunks
+   * @param {Function} streamHandlers.onMessage - Handles complete messages
+   * @param {Function} streamHandlers.onToolUse - Handles tool use requests
+   * @param {Function} streamHandlers.onContentBlock - Handles completed content blocks
+   * @returns {Promise<Object>} The final message in Claude format
+   */
+  const streamConversation = async ({
+    messages,
+    promptType = AppConfig.api.defaultPromptType,
+    systemPrompt,
+    tools
+  }, streamHandlers) => {
+    const systemInstruction = systemPrompt || getStaticSystemPrompt(promptType);
+
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(`${baseUrl.replace(/\/$/, "")}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model,
+        max_tokens: AppConfig.api.maxTokens,
+        stream: true,
+        stream_options: { include_usage: true },
+        messages: [
+          { role: "system", content: systemInstruction },
+          ...toOpenAIMessages(messages)
+        ],
+        tools: tools && tools.length > 0 ? tools.map(toOpenAITool) : undefined
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`Chat completion failed: ${response.status} ${errorText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    let text = "";
+    let finishReason = null;
+    let usage = null;
+    const toolCalls = [];
+
+    for await (const chunk of readCompletionChunks(response.body)) {
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      const choice = chunk.choices?.[0];
+      if (!choice) continue;
+
+      const delta = choice.delta || {};
+
+      if (delta.content) {
+        text += delta.content;
+        streamHandlers.onText?.(delta.content);
+      }
+
+      // Tool call arguments arrive as string fragments keyed by index
+      for (const toolCallDelta of delta.tool_calls || []) {
+        const toolCall = toolCalls[toolCallDelta.index] ||= { id: "", name: "", arguments: "" };
+        if (toolCallDelta.id) toolCall.id = toolCallDelta.id;
+        if (toolCallDelta.function?.name) toolCall.name += toolCallDelta.function.name;
+        if (toolCallDelta.function?.arguments) toolCall.arguments += toolCallDelta.function.arguments;
+      }
+
+      if (choice.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+    }
+
+    const content = [];
+    if (text) {
+      content.push({ type: "text", text });
+    }
+    for (const toolCall of toolCalls.filter(Boolean)) {
+      content.push({
+        type: "tool_use",
+        id: toolCall.id || `call_${content.length}`,
+        name: toolCall.name,
+        input: parseArguments(toolCall.arguments)
+      });
+    }
+
+    const cachedTokens = usage?.prompt_tokens_details?.cached_tokens || 0;
+    const finalMessage = {
+      id: `chatcmpl_${Date.now()}`,
+      type: "message",
+      role: "assistant",
+      model,
+      content,
+      stop_reason: STOP_REASONS[finishReason] || "end_turn",
+      // Prompt tokens include cached ones, Claude reports them separately
+      usage: {
+        input_tokens: (usage?.prompt_tokens || 0) - cachedTokens,
+        output_tokens: usage?.completion_tokens || 0,
+        cache_read_input_tokens: cachedTokens
+      }
+    };
+
+    content.forEach((block) => streamHandlers.onContentBlock?.(block));
+    streamHandlers.onMessage?.(finalMessage);
+
+    // Process tool use requests concurrently
+    if (streamHandlers.onToolUse) {
+      await Promise.all(
+        content
+          .filter((block) => block.type === "tool_use")
+          .map((block) => streamHandlers.onToolUse(block))
+      );
+    }
+
+    return finalMessage;
+  };
+
+  return {
+    streamConversation,
+    getSystemPrompt
+  };
+}
+
+/**
+ * Converts Claude-format messages to chat completion messages
+ * @param {Array} messages - Messages in Claude format
+ * @returns {Array} Messages in chat completion format
+ */
+function toOpenAIMessages(messages) {
+  const result = [];
+
+  for (const message of messages) {
+    if (typeof message.content === "string") {
+      result.push({ role: message.role, content: message.content });
+      continue;
+    }
+
+    const blocks = Array.isArray(message.content) ? message.content : [];
+    const text = blocks
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("\n");
+
+    if (message.role === "assistant") {
+      const toolCalls = blocks
+        .filter((block) => block.type === "tool_use")
+        .map((block) => ({
+          id: block.id,
+          type: "function",
+          function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+        }));
+
+      result.push({
+        role: "assistant",
+        content: text || null,
+        ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+      });
+      continue;
+    }
+
+    // Tool results become separate tool messages
+    for (const block of blocks.filter((candidate) => candidate.type === "tool_result")) {
+      result.push({
+        role: "tool",
+        tool_call_id: block.tool_use_id,
+        content: toolResultToString(block.content)
+      });
+    }
+
+    if (text) {
+      result.push({ role: "user", content: text });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Converts a Claude tool definition to a chat completion tool
+ * @param {Object} tool - Tool in Claude format
+ * @returns {Object} Tool in chat completion format
+ */
+function toOpenAITool(tool) {
+  return {
+    type: "function",
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.input_schema || { type: "object", properties: {} }
+    }
+  };
+}
+
+/**
+ * Flattens tool_result content into a string
+ * @param {string|Array} content - The tool result content
+ * @returns {string} The content as text
+ */
+function toolResultToString(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return JSON.stringify(content ?? "");
+
+  return content
+    .map((block) => (block.type === "text" ? block.text : JSON.stringify(block)))
+    .join("\n");
+}
+
+/**
+ * Parses streamed tool call arguments
+ * @param {string} args - JSON-encoded arguments
+ * @returns {Object} The parsed arguments, or an empty object if malformed
+ */
+function parseArguments(args) {
+  if (!args) return {};
+
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    console.warn("Could not parse tool call arguments:", args);
+    return {};
+  }
+}
+
+/**
+ * Reads the chunks of a streamed chat completion
+ * @param {ReadableStream} body - The response body
+ * @returns {AsyncGenerator<Object>} Parsed chunks
+ */
+async function* readCompletionChunks(body) {
+  for await (const data of readEventStream(body)) {
+    // The stream ends with a sentinel instead of a chunk
+    if (data === "[DONE]") return;
+
+    try {
+      yield JSON.parse(data);
+    } catch (error) {
+      console.warn("Skipping malformed stream event:", data);
+    }
+  }
+}
+
+export default {
+  createOpenAIService
+};
@@ -0,0 +1,68 @@
+/**
+ * Ownership Service
+ * Issues and verifies conversation ownership tokens
+ */
+import { createHmac, randomUUID, timingSafeEqual } from "node:crypto";
+
+// GET requests send the ownership token in this header, so it stays out of
+// URLs and the access logs that record them
+export const CONVERSATION_TOKEN_HEADER = "X-Conversation-Token";
+
+/**
+ * Creates an ownership service instance
+ * @param {string} secret - Key used to sign ownership tokens
+ * @returns {Object} Ownership service with methods for issuing and verifying tokens
+ */
+export function createOwnershipService(
+  secret = process.env.CONVERSATION_TOKEN_SECRET || process.env.SHOPIFY_API_SECRET
+) {
+  if (!secret) {
+    throw new Error("CONVERSATION_TOKEN_SECRET or SHOPIFY_API_SECRET environment variable is required");
+  }
+
+  /**
+   * Generates a new unguessable conversation ID
+   * @returns {string} The conversation ID
+   */
+  const generateConversationId = () => randomUUID();
+
+  /**
+   * Signs a conversation ID for a shop
+   * @param {string} conversationId - The conversation ID
+   * @param {string} shop - The shop domain
+   * @returns {string} The ownership token
+   */
+  const signConversation = (conversationId, shop) => {
+    return createHmac("sha256", secret)
+      .update(`${shop}:${conversationId}`)
+      .digest("base64url");
+  };
+
+  /**
+   * Verifies that a token was issued for a conversation of a shop
+   * @param {string} conversationId - The conversation ID
+   * @param {string} shop - The shop domain
+   * @param {string} token - The ownership token presented by the client
+   * @returns {boolean} Whether the token is valid
+   */
+  const verifyConversationToken = (conversationId, shop, token) => {
+    if (!conversationId || !shop || !token || typeof token !== "string") {
+      return false;
+    }
+
+    const expected = Buffer.from(signConversation(conversationId, shop));
+    const actual = Buffer.from(token);
+
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+  };
+
+  return {
+    generateConversationId,
+    signConversation,
+    verifyConversationToken
+  };
+}
+
+export default {
+  createOwnershipService
+};
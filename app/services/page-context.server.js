@@ -0,0 +1,64 @@
+/**
+ * Page Context Service
+ * Tells the model which page the customer is viewing, as described by the
+ * theme through the chat widget's setContext API
+ */
+import AppConfig from "./config.server";
+import { cleanText } from "./message-context.server";
+
+// Opens the context text, so the model knows what it describes
+const PAGE_CONTEXT_HEADER = "[Page the customer is viewing]";
+
+/**
+ * Creates a page context service instance
+ * @returns {Object} Page context service with methods for page context
+ */
+export function createPageContextService() {
+  /**
+   * Describes the page context sent by the widget as "key: value" lines.
+   * Nested values are flattened to dotted keys.
+   * @param {Object} pageContext - The page_context sent by the widget
+   * @returns {string|null} The context text, or null when there is nothing to tell
+   */
+  const formatPageContext = (pageContext) => {
+    if (!pageContext || typeof pageContext !== 'object' || Array.isArray(pageContext)) {
+      return null;
+    }
+
+    const fields = flattenFields(pageContext, "").slice(0, AppConfig.pageContext.maxFields);
+    if (fields.length === 0) {
+      return null;
+    }
+
+    return [PAGE_CONTEXT_HEADER, ...fields.map(([key, value]) => `${key}: ${value}`)].join("\n");
+  };
+
+  return {
+    formatPageContext
+  };
+}
+
+/**
+ * Flattens the fields of a context object, such as { product: { title } }
+ * to [["product.title", value]]
+ * @param {Object} value - The context object
+ * @param {string} prefix - The key of the object
+ * @param {number} depth - Levels of nesting already flattened
+ * @returns {Array} Key and value pairs
+ */
+function flattenFields(value, prefix, depth = 0) {
+  return Object.entries(value).flatMap(([key, fieldValue]) => {
+    const name = cleanText(prefix ? `${prefix}.${key}` : key, 100);
+
+    if (fieldValue && typeof fieldValue === 'object') {
+      return depth < 2 ? flattenFields(fieldValue, name, depth + 1) : [];
+    }
+
+    const text = cleanText(fieldValue, AppConfig.pageContext.maxValueLength);
+    return name && text ? [[name, text]] : [];
+  });
+}
+
+export default {
+  createPageContextService
+};
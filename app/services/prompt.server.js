@@ -0,0 +1,40 @@
+/**
+ * Prompt Service
+ * Resolves system prompts shared by every LLM provider
+ */
+import AppConfig from "./config.server";
+import systemPrompts from "../prompts/prompts.json";
+import { getShopPrompt } from "../db.server";
+
+/**
+ * Gets the system prompt content for a given prompt type.
+ * A prompt the shop saved in the admin takes precedence over prompts.json.
+ * @param {string} promptType - The prompt type to retrieve
+ * @param {string} shop - The shop domain, if known
+ * @returns {Promise<string>} The system prompt content
+ */
+export async function getSystemPrompt(promptType, shop) {
+  if (shop) {
+    const shopPrompt = await getShopPrompt(shop, promptType);
+    if (shopPrompt) {
+      return shopPrompt.content;
+    }
+  }
+
+  return getStaticSystemPrompt(promptType);
+}
+
+/**
+ * Gets the system prompt content for a given prompt type from prompts.json
+ * @param {string} promptType - The prompt type to retrieve
+ * @returns {string} The system prompt content
+ */
+export function getStaticSystemPrompt(promptType) {
+  return systemPrompts.systemPrompts[promptType]?.content ||
+    systemPrompts.systemPrompts[AppConfig.api.defaultPromptType].content;
+}
+
+export default {
+  getSystemPrompt,
+  getStaticSystemPrompt
+};
@@ -0,0 +1,374 @@
+/**
+ * Result Renderer Service
+ * Turns tool results into typed UI payloads that the chat widget renders
+ */
+import AppConfig from "./config.server";
+
+// Renderers for the Storefront and Customer Account MCP tools, keyed by tool name
+const renderers = {
+  search_shop_catalog: (data) => renderProductList(data.products),
+  get_product_details: (data) => renderProductDetail(data.product || data),
+  get_cart: (data) => renderCart(data.cart || data),
+  update_cart: (data) => renderCart(data.cart || data),
+  search_shop_policies_and_faqs: (data) => renderPolicies(data),
+  get_most_recent_order_status: (data) => renderOrders(data),
+  get_order_status: (data) => renderOrders(data)
+};
+
+/**
+ * Creates a result renderer service instance
+ * @returns {Object} Result renderer service with methods for building UI payloads
+ */
+export function createResultRendererService() {
+  /**
+   * Builds the UI payloads for a successful tool response.
+   * Tools without a registered renderer, such as those of merchant MCP servers,
+   * are rendered by the shape of their result.
+   * @param {string} toolName - The name of the tool
+   * @param {Object} toolUseResponse - The response from the tool
+   * @returns {Array} The UI payloads, empty when there is nothing to show
+   */
+  const render = (toolName, toolUseResponse) => {
+    const data = parseToolResult(toolUseResponse);
+    if (!data || typeof data !== 'object') {
+      return [];
+    }
+
+    try {
+      const renderer = renderers[toolName] || renderByShape;
+      return renderer(data).filter(Boolean);
+    } catch (error) {
+      console.error(`Error rendering result of tool ${toolName}:`, error);
+      return [];
+    }
+  };
+
+  /**
+   * Merges the payloads of one turn. A payload that shows the same product,
+   * order or cart as an earlier one replaces it, in the earlier position.
+   * @param {Array} payloads - The UI payloads in the order they were created
+   * @returns {Array} The merged payloads
+   */
+  const mergePayloads = (payloads) => {
+    const merged = new Map();
+
+    payloads.forEach((payload, index) => {
+      const key = payload.type === 'cart'
+        ? 'cart'
+        : payload.id ? `${payload.type}:${payload.id}` : `${payload.type}#${index}`;
+      merged.set(key, payload);
+    });
+
+    return [...merged.values()];
+  };
+
+  return {
+    render,
+    mergePayloads
+  };
+}
+
+/**
+ * Reads the data of a tool response. Structured content is preferred,
+ * otherwise the first text block that holds JSON is used.
+ * @param {Object} toolUseResponse - The response from the tool
+ * @returns {Object|Array|null} The parsed data
+ */
+function parseToolResult(toolUseResponse) {
+  if (toolUseResponse.structuredContent) {
+    return toolUseResponse.structuredContent;
+  }
+
+  for (const block of toolUseResponse.content || []) {
+    if (typeof block.text === 'object' && block.text !== null) {
+      return block.text;
+    }
+
+    if (typeof block.text === 'string') {
+      try {
+        return JSON.parse(block.text);
+      } catch (e) {
+        // Plain text, try the next block
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Renders results of tools without a registered renderer
+ * @param {Object} data - The parsed tool result
+ * @returns {Array} The UI payloads
+ */
+function renderByShape(data) {
+  if (Array.isArray(data.products)) {
+    return renderProductList(data.products);
+  }
+  if (data.product && typeof data.product === 'object') {
+    return renderProductDetail(data.product);
+  }
+  if (data.cart && typeof data.cart === 'object') {
+    return renderCart(data.cart);
+  }
+  if (data.order || Array.isArray(data.orders)) {
+    return renderOrders(data);
+  }
+  return [];
+}
+
+/**
+ * Renders a list of products as product cards
+ * @param {Array} products - Raw product data
+ * @returns {Array} Product payloads
+ */
+function renderProductList(products) {
+  if (!Array.isArray(products)) {
+    return [];
+  }
+
+  return products
+    .slice(0, AppConfig.tools.maxProductsToDisplay)
+    .map((product) => {
+      const options = getOptions(product);
+      const variants = getVariants(product, options);
+      const firstAvailable = variants.find((variant) => variant.available !== false);
+
+      return {
+        type: 'product',
+        id: product.product_id || product.id || null,
+        title: product.title || 'Product',
+        description: product.description || '',
+        url: product.url || '',
+        image_url: product.image_url || firstAvailable?.image_url || '',
+        price: getPriceRange(product, variants),
+        available: variants.length > 0 ? Boolean(firstAvailable) : null,
+        variant_id: firstAvailable?.id || null,
+        options,
+        variants
+      };
+    });
+}
+
+/**
+ * Renders a single product with its options and variants
+ * @param {Object} product - Raw product data
+ * @returns {Array} The product detail payload
+ */
+function renderProductDetail(product) {
+  if (!product || typeof product !== 'object') {
+    return [];
+  }
+
+  const options = getOptions(product);
+  const variants = getVariants(product, options);
+
+  return [{
+    type: 'product_detail',
+    id: product.product_id || product.id || null,
+    title: product.title || 'Product',
+    description: product.description || '',
+    url: product.url || '',
+    image_url: product.image_url || variants[0]?.image_url || '',
+    images: (product.images || [])
+      .map((image) => typeof image === 'string' ? { url: image, alt: '' } : { url: image?.url, alt: image?.alt_text || image?.altText || '' })
+      .filter((image) => image.url),
+    price: getPriceRange(product, variants),
+    options,
+    variants
+  }];
+}
+
+/**
+ * Renders a cart with its lines and totals
+ * @param {Object} cart - Raw cart data
+ * @returns {Array} The cart payload
+ */
+function renderCart(cart) {
+  if (!cart || typeof cart !== 'object' || !(cart.id || Array.isArray(cart.lines))) {
+    return [];
+  }
+
+  const cost = cart.cost || {};
+  const lines = (cart.lines || []).map((line) => {
+    const merchandise = line.merchandise || {};
+    const product = merchandise.product || {};
+    const lineCost = line.cost || {};
+    const variantTitle = merchandise.title && merchandise.title !== 'Default Title' ? merchandise.title : '';
+
+    return {
+      id: line.id || null,
+      variant_id: merchandise.id || null,
+      title: product.title || merchandise.title || 'Product',
+      variant_title: product.title ? variantTitle : '',
+      quantity: line.quantity || 0,
+      image_url: merchandise.image?.url || merchandise.image_url || product.image_url || '',
+      url: product.url || merchandise.url || '',
+      total: toMoney(lineCost.total_amount || lineCost.totalAmount)
+    };
+  });
+
+  return [{
+    type: 'cart',
+    id: cart.id || null,
+    checkout_url: cart.checkout_url || cart.checkoutUrl || '',
+    total_quantity: cart.total_quantity ?? cart.totalQuantity ?? lines.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal: toMoney(cost.subtotal_amount || cost.subtotalAmount),
+    total: toMoney(cost.total_amount || cost.totalAmount),
+    lines
+  }];
+}
+
+/**
+ * Renders one or more orders with their status
+ * @param {Object} data - The parsed tool result
+ * @returns {Array} Order payloads
+ */
+function renderOrders(data) {
+  const orders = Array.isArray(data.orders) ? data.orders : [data.order || data];
+
+  return orders
+    .filter((order) => order && typeof order === 'object' && (order.id || order.name))
+    .map((order) => {
+      const lineItems = Array.isArray(order.lineItems) ? order.lineItems
+        : order.lineItems?.nodes || order.line_items || [];
+      const fulfillmentStatus = order.fulfillmentStatus || order.fulfillment_status
+        || order.fulfillments?.nodes?.[0]?.status || order.fulfillments?.[0]?.status || null;
+
+      return {
+        type: 'order',
+        id: order.id || order.name,
+        name: order.name || '',
+        processed_at: order.processedAt || order.processed_at || order.createdAt || null,
+        financial_status: order.financialStatus || order.financial_status || null,
+        fulfillment_status: fulfillmentStatus,
+        cancelled: Boolean(order.cancelledAt || order.cancelled_at),
+        total: toMoney(order.totalPrice || order.total_price || order.total),
+        status_url: order.statusPageUrl || order.status_url || '',
+        lines: lineItems.map((item) => ({
+          title: item.title || item.name || 'Item',
+          variant_title: item.variantTitle || item.variant_title || '',
+          quantity: item.quantity || 0,
+          image_url: item.image?.url || item.image_url || ''
+        }))
+      };
+    });
+}
+
+/**
+ * Renders answers from the shop's policies and FAQs
+ * @param {Object|Array} data - The parsed tool result
+ * @returns {Array} The policy payload
+ */
+function renderPolicies(data) {
+  const entries = Array.isArray(data) ? data : data.results || data.policies || data.faqs || [];
+
+  const items = entries
+    .map((entry) => ({
+      title: entry.question || entry.title || '',
+      body: entry.answer || entry.body || entry.content || '',
+      url: entry.url || ''
+    }))
+    .filter((item) => item.title && item.body)
+    .slice(0, AppConfig.tools.maxPolicyAnswersToDisplay);
+
+  return items.length > 0 ? [{ type: 'policy', items }] : [];
+}
+
+/**
+ * Reads the options of a product, such as size and colour
+ * @param {Object} product - Raw product data
+ * @returns {Array} The option names and their values
+ */
+function getOptions(product) {
+  return (product.options || [])
+    .filter((option) => option?.name && Array.isArray(option.values))
+    .map((option) => ({ name: option.name, values: option.values.map(String) }));
+}
+
+/**
+ * Reads the variants of a product, including the single variant some tools return
+ * @param {Object} product - Raw product data
+ * @param {Array} options - The product options, to match variant titles against
+ * @returns {Array} Normalized variants with their option values
+ */
+function getVariants(product, options) {
+  const variants = Array.isArray(product.variants) && product.variants.length > 0
+    ? product.variants
+    : [product.selectedOrFirstAvailableVariant || product.selected_or_first_available_variant].filter(Boolean);
+
+  return variants.map((variant) => {
+    const selectedOptions = (variant.selected_options || variant.selectedOptions || [])
+      .map((option) => ({ name: option.name, value: String(option.value) }));
+
+    return {
+      id: variant.variant_id || variant.id || null,
+      title: variant.title || '',
+      price: toMoney(variant.price, variant.currency),
+      available: variant.available ?? variant.availableForSale ?? true,
+      image_url: variant.image_url || variant.image?.url || '',
+      options: selectedOptions.length > 0 ? selectedOptions : getOptionsFromTitle(variant.title, options)
+    };
+  });
+}
+
+/**
+ * Matches a variant title such as "Red / M" to the product's options
+ * @param {string} title - The variant title
+ * @param {Array} options - The product options
+ * @returns {Array} The variant's option values
+ */
+function getOptionsFromTitle(title, options) {
+  const values = (title || '').split(' / ');
+  if (options.length === 0 || values.length !== options.length) {
+    return [];
+  }
+
+  return options.map((option, index) => ({ name: option.name, value: values[index] }));
+}
+
+/**
+ * Reads the price range of a product, falling back to its variant prices
+ * @param {Object} product - Raw product data
+ * @param {Array} variants - Normalized variants
+ * @returns {Object|null} The min and max price
+ */
+function getPriceRange(product, variants) {
+  const range = product.price_range || product.priceRange;
+  if (range) {
+    const min = toMoney(range.min ?? range.minVariantPrice, range.currency);
+    const max = toMoney(range.max ?? range.maxVariantPrice, range.currency);
+    return min ? { min, max: max || min } : null;
+  }
+
+  const prices = variants.map((variant) => variant.price).filter(Boolean);
+  if (prices.length === 0) {
+    return null;
+  }
+
+  const sorted = [...prices].sort((a, b) => Number(a.amount) - Number(b.amount));
+  return { min: sorted[0], max: sorted[sorted.length - 1] };
+}
+
+/**
+ * Normalizes the money formats of the MCP servers
+ * @param {Object|string|number} value - An amount or a money object
+ * @param {string} currency - The currency when value is a plain amount
+ * @returns {Object|null} The amount and currency code
+ */
+function toMoney(value, currency = null) {
+  const amount = value !== null && typeof value === 'object' ? value.amount : value;
+  const currencyCode = value !== null && typeof value === 'object'
+    ? value.currency_code || value.currencyCode || value.currency || currency
+    : currency;
+
+  if (amount === undefined || amount === null || amount === '' || isNaN(Number(amount))) {
+    return null;
+  }
+
+  return { amount: String(amount), currency_code: currencyCode || null };
+}
+
+export default {
+  createResultRendererService
+};
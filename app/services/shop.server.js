@@ -0,0 +1,163 @@
+/**
+ * Shop Service
+ * Verifies which shop a storefront request belongs to
+ */
+import { authenticate, unauthenticated } from "../shopify.server";
+import AppConfig from "./config.server";
+
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+// Storefront hostnames per shop, shared across requests
+const shopHostsCache = new Map();
+
+/**
+ * Creates a shop service instance
+ * @returns {Object} Shop service with methods for verifying storefront requests
+ */
+export function createShopService() {
+  /**
+   * Verifies that a storefront request really comes from the shop it claims.
+   * The shop must have the app installed. Requests through the app proxy must
+   * carry a valid Shopify signature, which names the shop; other requests must
+   * have an Origin that is one of the claimed shop's storefront hosts.
+   *
+   * The Origin check only keeps other websites from using the chat from a
+   * visitor's browser. Any other client can send whatever Origin it likes, so
+   * a direct request gets no further than the shop's public chat widget does.
+   * Access to an existing conversation is protected by its ownership token
+   * alone, see the ownership service.
+   * @param {Request} request - The request object
+   * @param {string} shopDomain - The myshopify.com domain claimed by the widget
+   * @returns {Promise<string|null>} The verified shop domain or null
+   */
+  const verifyShopRequest = async (request, shopDomain) => {
+    if (isAppProxyRequest(request)) {
+      return verifyAppProxyRequest(request);
+    }
+
+    const shop = normalizeShopDomain(shopDomain);
+    const origin = request.headers.get("Origin");
+
+    if (!shop || !origin) {
+      return null;
+    }
+
+    let originHost;
+    try {
+      originHost = new URL(origin).hostname;
+    } catch (error) {
+      return null;
+    }
+
+    const hosts = await getShopHosts(shop);
+    return hosts && hosts.includes(originHost) ? shop : null;
+  };
+
+  /**
+   * Verifies the signature Shopify adds to requests through the app proxy
+   * @param {Request} request - The request object
+   * @returns {Promise<string|null>} The signed shop domain, or null if the
+   * signature is invalid or the shop has not installed the app
+   */
+  const verifyAppProxyRequest = async (request) => {
+    try {
+      const { session } = await authenticate.public.appProxy(request);
+      return session ? normalizeShopDomain(session.shop) : null;
+    } catch (error) {
+      // Invalid signatures are thrown as a 400 response
+      console.warn("Rejected app proxy request:", error instanceof Response ? error.status : error.message);
+      return null;
+    }
+  };
+
+  /**
+   * Gets the storefront origin the shop's MCP servers are reached at. The
+   * Origin of direct requests has been verified to be a storefront host; the
+   * headers of app proxy requests are not signed, so they use the
+   * myshopify.com domain.
+   * @param {Request} request - A verified request
+   * @param {string} shop - The verified shop domain
+   * @returns {string} The storefront origin
+   */
+  const getStorefrontOrigin = (request, shop) => {
+    return isAppProxyRequest(request) ? `https://${shop}` : request.headers.get("Origin");
+  };
+
+  /**
+   * Normalizes and validates a myshopify.com domain
+   * @param {string} shopDomain - The shop domain
+   * @returns {string|null} The normalized domain or null if invalid
+   */
+  const normalizeShopDomain = (shopDomain) => {
+    if (!shopDomain || typeof shopDomain !== "string") {
+      return null;
+    }
+
+    const shop = shopDomain.trim().toLowerCase();
+    return SHOP_DOMAIN_PATTERN.test(shop) ? shop : null;
+  };
+
+  /**
+   * Gets the storefront hostnames of an installed shop
+   * @param {string} shop - The myshopify.com domain
+   * @returns {Promise<Array|null>} The hostnames or null if the shop has not installed the app
+   */
+  const getShopHosts = async (shop) => {
+    const cached = shopHostsCache.get(shop);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.hosts;
+    }
+
+    try {
+      // Throws when there is no offline session, i.e. the app is not installed
+      const { storefront } = await unauthenticated.storefront(shop);
+
+      const response = await storefront.graphql(
+        `#graphql
+        query shopHosts {
+          shop {
+            primaryDomain {
+              host
+            }
+          }
+        }`,
+      );
+
+      const body = await response.json();
+      const hosts = [shop];
+      const primaryHost = body.data?.shop?.primaryDomain?.host;
+      if (primaryHost && primaryHost !== shop) {
+        hosts.push(primaryHost);
+      }
+
+      shopHostsCache.set(shop, {
+        hosts,
+        expiresAt: Date.now() + AppConfig.shopVerification.domainCacheTtlMs
+      });
+
+      return hosts;
+    } catch (error) {
+      console.warn(`Could not verify shop ${shop}:`, error.message);
+      return null;
+    }
+  };
+
+  return {
+    verifyShopRequest,
+    getStorefrontOrigin,
+    normalizeShopDomain
+  };
+}
+
+/**
+ * Checks whether a request came through the app proxy, which signs the query
+ * @param {Request} request - The request object
+ * @returns {boolean} True for app proxy requests
+ */
+function isAppProxyRequest(request) {
+  return new URL(request.url).searchParams.has("signature");
+}
+
+export default {
+  createShopService
+};
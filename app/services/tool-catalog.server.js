@@ -0,0 +1,168 @@
+/**
+ * Tool Catalog Service
+ * Caches the tool lists of MCP servers across requests
+ */
+import AppConfig from "./config.server";
+
+// Tool lists per catalog key, shared across requests
+const toolListCache = new Map();
+// The current catalog key of a slot, e.g. the latest version of a custom server
+const slotKeys = new Map();
+// Numbers each refresh, so a refresh that was invalidated while running is dropped
+let generation = 0;
+
+/**
+ * Creates a tool catalog service instance
+ * @returns {Object} Tool catalog service with methods for reading and invalidating cached tool lists
+ */
+export function createToolCatalogService() {
+  /**
+   * Gets a tool list, listing the tools only when the cache cannot answer.
+   * Fresh entries are returned as is. Stale entries are returned right away
+   * while a refresh runs in the background, so only the first request for a
+   * key, or one after a long idle period, waits for the MCP server.
+   * @param {string} key - The catalog key, see getCatalogKey
+   * @param {Function} listTools - Lists the tools from the MCP server
+   * @param {string} [slot] - Identifies what the key is a version of; storing
+   * a list for a new key of the slot drops the list of its previous key
+   * @returns {Promise<Array>} The tools
+   */
+  const getTools = async (key, listTools, slot) => {
+    const entry = toolListCache.get(key);
+    const age = entry?.fetchedAt ? Date.now() - entry.fetchedAt : Infinity;
+
+    if (age < AppConfig.mcp.toolsCacheTtlMs) {
+      return entry.tools;
+    }
+
+    if (age < AppConfig.mcp.toolsCacheMaxStaleMs) {
+      refreshInBackground(key, listTools, slot);
+      return entry.tools;
+    }
+
+    return refresh(key, listTools, slot);
+  };
+
+  /**
+   * Builds the key a tool list is cached under
+   * @param {string} shop - The shop domain
+   * @param {string} server - The MCP server, e.g. storefront or customer
+   * @param {string} variant - Distinguishes lists that depend on auth state
+   * @returns {string} The catalog key
+   */
+  const getCatalogKey = (shop, server, variant = "") => {
+    return [shop, server, variant].filter(Boolean).join(":");
+  };
+
+  /**
+   * Drops a cached tool list so the next request lists the tools again.
+   * A refresh still running for the key is not stored.
+   * @param {string} key - The catalog key
+   */
+  const invalidate = (key) => {
+    toolListCache.delete(key);
+  };
+
+  /**
+   * Drops all cached tool lists of a shop
+   * @param {string} shop - The shop domain
+   */
+  const invalidateShop = (shop) => {
+    for (const key of toolListCache.keys()) {
+      if (key.startsWith(`${shop}:`)) {
+        toolListCache.delete(key);
+      }
+    }
+  };
+
+  /**
+   * Lists the tools and stores them, sharing a refresh that is already running
+   * @param {string} key - The catalog key
+   * @param {Function} listTools - Lists the tools from the MCP server
+   * @param {string} [slot] - The slot of the key, see getTools
+   * @returns {Promise<Array>} The tools
+   */
+  const refresh = (key, listTools, slot) => {
+    const entry = toolListCache.get(key);
+    if (entry?.pending) {
+      return entry.pending;
+    }
+
+    const refreshGeneration = ++generation;
+    const isCurrent = () => toolListCache.get(key)?.generation === refreshGeneration;
+
+    const pending = listTools()
+      .then((tools) => {
+        if (isCurrent()) {
+          store(key, { tools, fetchedAt: Date.now() }, slot);
+        }
+        return tools;
+      })
+      .catch((error) => {
+        // Keep serving the old list, the next request tries again
+        if (isCurrent() && entry?.tools) {
+          toolListCache.set(key, { tools: entry.tools, fetchedAt: entry.fetchedAt });
+        } else if (isCurrent()) {
+          toolListCache.delete(key);
+        }
+        throw error;
+      });
+
+    toolListCache.set(key, { ...entry, pending, generation: refreshGeneration });
+    return pending;
+  };
+
+  /**
+   * Stores a tool list, dropping the list its key replaces and lists that
+   * have not been used for longer than they may be served
+   * @param {string} key - The catalog key
+   * @param {Object} entry - The tools and when they were listed
+   * @param {string} [slot] - The slot of the key, see getTools
+   */
+  const store = (key, entry, slot) => {
+    if (slot) {
+      const previousKey = slotKeys.get(slot);
+      if (previousKey && previousKey !== key) {
+        toolListCache.delete(previousKey);
+      }
+      slotKeys.set(slot, key);
+    }
+
+    toolListCache.set(key, entry);
+
+    const staleBefore = Date.now() - AppConfig.mcp.toolsCacheMaxStaleMs;
+    for (const [cachedKey, cached] of toolListCache) {
+      if (!cached.pending && cached.fetchedAt < staleBefore) {
+        toolListCache.delete(cachedKey);
+      }
+    }
+    for (const [cachedSlot, cachedKey] of slotKeys) {
+      if (!toolListCache.has(cachedKey)) {
+        slotKeys.delete(cachedSlot);
+      }
+    }
+  };
+
+  /**
+   * Refreshes a tool list without making the caller wait for it
+   * @param {string} key - The catalog key
+   * @param {Function} listTools - Lists the tools from the MCP server
+   * @param {string} [slot] - The slot of the key, see getTools
+   */
+  const refreshInBackground = (key, listTools, slot) => {
+    refresh(key, listTools, slot).catch((error) => {
+      console.warn(`Background refresh of tool list ${key} failed:`, error.message);
+    });
+  };
+
+  return {
+    getTools,
+    getCatalogKey,
+    invalidate,
+    invalidateShop
+  };
+}
+
+export default {
+  createToolCatalogService
+};
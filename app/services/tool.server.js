@@ -4,30 +4,98 @@
  */
 import { saveMessage } from "../db.server";
 import AppConfig from "./config.server";
+import { createResultRendererService } from "./result-renderer.server";
 
 /**
  * Creates a tool service instance
  * @returns {Object} Tool service with methods for managing tools
  */
 export function createToolService() {
+  const resultRenderer = createResultRendererService();
+
+  /**
+   * Runs a tool call with a per-tool timeout.
+   * Timeouts, cancellation and thrown errors are turned into error responses
+   * so that the model always receives a tool_result for its tool_use.
+   * @param {string} toolName - The name of the tool
+   * @param {Function} run - Calls the tool, receives an AbortSignal
+   * @param {AbortSignal} parentSignal - Aborts the call when the turn is cancelled
+   * @returns {Promise<Object>} The tool response or an error response
+   */
+  const executeTool = async (toolName, run, parentSignal) => {
+    const timeoutMs = AppConfig.tools.timeouts[toolName] || AppConfig.tools.defaultTimeoutMs;
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const onParentAbort = () => controller.abort();
+    parentSignal?.addEventListener('abort', onParentAbort);
+
+    // Stop waiting as soon as the call is aborted, even if the tool ignores the signal
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(new Error('Tool call aborted')));
+    });
+
+    try {
+      return await Promise.race([run(controller.signal), aborted]);
+    } catch (error) {
+      if (timedOut) {
+        console.warn(`Tool ${toolName} timed out after ${timeoutMs}ms`);
+        return {
+          error: {
+            type: "timeout",
+            data: JSON.stringify({
+              error: "timeout",
+              tool: toolName,
+              timeout_ms: timeoutMs,
+              message: `The ${toolName} tool did not respond within ${timeoutMs / 1000} seconds. Tell the customer it is unavailable right now or try a different approach.`
+            })
+          }
+        };
+      }
+
+      if (parentSignal?.aborted) {
+        return {
+          error: {
+            type: "cancelled",
+            data: JSON.stringify({ error: "cancelled", tool: toolName, message: "The tool call was cancelled." })
+          }
+        };
+      }
+
+      console.error(`Error calling tool ${toolName}:`, error);
+      return {
+        error: {
+          type: "internal_error",
+          data: `Error calling tool ${toolName}: ${error.message}`
+        }
+      };
+    } finally {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener('abort', onParentAbort);
+    }
+  };
+
   /**
    * Handles a tool error response
    * @param {Object} toolUseResponse - The error response from the tool
    * @param {string} toolName - The name of the tool
    * @param {string} toolUseId - The ID of the tool use request
-   * @param {Array} conversationHistory - The conversation history
    * @param {Function} sendMessage - Function to send messages to the client
-   * @param {string} conversationId - The conversation ID
+   * @returns {Object} The tool_result content block
    */
-  const handleToolError = async (toolUseResponse, toolName, toolUseId, conversationHistory, sendMessage, conversationId) => {
+  const handleToolError = (toolUseResponse, toolName, toolUseId, sendMessage) => {
     if (toolUseResponse.error.type === "auth_required") {
       console.log("Auth required for tool:", toolName);
-      await addToolResultToHistory(conversationHistory, toolUseId, toolUseResponse.error.data, conversationId);
       sendMessage({ type: 'auth_required' });
-    } else {
-      console.log("Tool use error", toolUseResponse.error);
-      await addToolResultToHistory(conversationHistory, toolUseId, toolUseResponse.error.data, conversationId);
+      return createToolResult(toolUseId, toolUseResponse.error.data);
     }
+
+    console.log("Tool use error", toolUseResponse.error);
+    return createToolResult(toolUseId, toolUseResponse.error.data, true);
   };
 
   /**
@@ -35,96 +103,89 @@ export function createToolService() {
    * @param {Object} toolUseResponse - The response from the tool
    * @param {string} toolName - The name of the tool
    * @param {string} toolUseId - The ID of the tool use request
-   * @param {Array} conversationHistory - The conversation history
-   * @param {Array} productsToDisplay - Array to add product results to
-   * @param {string} conversationId - The conversation ID
+   * @param {Array} uiPayloads - Array to add the UI payloads of the result to
+   * @returns {Object} The tool_result content block
    */
-  const handleToolSuccess = async (toolUseResponse, toolName, toolUseId, conversationHistory, productsToDisplay, conversationId) => {
-    // Check if this is a product search result
-    if (toolName === AppConfig.tools.productSearchName) {
-      productsToDisplay.push(...processProductSearchResult(toolUseResponse));
-    }
+  const handleToolSuccess = (toolUseResponse, toolName, toolUseId, uiPayloads) => {
+    uiPayloads.push(...resultRenderer.render(toolName, toolUseResponse));
 
-    addToolResultToHistory(conversationHistory, toolUseId, toolUseResponse.content, conversationId);
+    return createToolResult(toolUseId, toolUseResponse.content);
   };
 
   /**
-   * Processes product search results
-   * @param {Object} toolUseResponse - The response from the tool
-   * @returns {Array} Processed product data
+   * Applies a shop's tool policies to the tools offered to the model.
+   * Hidden tools are removed and descriptions are replaced where the
+   * merchant has written their own.
+   * @param {Array} tools - Available tools in Claude format
+   * @param {Array} policies - The shop's ToolPolicy records
+   * @returns {Array} The tools the model may use
    */
-  const processProductSearchResult = (toolUseResponse) => {
-    try {
-      console.log("Processing product search result");
-      let products = [];
-
-      if (toolUseResponse.content && toolUseResponse.content.length > 0) {
-        const content = toolUseResponse.content[0].text;
-
-        try {
-          let responseData;
-          if (typeof content === 'object') {
-            responseData = content;
-          } else if (typeof content === 'string') {
-            responseData = JSON.parse(content);
-          }
+  const applyToolPolicies = (tools, policies) => {
+    const policiesByTool = new Map(policies.map((policy) => [policy.toolName, policy]));
+
+    return tools
+      .filter((tool) => !policiesByTool.get(tool.name)?.hidden)
+      .map((tool) => {
+        const description = policiesByTool.get(tool.name)?.description;
+        return description ? { ...tool, description } : tool;
+      });
+  };
 
-          if (responseData?.products && Array.isArray(responseData.products)) {
-            products = responseData.products
-              .slice(0, AppConfig.tools.maxProductsToDisplay)
-              .map(formatProductData);
+  /**
+   * Checks whether a tool may only run after the customer confirms the call
+   * @param {string} toolName - The name of the tool
+   * @param {Array} policies - The shop's ToolPolicy records
+   * @returns {boolean} Whether the call needs confirmation
+   */
+  const requiresConfirmation = (toolName, policies) => {
+    return policies.some((policy) => policy.toolName === toolName && policy.requiresConfirmation);
+  };
 
-            console.log(`Found ${products.length} products to display`);
-          }
-        } catch (e) {
-          console.error("Error parsing product data:", e);
-        }
-      }
+  /**
+   * Creates the tool_result for a call the customer did not approve
+   * @param {string} toolName - The name of the tool
+   * @param {string} toolUseId - The ID of the tool use request
+   * @param {string} reason - Why the call did not run: rejected, expired or superseded
+   * @returns {Object} The tool_result content block
+   */
+  const handleToolRejection = (toolName, toolUseId, reason) => {
+    const messages = {
+      rejected: `The customer declined the ${toolName} call. Do not retry it unless they ask.`,
+      expired: `The customer did not confirm the ${toolName} call in time, so it was not run.`,
+      superseded: `The customer sent a new message instead of confirming the ${toolName} call, so it was not run.`
+    };
 
-      return products;
-    } catch (error) {
-      console.error("Error processing product search results:", error);
-      return [];
-    }
+    return createToolResult(toolUseId, messages[reason] || messages.rejected, true);
   };
 
   /**
-   * Formats a product data object
-   * @param {Object} product - Raw product data
-   * @returns {Object} Formatted product data
+   * Creates a tool_result content block
+   * @param {string} toolUseId - The ID of the tool use request
+   * @param {string|Array} content - The content of the tool result
+   * @param {boolean} isError - Whether the tool call failed
+   * @returns {Object} The tool_result content block
    */
-  const formatProductData = (product) => {
-    const price = product.price_range
-      ? `${product.price_range.currency} ${product.price_range.min}`
-      : (product.variants && product.variants.length > 0
-        ? `${product.variants[0].currency} ${product.variants[0].price}`
-        : 'Price not available');
-
+  const createToolResult = (toolUseId, content, isError = false) => {
     return {
-      id: product.product_id || `product-${Math.random().toString(36).substring(7)}`,
-      title: product.title || 'Product',
-      price: price,
-      image_url: product.image_url || '',
-      description: product.description || '',
-      url: product.url || ''
+      type: "tool_result",
+      tool_use_id: toolUseId,
+      content: content,
+      ...(isError ? { is_error: true } : {})
     };
   };
 
   /**
-   * Adds a tool result to the conversation history
+   * Adds the tool results of one assistant message to the conversation history.
+   * All results go into a single user message, in the order of the tool_use blocks.
    * @param {Array} conversationHistory - The conversation history
-   * @param {string} toolUseId - The ID of the tool use request
-   * @param {string} content - The content of the tool result
+   * @param {Array} toolResults - The tool_result content blocks, in tool_use order
    * @param {string} conversationId - The conversation ID
+   * @param {string} shop - The shop domain
    */
-  const addToolResultToHistory = async (conversationHistory, toolUseId, content, conversationId) => {
+  const addToolResultsToHistory = async (conversationHistory, toolResults, conversationId, shop) => {
     const toolResultMessage = {
       role: 'user',
-      content: [{
-        type: "tool_result",
-        tool_use_id: toolUseId,
-        content: content
-      }]
+      content: toolResults
     };
 
     // Add to in-memory history
@@ -133,7 +194,7 @@ export function createToolService() {
     // Save to database with special format to indicate tool result
     if (conversationId) {
       try {
-        await saveMessage(conversationId, 'user', JSON.stringify(toolResultMessage.content));
+        await saveMessage(conversationId, shop, 'user', JSON.stringify(toolResultMessage.content));
       } catch (error) {
         console.error('Error saving tool result to database:', error);
       }
@@ -141,10 +202,13 @@ export function createToolService() {
   };
 
   return {
+    executeTool,
     handleToolError,
     handleToolSuccess,
-    processProductSearchResult,
-    addToolResultToHistory
+    addToolResultsToHistory,
+    applyToolPolicies,
+    requiresConfirmation,
+    handleToolRejection
   };
 }
 
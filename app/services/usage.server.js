@@ -0,0 +1,72 @@
+/**
+ * Usage Service
+ * Turns the usage reported with a model response into tokens and cost
+ */
+import AppConfig from "./config.server";
+
+/**
+ * Extracts the usage of a final message in Claude format
+ * @param {Object} message - The final message returned by the LLM service
+ * @param {number} latencyMs - Time the model call took
+ * @returns {Object} Usage fields as stored with the message
+ */
+export function getMessageUsage(message, latencyMs) {
+  const usage = message.usage || {};
+  const tokens = {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    cacheWriteTokens: usage.cache_creation_input_tokens || 0
+  };
+
+  return {
+    model: message.model || null,
+    ...tokens,
+    latencyMs: Math.round(latencyMs),
+    costUsd: calculateCost(message.model, tokens)
+  };
+}
+
+/**
+ * Calculates the cost of a model call from the configured pricing
+ * @param {string} model - The model name
+ * @param {Object} tokens - Input, output, cache read and cache write tokens
+ * @returns {number} The cost in USD, zero for models without pricing
+ */
+export function calculateCost(model, { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens }) {
+  const pricing = AppConfig.pricing[model];
+  if (!pricing) return 0;
+
+  return (
+    inputTokens * pricing.input +
+    outputTokens * pricing.output +
+    cacheReadTokens * pricing.cacheRead +
+    cacheWriteTokens * pricing.cacheWrite
+  ) / 1_000_000;
+}
+
+/**
+ * Calculates the share of prompt tokens that were read from the prompt cache
+ * @param {Object} tokens - Input, cache read and cache write tokens
+ * @returns {number} The hit rate between 0 and 1
+ */
+export function getCacheHitRate({ inputTokens, cacheReadTokens, cacheWriteTokens }) {
+  const promptTokens = inputTokens + cacheReadTokens + cacheWriteTokens;
+  return promptTokens > 0 ? cacheReadTokens / promptTokens : 0;
+}
+
+/**
+ * Roughly estimates the token count of text, at about four characters per token
+ * @param {string} text - The text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+export default {
+  getMessageUsage,
+  calculateCost,
+  getCacheHitRate,
+  estimateTokens
+};
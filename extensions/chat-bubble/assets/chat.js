@@ -3,6 +3,8 @@
  *
  * This module handles the chat interface for the Shopify AI Chat application.
  * It manages the UI interactions, API communication, and message rendering.
+ * The chat is rendered in a shadow root, and themes control it through the
+ * window.ShopAIChat API (see createPublicApi below).
  */
 (function() {
   'use strict';
@@ -11,29 +13,45 @@
    * Application namespace to prevent global scope pollution
    */
   const ShopAIChat = {
+    // Block settings, read from the block's JSON config
+    config: {},
+    // Details of the page the customer is viewing, set by the theme with setContext
+    pageContext: null,
+
     /**
      * UI-related elements and functionality
      */
     UI: {
       elements: {},
       isMobile: false,
+      // Inline styles of the page body, restored when the chat closes on mobile
+      bodyStyle: null,
 
       /**
        * Initialize UI elements and event listeners
-       * @param {HTMLElement} container - The main container element
+       * @param {HTMLElement} host - The element the shadow root is attached to
+       * @param {HTMLElement} container - The main container element in the shadow root
        */
-      init: function(container) {
+      init: function(host, container) {
         if (!container) return;
 
         // Cache DOM elements
         this.elements = {
+          host: host,
           container: container,
           chatBubble: container.querySelector('.shop-ai-chat-bubble'),
           chatWindow: container.querySelector('.shop-ai-chat-window'),
           closeButton: container.querySelector('.shop-ai-chat-close'),
           chatInput: container.querySelector('.shop-ai-chat-input input'),
           sendButton: container.querySelector('.shop-ai-chat-send'),
-          messagesContainer: container.querySelector('.shop-ai-chat-messages')
+          messagesContainer: container.querySelector('.shop-ai-chat-messages'),
+          cartToggle: container.querySelector('.shop-ai-cart-toggle'),
+          disconnectButton: container.querySelector('.shop-ai-account-disconnect'),
+          cartCount: container.querySelector('.shop-ai-cart-count'),
+          cartDrawer: container.querySelector('.shop-ai-cart-drawer'),
+          cartDrawerClose: container.querySelector('.shop-ai-cart-drawer-close'),
+          cartDrawerLines: container.querySelector('.shop-ai-cart-drawer-lines'),
+          cartDrawerFooter: container.querySelector('.shop-ai-cart-drawer-footer')
         };
 
         // Detect mobile device
@@ -52,7 +70,7 @@
        * Set up all event listeners for UI interactions
        */
       setupEventListeners: function() {
-        const { chatBubble, closeButton, chatInput, sendButton, messagesContainer } = this.elements;
+        const { container, chatBubble, closeButton, chatInput, sendButton, cartToggle, cartDrawerClose, disconnectButton } = this.elements;
 
         // Toggle chat window visibility
         chatBubble.addEventListener('click', () => this.toggleChatWindow());
@@ -60,10 +78,17 @@
         // Close chat window
         closeButton.addEventListener('click', () => this.closeChatWindow());
 
+        // Open and close the cart drawer
+        cartToggle.addEventListener('click', () => ShopAIChat.Cart.toggleDrawer());
+        cartDrawerClose.addEventListener('click', () => ShopAIChat.Cart.closeDrawer());
+
+        // Disconnect the customer's account from the conversation
+        disconnectButton.addEventListener('click', () => ShopAIChat.Auth.disconnect());
+
         // Send message when pressing Enter in input
         chatInput.addEventListener('keypress', (e) => {
           if (e.key === 'Enter' && chatInput.value.trim() !== '') {
-            ShopAIChat.Message.send(chatInput, messagesContainer);
+            this.sendInput();
 
             // On mobile, handle keyboard
             if (this.isMobile) {
@@ -76,7 +101,7 @@
         // Send message when clicking send button
         sendButton.addEventListener('click', () => {
           if (chatInput.value.trim() !== '') {
-            ShopAIChat.Message.send(chatInput, messagesContainer);
+            this.sendInput();
 
             // On mobile, focus input after sending
             if (this.isMobile) {
@@ -88,23 +113,42 @@
         // Handle window resize to adjust scrolling
         window.addEventListener('resize', () => this.scrollToBottom());
 
-        // Add global click handler for auth links
-        document.addEventListener('click', function(event) {
-          if (event.target && event.target.classList.contains('shop-auth-trigger')) {
+        // Handle auth and cart links; events from the shadow root reach the
+        // document retargeted to the host, so they are handled in here
+        container.addEventListener('click', function(event) {
+          const authLink = event.target && event.target.closest && event.target.closest('.shop-auth-trigger');
+          if (authLink) {
             event.preventDefault();
-            if (window.shopAuthUrl) {
-              ShopAIChat.Auth.openAuthPopup(window.shopAuthUrl);
+            if (authLink.dataset.authUrl) {
+              ShopAIChat.Auth.openAuthPopup(authLink.dataset.authUrl);
             }
           }
+
+          if (event.target && event.target.closest && event.target.closest('.shop-ai-cart-trigger')) {
+            event.preventDefault();
+            ShopAIChat.Cart.openDrawer();
+          }
         });
       },
 
+      /**
+       * Send the text of the chat input
+       */
+      sendInput: function() {
+        const { chatInput, messagesContainer } = this.elements;
+        const userMessage = chatInput.value.trim();
+
+        // Clear input
+        chatInput.value = '';
+        ShopAIChat.Message.send(userMessage, messagesContainer);
+      },
+
       /**
        * Setup mobile-specific viewport adjustments
        */
       setupMobileViewport: function() {
         const setViewportHeight = () => {
-          document.documentElement.style.setProperty('--viewport-height', `${window.innerHeight}px`);
+          this.elements.host.style.setProperty('--viewport-height', `${window.innerHeight}px`);
         };
         window.addEventListener('resize', setViewportHeight);
         setViewportHeight();
@@ -114,24 +158,33 @@
        * Toggle chat window visibility
        */
       toggleChatWindow: function() {
-        const { chatWindow, chatInput } = this.elements;
+        if (this.elements.chatWindow.classList.contains('active')) {
+          this.closeChatWindow();
+        } else {
+          this.openChatWindow();
+        }
+      },
 
-        chatWindow.classList.toggle('active');
+      /**
+       * Open chat window
+       */
+      openChatWindow: function() {
+        const { chatWindow, chatInput } = this.elements;
 
         if (chatWindow.classList.contains('active')) {
-          // On mobile, prevent body scrolling and delay focus
-          if (this.isMobile) {
-            document.body.classList.add('shop-ai-chat-open');
-            setTimeout(() => chatInput.focus(), 500);
-          } else {
-            chatInput.focus();
-          }
-          // Always scroll messages to bottom when opening
-          this.scrollToBottom();
+          return;
+        }
+        chatWindow.classList.add('active');
+
+        // On mobile, prevent body scrolling and delay focus
+        if (this.isMobile) {
+          this.lockPageScroll(true);
+          setTimeout(() => chatInput.focus(), 500);
         } else {
-          // Remove body class when closing
-          document.body.classList.remove('shop-ai-chat-open');
+          chatInput.focus();
         }
+        // Always scroll messages to bottom when opening
+        this.scrollToBottom();
       },
 
       /**
@@ -145,7 +198,30 @@
         // On mobile, blur input to hide keyboard and enable body scrolling
         if (this.isMobile) {
           chatInput.blur();
-          document.body.classList.remove('shop-ai-chat-open');
+          this.lockPageScroll(false);
+        }
+      },
+
+      /**
+       * Stop the page behind the full-screen chat from scrolling on mobile.
+       * The chat's stylesheet cannot reach the page body, so its inline style is
+       * changed instead and restored afterwards.
+       * @param {boolean} locked - Whether the page should stop scrolling
+       */
+      lockPageScroll: function(locked) {
+        const bodyStyle = document.body.style;
+
+        if (locked && !this.bodyStyle) {
+          this.bodyStyle = {
+            overflow: bodyStyle.overflow,
+            position: bodyStyle.position,
+            width: bodyStyle.width,
+            height: bodyStyle.height
+          };
+          Object.assign(bodyStyle, { overflow: 'hidden', position: 'fixed', width: '100%', height: '100%' });
+        } else if (!locked && this.bodyStyle) {
+          Object.assign(bodyStyle, this.bodyStyle);
+          this.bodyStyle = null;
         }
       },
 
@@ -185,41 +261,58 @@
       },
 
       /**
-       * Display product results in the chat
-       * @param {Array} products - Array of product data objects
+       * Display the products, carts, orders and policies returned by tools.
+       * Consecutive product cards share one scrollable grid, every other
+       * payload type is rendered by its own component.
+       * @param {Array} payloads - The UI payloads of the turn
        */
-      displayProductResults: function(products) {
+      displayResults: function(payloads) {
         const { messagesContainer } = this.elements;
+        let productsContainer = null;
+
+        (payloads || []).forEach(function(payload) {
+          if (payload.type === 'product') {
+            if (!productsContainer) {
+              productsContainer = ShopAIChat.UI.createProductSection(messagesContainer);
+            }
+            productsContainer.appendChild(ShopAIChat.Product.createCard(payload));
+            return;
+          }
+
+          productsContainer = null;
+          if (payload.type === 'cart') {
+            ShopAIChat.Cart.syncFromTools(payload);
+          }
+
+          const component = ShopAIChat.Results.components[payload.type];
+          if (component) {
+            messagesContainer.appendChild(component(payload));
+          }
+        });
+
+        this.scrollToBottom();
+      },
 
-        // Create a wrapper for the product section
+      /**
+       * Add a section for product cards to the chat
+       * @param {HTMLElement} messagesContainer - The messages container
+       * @returns {HTMLElement} The grid to add the product cards to
+       */
+      createProductSection: function(messagesContainer) {
         const productSection = document.createElement('div');
         productSection.classList.add('shop-ai-product-section');
         messagesContainer.appendChild(productSection);
 
-        // Add a header for the product results
         const header = document.createElement('div');
         header.classList.add('shop-ai-product-header');
         header.innerHTML = '<h4>Top Matching Products</h4>';
         productSection.appendChild(header);
 
-        // Create the product grid container
         const productsContainer = document.createElement('div');
         productsContainer.classList.add('shop-ai-product-grid');
         productSection.appendChild(productsContainer);
 
-        if (!products || !Array.isArray(products) || products.length === 0) {
-          const noProductsMessage = document.createElement('p');
-          noProductsMessage.textContent = "No products found";
-          noProductsMessage.style.padding = "10px";
-          productsContainer.appendChild(noProductsMessage);
-        } else {
-          products.forEach(product => {
-            const productCard = ShopAIChat.Product.createCard(product);
-            productsContainer.appendChild(productCard);
-          });
-        }
-
-        this.scrollToBottom();
+        return productsContainer;
       }
     },
 
@@ -229,18 +322,15 @@
     Message: {
       /**
        * Send a message to the API
-       * @param {HTMLInputElement} chatInput - The input element
+       * @param {string} userMessage - The customer's message
        * @param {HTMLElement} messagesContainer - The messages container
        */
-      send: async function(chatInput, messagesContainer) {
-        const userMessage = chatInput.value.trim();
+      send: async function(userMessage, messagesContainer) {
         const conversationId = sessionStorage.getItem('shopAiConversationId');
 
         // Add user message to chat
         this.add(userMessage, 'user', messagesContainer);
-
-        // Clear input
-        chatInput.value = '';
+        ShopAIChat.Events.emit('message', { role: 'user', text: userMessage });
 
         // Show typing indicator
         ShopAIChat.UI.showTypingIndicator();
@@ -349,6 +439,74 @@
 
         messagesContainer.appendChild(toolUseElement);
         ShopAIChat.UI.scrollToBottom();
+      },
+
+      /**
+       * Ask the customer to approve or reject tool calls before they run
+       * @param {Object} data - The confirmation_required event
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      addConfirmation: function(data, messagesContainer) {
+        const confirmationElement = document.createElement('div');
+        confirmationElement.classList.add('shop-ai-message', 'confirmation');
+
+        const titleElement = document.createElement('div');
+        titleElement.classList.add('shop-ai-confirmation-title');
+        titleElement.textContent = 'The assistant would like to do the following. Is that OK?';
+        confirmationElement.appendChild(titleElement);
+
+        (data.tool_calls || []).forEach(function(toolCall) {
+          const callElement = document.createElement('div');
+          callElement.classList.add('shop-ai-confirmation-call');
+
+          const nameElement = document.createElement('div');
+          nameElement.classList.add('shop-ai-confirmation-name');
+          nameElement.textContent = toolCall.description || toolCall.name;
+
+          const argsElement = document.createElement('pre');
+          argsElement.classList.add('shop-ai-tool-args', 'expanded');
+          argsElement.textContent = JSON.stringify(toolCall.arguments || {}, null, 2);
+
+          callElement.appendChild(nameElement);
+          callElement.appendChild(argsElement);
+          confirmationElement.appendChild(callElement);
+        });
+
+        const actionsElement = document.createElement('div');
+        actionsElement.classList.add('shop-ai-confirmation-actions');
+
+        const approveButton = document.createElement('button');
+        approveButton.classList.add('shop-ai-confirmation-approve');
+        approveButton.textContent = 'Approve';
+
+        const rejectButton = document.createElement('button');
+        rejectButton.classList.add('shop-ai-confirmation-reject');
+        rejectButton.textContent = 'Decline';
+
+        const decide = function(decision) {
+          approveButton.disabled = true;
+          rejectButton.disabled = true;
+          confirmationElement.classList.add('answered');
+          actionsElement.textContent = decision === 'approve' ? 'Approved' : 'Declined';
+
+          ShopAIChat.UI.showTypingIndicator();
+          ShopAIChat.API.streamResponse(
+            null,
+            sessionStorage.getItem('shopAiConversationId'),
+            messagesContainer,
+            { id: data.confirmation_id, decision: decision }
+          );
+        };
+
+        approveButton.addEventListener('click', function() { decide('approve'); });
+        rejectButton.addEventListener('click', function() { decide('reject'); });
+
+        actionsElement.appendChild(approveButton);
+        actionsElement.appendChild(rejectButton);
+        confirmationElement.appendChild(actionsElement);
+
+        messagesContainer.appendChild(confirmationElement);
+        ShopAIChat.UI.scrollToBottom();
       }
     },
 
@@ -357,106 +515,565 @@
      */
     Formatting: {
       /**
-       * Format message content with markdown and links
+       * Render the Markdown of an assistant message. The message is built
+       * from DOM nodes, so model output never reaches the page as HTML.
        * @param {HTMLElement} element - The element to format
        */
       formatMessageContent: function(element) {
         if (!element || !element.dataset.rawText) return;
 
-        const rawText = element.dataset.rawText;
-
-        // Process the text with various Markdown features
-        let processedText = rawText;
-
-        // Process Markdown links
-        const markdownLinkRegex = /\[([^\]]+)\]\(([^)]+)\)/g;
-        processedText = processedText.replace(markdownLinkRegex, (match, text, url) => {
-          // Check if it's an auth URL
-          if (url.includes('shopify.com/authentication') &&
-             (url.includes('oauth/authorize') || url.includes('authentication'))) {
-            // Store the auth URL in a global variable for later use - this avoids issues with onclick handlers
-            window.shopAuthUrl = url;
-            // Just return normal link that will be handled by the document click handler
-            return '<a href="#auth" class="shop-auth-trigger">' + text + '</a>';
-          }
-          // If it's a checkout link, replace the text
-          else if (url.includes('/cart') || url.includes('checkout')) {
-            return '<a href="' + url + '" target="_blank" rel="noopener noreferrer">click here to proceed to checkout</a>';
-          } else {
-            // For normal links, preserve the original text
-            return '<a href="' + url + '" target="_blank" rel="noopener noreferrer">' + text + '</a>';
-          }
+        const content = ShopAIChat.Markdown.render(element.dataset.rawText);
+        element.textContent = '';
+        element.appendChild(content);
+      },
+
+      /**
+       * Format a message while it streams in, at most once per animation frame
+       * @param {HTMLElement} element - The element to format
+       */
+      scheduleFormat: function(element) {
+        if (element.dataset.formatPending) return;
+
+        element.dataset.formatPending = 'true';
+        requestAnimationFrame(() => {
+          delete element.dataset.formatPending;
+          this.formatMessageContent(element);
+          ShopAIChat.UI.scrollToBottom();
         });
+      },
+
+      /**
+       * Format a money value in the shopper's locale
+       * @param {Object} money - The amount and currency code
+       * @returns {string} The formatted amount
+       */
+      formatMoney: function(money) {
+        if (!money) return '';
+
+        const amount = Number(money.amount);
+        if (!money.currency_code) {
+          return amount.toFixed(2);
+        }
+
+        try {
+          return new Intl.NumberFormat(document.documentElement.lang || undefined, {
+            style: 'currency',
+            currency: money.currency_code
+          }).format(amount);
+        } catch (e) {
+          return money.currency_code + ' ' + amount.toFixed(2);
+        }
+      },
+
+      /**
+       * Format a product's price range
+       * @param {Object} price - The min and max price
+       * @returns {string} The formatted price, "From ..." when variants differ
+       */
+      formatPriceRange: function(price) {
+        if (!price || !price.min) return 'Price not available';
+
+        const min = this.formatMoney(price.min);
+        return price.max && Number(price.max.amount) > Number(price.min.amount) ? 'From ' + min : min;
+      },
+
+      /**
+       * Only allow links to the store, its customer accounts, Shopify's sign-in
+       * host and hosts the merchant allowed.
+       * Applies to links written by the assistant and links in tool results.
+       * @param {string} url - The URL to check
+       * @returns {string} The URL, or an empty string when it is not allowed
+       */
+      safeUrl: function(url) {
+        if (!url) return '';
+
+        let parsed;
+        try {
+          parsed = new URL(url, window.location.origin);
+        } catch (e) {
+          return '';
+        }
+
+        if (parsed.protocol === 'mailto:' || parsed.protocol === 'tel:') {
+          return parsed.href;
+        }
+
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+          return '';
+        }
+
+        const hostname = parsed.hostname.toLowerCase();
+
+        // Only the store's own hosts and Shopify's sign-in host, never any
+        // other store on Shopify
+        const shopHosts = [window.location.hostname, ShopAIChat.config.shopDomain]
+          .filter(Boolean)
+          .map(host => String(host).trim().toLowerCase());
+        const storeHosts = shopHosts
+          .concat(shopHosts.map(host => this.getAccountHost(host)))
+          .concat(['shopify.com']);
+
+        // Merchants allow a domain including its subdomains, e.g. ups.com for www.ups.com
+        const merchantHosts = (ShopAIChat.config.allowedLinkHosts || [])
+          .map(host => String(host).trim().toLowerCase())
+          .filter(Boolean);
+
+        const isAllowed = storeHosts.includes(hostname) ||
+          merchantHosts.some(host => hostname === host || hostname.endsWith('.' + host));
+        return isAllowed ? parsed.href : '';
+      },
+
+      /**
+       * Get the customer accounts host of a store host, e.g.
+       * shop.account.myshopify.com or account.example.com
+       * @param {string} host - The store host
+       * @returns {string} The customer accounts host
+       */
+      getAccountHost: function(host) {
+        return /\.myshopify\.com$/.test(host)
+          ? host.replace(/\.myshopify\.com$/, '.account.myshopify.com')
+          : 'account.' + host.replace(/^www\./, '');
+      }
+    },
 
-        // Convert text to HTML with proper list handling
-        processedText = this.convertMarkdownToHtml(processedText);
+    /**
+     * Markdown rendering for assistant messages. Supports paragraphs, headings,
+     * emphasis, code, links, block quotes, tables and nested lists, and only
+     * ever creates text nodes and a fixed set of elements.
+     */
+    Markdown: {
+      listItemPattern: /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/,
 
-        // Apply the formatted HTML
-        element.innerHTML = processedText;
+      /**
+       * Render Markdown text
+       * @param {string} text - The Markdown text
+       * @returns {DocumentFragment} The rendered content
+       */
+      render: function(text) {
+        const fragment = document.createDocumentFragment();
+        this.appendBlocks(fragment, String(text).replace(/\r\n?/g, '\n').split('\n'));
+        return fragment;
       },
 
       /**
-       * Convert Markdown text to HTML with list support
-       * @param {string} text - Markdown text to convert
-       * @returns {string} HTML content
+       * Render block elements
+       * @param {Node} parent - The node to add the blocks to
+       * @param {Array} lines - The lines of Markdown
        */
-      convertMarkdownToHtml: function(text) {
-        text = text.replace(/(\*\*|__)(.*?)\1/g, '<strong>$2</strong>');
-        const lines = text.split('\n');
-        let currentList = null;
-        let listItems = [];
-        let htmlContent = '';
-        let startNumber = 1;
+      appendBlocks: function(parent, lines) {
+        let i = 0;
 
-        for (let i = 0; i < lines.length; i++) {
+        while (i < lines.length) {
           const line = lines[i];
-          const unorderedMatch = line.match(/^\s*([-*])\s+(.*)/);
-          const orderedMatch = line.match(/^\s*(\d+)[\.)]\s+(.*)/);
-
-          if (unorderedMatch) {
-            if (currentList !== 'ul') {
-              if (currentList === 'ol') {
-                htmlContent += `<ol start="${startNumber}">` + listItems.join('') + '</ol>';
-                listItems = [];
-              }
-              currentList = 'ul';
+
+          if (line.trim() === '') {
+            i++;
+            continue;
+          }
+
+          // Fenced code, an unclosed fence runs to the end while the message streams in
+          const fence = line.match(/^\s*(`{3,}|~{3,})/);
+          if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+              code.push(lines[i]);
+              i++;
+            }
+            i++;
+
+            const pre = document.createElement('pre');
+            pre.appendChild(this.createElement('code', code.join('\n')));
+            parent.appendChild(pre);
+            continue;
+          }
+
+          const heading = line.match(/^\s*(#{1,6})\s+(.*?)(\s+#+)?\s*$/);
+          if (heading) {
+            // Message headings stay smaller than the page's own
+            const element = document.createElement('h' + Math.min(heading[1].length + 2, 6));
+            this.appendInline(element, heading[2]);
+            parent.appendChild(element);
+            i++;
+            continue;
+          }
+
+          if (this.isRule(line)) {
+            parent.appendChild(document.createElement('hr'));
+            i++;
+            continue;
+          }
+
+          if (/^\s*>/.test(line)) {
+            const quoted = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+              quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+              i++;
             }
-            listItems.push('<li>' + unorderedMatch[2] + '</li>');
-          } else if (orderedMatch) {
-            if (currentList !== 'ol') {
-              if (currentList === 'ul') {
-                htmlContent += '<ul>' + listItems.join('') + '</ul>';
-                listItems = [];
+
+            const blockquote = document.createElement('blockquote');
+            this.appendBlocks(blockquote, quoted);
+            parent.appendChild(blockquote);
+            continue;
+          }
+
+          if (this.isTableStart(lines, i)) {
+            i = this.appendTable(parent, lines, i);
+            continue;
+          }
+
+          if (this.listItemPattern.test(line)) {
+            i = this.appendList(parent, lines, i);
+            continue;
+          }
+
+          // Lines of a paragraph keep their line breaks, as written in a chat
+          const paragraph = document.createElement('p');
+          let first = true;
+          while (i < lines.length && lines[i].trim() !== '' && (first || !this.startsBlock(lines, i))) {
+            if (!first) {
+              paragraph.appendChild(document.createElement('br'));
+            }
+            this.appendInline(paragraph, lines[i].trim());
+            first = false;
+            i++;
+          }
+          parent.appendChild(paragraph);
+        }
+      },
+
+      /**
+       * Check whether a line starts a block other than a paragraph
+       * @param {Array} lines - The lines of Markdown
+       * @param {number} index - The line to check
+       * @returns {boolean} True if the line starts a block
+       */
+      startsBlock: function(lines, index) {
+        const line = lines[index];
+        return /^\s*(`{3,}|~{3,}|#{1,6}\s|>)/.test(line) ||
+          this.isRule(line) ||
+          this.isTableStart(lines, index) ||
+          this.listItemPattern.test(line);
+      },
+
+      /**
+       * Check whether a line is a horizontal rule
+       * @param {string} line - The line to check
+       * @returns {boolean} True for ---, *** and ___
+       */
+      isRule: function(line) {
+        return /^\s*([-*_])(\s*\1){2,}\s*$/.test(line);
+      },
+
+      /**
+       * Render a list and the lists nested in it
+       * @param {Node} parent - The node to add the list to
+       * @param {Array} lines - The lines of Markdown
+       * @param {number} index - The first line of the list
+       * @returns {number} The line after the list
+       */
+      appendList: function(parent, lines, index) {
+        const first = lines[index].match(this.listItemPattern);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const list = document.createElement(ordered ? 'ol' : 'ul');
+        if (ordered && parseInt(first[2], 10) !== 1) {
+          list.start = parseInt(first[2], 10);
+        }
+
+        const leadingSpaces = line => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+        const isSameList = match => match && match[1].length === indent && /\d/.test(match[2]) === ordered;
+        let i = index;
+
+        while (i < lines.length) {
+          const match = lines[i].match(this.listItemPattern);
+          if (!isSameList(match)) break;
+
+          const contentIndent = match[1].length + match[2].length + 1;
+          const itemLines = [match[3]];
+          let loose = false;
+          i++;
+
+          // Collect continuation lines and nested blocks of the item
+          while (i < lines.length) {
+            const next = lines[i];
+
+            if (next.trim() === '') {
+              let j = i + 1;
+              while (j < lines.length && lines[j].trim() === '') j++;
+              if (j < lines.length && leadingSpaces(lines[j]) > indent) {
+                itemLines.push('');
+                loose = true;
+                i++;
+                continue;
               }
-              currentList = 'ol';
-              startNumber = parseInt(orderedMatch[1], 10);
+              break;
             }
-            listItems.push('<li>' + orderedMatch[2] + '</li>');
-          } else {
-            if (currentList) {
-              htmlContent += currentList === 'ul'
-                ? '<ul>' + listItems.join('') + '</ul>'
-                : `<ol start="${startNumber}">` + listItems.join('') + '</ol>';
-              listItems = [];
-              currentList = null;
+
+            const spaces = leadingSpaces(next);
+            if (spaces > indent) {
+              itemLines.push(next.replace(/^\s*/, whitespace => whitespace.replace(/\t/g, '    '))
+                .slice(Math.min(spaces, contentIndent)));
+              i++;
+              continue;
             }
 
-            if (line.trim() === '') {
-              htmlContent += '<br>';
-            } else {
-              htmlContent += '<p>' + line + '</p>';
+            if (this.startsBlock(lines, i)) break;
+
+            itemLines.push(next.trim());
+            i++;
+          }
+
+          list.appendChild(this.createListItem(itemLines, loose));
+
+          // Blank lines between items of the same list do not end it
+          let j = i;
+          while (j < lines.length && lines[j].trim() === '') j++;
+          if (j > i && j < lines.length && isSameList(lines[j].match(this.listItemPattern))) {
+            i = j;
+          }
+        }
+
+        parent.appendChild(list);
+        return i;
+      },
+
+      /**
+       * Render a list item. Items without blank lines are tight, their text
+       * is not wrapped in a paragraph.
+       * @param {Array} itemLines - The item's lines, relative to its content
+       * @param {boolean} loose - Whether the item contains blank lines
+       * @returns {HTMLElement} The list item
+       */
+      createListItem: function(itemLines, loose) {
+        const item = document.createElement('li');
+        const content = document.createDocumentFragment();
+        this.appendBlocks(content, itemLines);
+
+        if (!loose && content.firstChild && content.firstChild.nodeName === 'P') {
+          const paragraph = content.firstChild;
+          while (paragraph.firstChild) {
+            item.appendChild(paragraph.firstChild);
+          }
+          content.removeChild(paragraph);
+        }
+
+        item.appendChild(content);
+        return item;
+      },
+
+      /**
+       * Check whether a table starts at a line: a row followed by a delimiter row
+       * @param {Array} lines - The lines of Markdown
+       * @param {number} index - The line to check
+       * @returns {boolean} True if a table starts at the line
+       */
+      isTableStart: function(lines, index) {
+        if (index + 1 >= lines.length || !lines[index].includes('|') || !lines[index + 1].includes('|')) {
+          return false;
+        }
+
+        const delimiters = this.splitRow(lines[index + 1]);
+        return delimiters.length > 0 && delimiters.every(cell => /^:?-+:?$/.test(cell));
+      },
+
+      /**
+       * Render a table
+       * @param {Node} parent - The node to add the table to
+       * @param {Array} lines - The lines of Markdown
+       * @param {number} index - The header row
+       * @returns {number} The line after the table
+       */
+      appendTable: function(parent, lines, index) {
+        const alignments = this.splitRow(lines[index + 1]).map(cell => {
+          if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+          if (cell.endsWith(':')) return 'right';
+          return cell.startsWith(':') ? 'left' : '';
+        });
+
+        const table = document.createElement('table');
+        const head = document.createElement('thead');
+        const body = document.createElement('tbody');
+        head.appendChild(this.createTableRow(this.splitRow(lines[index]), 'th', alignments));
+        table.appendChild(head);
+
+        let i = index + 2;
+        while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|')) {
+          body.appendChild(this.createTableRow(this.splitRow(lines[i]), 'td', alignments));
+          i++;
+        }
+        table.appendChild(body);
+
+        // Wide tables scroll inside the message
+        const wrapper = document.createElement('div');
+        wrapper.classList.add('shop-ai-table-wrapper');
+        wrapper.appendChild(table);
+        parent.appendChild(wrapper);
+        return i;
+      },
+
+      /**
+       * Split a table row into its cells, keeping escaped pipes
+       * @param {string} line - The row
+       * @returns {Array} The cell texts
+       */
+      splitRow: function(line) {
+        return line.trim()
+          .replace(/^\|/, '')
+          .replace(/\|$/, '')
+          .replace(/\\\|/g, '\uE000')
+          .split('|')
+          .map(cell => cell.replace(/\uE000/g, '|').trim());
+      },
+
+      /**
+       * Create a table row
+       * @param {Array} cells - The cell texts
+       * @param {string} tagName - th or td
+       * @param {Array} alignments - The column alignments
+       * @returns {HTMLElement} The row
+       */
+      createTableRow: function(cells, tagName, alignments) {
+        const row = document.createElement('tr');
+        alignments.forEach((alignment, column) => {
+          const cell = document.createElement(tagName);
+          if (alignment) {
+            cell.style.textAlign = alignment;
+          }
+          this.appendInline(cell, cells[column] || '');
+          row.appendChild(cell);
+        });
+        return row;
+      },
+
+      /**
+       * Render inline Markdown: code, links, emphasis and line text
+       * @param {Node} parent - The node to add the content to
+       * @param {string} text - The inline Markdown
+       */
+      appendInline: function(parent, text) {
+        const rules = [
+          { type: 'escape', pattern: /\\([\\`*_{}[\]()#+\-.!~|>])/ },
+          { type: 'code', pattern: /(`+)([\s\S]*?[^`])\1(?!`)/ },
+          { type: 'image', pattern: /!\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"[^"]*")?\s*\)/ },
+          { type: 'link', pattern: /\[((?:[^[\]]|\[[^\]]*\])+)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"[^"]*")?\s*\)/ },
+          { type: 'autolink', pattern: /<((?:https?:\/\/|mailto:)[^\s>]+)>/ },
+          { type: 'url', pattern: /https?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~]/ },
+          { type: 'strong', pattern: /(\*\*|__)(?=\S)([\s\S]*?\S)\1/ },
+          { type: 'strike', pattern: /~~(?=\S)([\s\S]*?\S)~~/ },
+          { type: 'em', pattern: /(\*|_)(?=\S)([\s\S]*?\S)\1/ }
+        ];
+
+        let rest = text;
+        while (rest) {
+          // Use the rule that matches first, earlier rules win at the same position
+          let best = null;
+          for (const rule of rules) {
+            const match = rule.pattern.exec(rest);
+            if (match && (!best || match.index < best.match.index) && this.isValidMatch(rule.type, match, rest)) {
+              best = { type: rule.type, match: match };
             }
           }
+
+          if (!best) {
+            parent.appendChild(document.createTextNode(rest));
+            break;
+          }
+
+          const { type, match } = best;
+          if (match.index > 0) {
+            parent.appendChild(document.createTextNode(rest.slice(0, match.index)));
+          }
+
+          if (type === 'escape') {
+            parent.appendChild(document.createTextNode(match[1]));
+          } else if (type === 'code') {
+            parent.appendChild(this.createElement('code', match[2].trim()));
+          } else if (type === 'image') {
+            // Images are shown as links, so the assistant cannot load content into the page
+            parent.appendChild(this.createLink(match[2], element => {
+              element.appendChild(document.createTextNode(match[1] || match[2]));
+            }));
+          } else if (type === 'link') {
+            parent.appendChild(this.createLink(match[2], element => this.appendInline(element, match[1])));
+          } else if (type === 'autolink' || type === 'url') {
+            const url = type === 'autolink' ? match[1] : match[0];
+            parent.appendChild(this.createLink(url, element => {
+              element.appendChild(document.createTextNode(url.replace(/^mailto:/, '')));
+            }));
+          } else {
+            const tagName = { strong: 'strong', strike: 'del', em: 'em' }[type];
+            const element = document.createElement(tagName);
+            this.appendInline(element, type === 'strike' ? match[1] : match[2]);
+            parent.appendChild(element);
+          }
+
+          rest = rest.slice(match.index + match[0].length);
+        }
+      },
+
+      /**
+       * Reject emphasis with underscores inside words, such as snake_case names
+       * @param {string} type - The rule type
+       * @param {Array} match - The match
+       * @param {string} text - The text that was searched
+       * @returns {boolean} True if the match is emphasis or another construct
+       */
+      isValidMatch: function(type, match, text) {
+        if ((type !== 'em' && type !== 'strong') || match[1][0] !== '_') return true;
+
+        const before = text.charAt(match.index - 1);
+        const after = text.charAt(match.index + match[0].length);
+        return !/\w/.test(before) && !/\w/.test(after);
+      },
+
+      /**
+       * Create a link that follows the link policy. Sign-in links open the
+       * sign-in popup, cart links open the cart drawer, and links to hosts
+       * that are not allowed are shown as plain text.
+       * @param {string} url - The link URL
+       * @param {Function} appendLabel - Adds the link text to the element
+       * @returns {HTMLElement} The link or span element
+       */
+      createLink: function(url, appendLabel) {
+        const href = ShopAIChat.Formatting.safeUrl(url);
+        if (!href) {
+          const span = document.createElement('span');
+          appendLabel(span);
+          return span;
         }
 
-        if (currentList) {
-          htmlContent += currentList === 'ul'
-            ? '<ul>' + listItems.join('') + '</ul>'
-            : `<ol start="${startNumber}">` + listItems.join('') + '</ol>';
+        const link = document.createElement('a');
+        const parsed = new URL(href);
+
+        if (parsed.hostname === 'shopify.com' && parsed.pathname.includes('authentication')) {
+          link.href = '#auth';
+          link.classList.add('shop-auth-trigger');
+          link.dataset.authUrl = href;
+        } else if (parsed.pathname.includes('/cart') && !parsed.pathname.includes('/cart/c/') && !href.includes('checkout')) {
+          // Cart links open the cart drawer, which shows the cart and has the checkout button
+          link.href = '#cart';
+          link.classList.add('shop-ai-cart-trigger');
+        } else {
+          link.href = href;
+          link.target = '_blank';
+          link.rel = 'noopener noreferrer nofollow';
         }
 
-        htmlContent = htmlContent.replace(/<\/p><p>/g, '</p>\n<p>');
-        return htmlContent;
+        appendLabel(link);
+        return link;
+      },
+
+      /**
+       * Create an element with text content
+       * @param {string} tagName - The element's tag name
+       * @param {string} text - The text content
+       * @returns {HTMLElement} The element
+       */
+      createElement: function(tagName, text) {
+        const element = document.createElement(tagName);
+        element.textContent = text;
+        return element;
       }
     },
 
@@ -464,36 +1081,76 @@
      * API communication and data handling
      */
     API: {
+      /**
+       * Build the URL of an app endpoint. The app is reached through the shop's
+       * app proxy unless the block sets the app's own URL.
+       * @param {string} path - The endpoint path, e.g. '/chat'
+       * @param {Object} [params] - Query parameters
+       * @returns {string} The endpoint URL
+       */
+      getUrl: function(path, params) {
+        const baseUrl = (ShopAIChat.config.apiBaseUrl || '/apps/shop-chat').replace(/\/+$/, '');
+        const url = new URL(baseUrl + path, window.location.origin);
+
+        Object.keys(params || {}).forEach(function(name) {
+          url.searchParams.set(name, params[name]);
+        });
+
+        return url.toString();
+      },
+
       /**
        * Stream a response from the API
        * @param {string} userMessage - User's message text
        * @param {string} conversationId - Conversation ID for context
        * @param {HTMLElement} messagesContainer - The messages container
+       * @param {Object} [confirmation] - Decision on tool calls awaiting confirmation, sent instead of a message
        */
-      streamResponse: async function(userMessage, conversationId, messagesContainer) {
+      streamResponse: async function(userMessage, conversationId, messagesContainer, confirmation) {
         let currentMessageElement = null;
 
         try {
-          const promptType = window.shopChatConfig?.promptType || "standardAssistant";
+          const promptType = ShopAIChat.config.customPromptKey ||
+            ShopAIChat.config.promptType || "standardAssistant";
           const requestBody = JSON.stringify({
             message: userMessage,
             conversation_id: conversationId,
-            prompt_type: promptType
+            conversation_token: conversationId ? sessionStorage.getItem('shopAiConversationToken') : null,
+            prompt_type: promptType,
+            shop_domain: ShopAIChat.config.shopDomain,
+            confirmation: confirmation || undefined,
+            cart_update: userMessage ? ShopAIChat.Cart.getPendingUpdate() || undefined : undefined,
+            cart_id: ShopAIChat.Cart.getCartId() || undefined,
+            page_context: userMessage ? ShopAIChat.pageContext || undefined : undefined
           });
 
-          const streamUrl = 'https://localhost:3458/chat';
-          const shopId = window.shopId;
+          const streamUrl = this.getUrl('/chat');
 
           const response = await fetch(streamUrl, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
-              'Accept': 'text/event-stream',
-              'X-Shopify-Shop-Id': shopId
+              'Accept': 'text/event-stream'
             },
             body: requestBody
           });
 
+          // The stored conversation is no longer accepted, so start a fresh one
+          if (response.status === 403 && conversationId && !confirmation) {
+            sessionStorage.removeItem('shopAiConversationId');
+            sessionStorage.removeItem('shopAiConversationToken');
+            return this.streamResponse(userMessage, null, messagesContainer);
+          }
+
+          if (!response.ok) {
+            throw new Error('Chat request failed: ' + response.status);
+          }
+
+          // The assistant now knows about the items added with product cards
+          if (userMessage) {
+            ShopAIChat.Cart.clearPendingUpdate();
+          }
+
           const reader = response.body.getReader();
           const decoder = new TextDecoder();
           let buffer = '';
@@ -519,8 +1176,8 @@
               if (line.startsWith('data: ')) {
                 try {
                   const data = JSON.parse(line.slice(6));
-                  this.handleStreamEvent(data, currentMessageElement, messagesContainer, userMessage,
-                    (newElement) => { currentMessageElement = newElement; });
+                  currentMessageElement = this.handleStreamEvent(data, currentMessageElement,
+                    messagesContainer, userMessage);
                 } catch (e) {
                   console.error('Error parsing event data:', e, line);
                 }
@@ -541,27 +1198,28 @@
        * @param {HTMLElement} currentMessageElement - Current message element being updated
        * @param {HTMLElement} messagesContainer - The messages container
        * @param {string} userMessage - The original user message
-       * @param {Function} updateCurrentElement - Callback to update the current element reference
+       * @returns {HTMLElement} The message element that the next events update
        */
-      handleStreamEvent: function(data, currentMessageElement, messagesContainer, userMessage, updateCurrentElement) {
+      handleStreamEvent: function(data, currentMessageElement, messagesContainer, userMessage) {
         switch (data.type) {
           case 'id':
             if (data.conversation_id) {
               sessionStorage.setItem('shopAiConversationId', data.conversation_id);
+              sessionStorage.setItem('shopAiConversationToken', data.conversation_token || '');
             }
             break;
 
           case 'chunk':
             ShopAIChat.UI.removeTypingIndicator();
             currentMessageElement.dataset.rawText += data.chunk;
-            currentMessageElement.textContent = currentMessageElement.dataset.rawText;
-            ShopAIChat.UI.scrollToBottom();
+            ShopAIChat.Formatting.scheduleFormat(currentMessageElement);
             break;
 
           case 'message_complete':
             ShopAIChat.UI.removeTypingIndicator();
             ShopAIChat.Formatting.formatMessageContent(currentMessageElement);
             ShopAIChat.UI.scrollToBottom();
+            ShopAIChat.Events.emit('message', { role: 'assistant', text: currentMessageElement.dataset.rawText });
             break;
 
           case 'end_turn':
@@ -580,13 +1238,31 @@
             currentMessageElement.textContent = "Sorry, our servers are currently busy. Please try again later.";
             break;
 
+          case 'turn_limit_reached':
+            ShopAIChat.UI.removeTypingIndicator();
+            currentMessageElement.dataset.rawText += (currentMessageElement.dataset.rawText ? '\n\n' : '') + data.message;
+            ShopAIChat.Formatting.formatMessageContent(currentMessageElement);
+            ShopAIChat.UI.scrollToBottom();
+            break;
+
+          case 'response_truncated':
+            // The answer hit the output token limit, mark it as cut off
+            currentMessageElement.dataset.rawText += '…';
+            ShopAIChat.Formatting.formatMessageContent(currentMessageElement);
+            break;
+
+          case 'confirmation_required':
+            ShopAIChat.UI.removeTypingIndicator();
+            ShopAIChat.Message.addConfirmation(data, messagesContainer);
+            break;
+
           case 'auth_required':
             // Save the last user message for resuming after authentication
             sessionStorage.setItem('shopAiLastMessage', userMessage || '');
             break;
 
-          case 'product_results':
-            ShopAIChat.UI.displayProductResults(data.products);
+          case 'ui_payloads':
+            ShopAIChat.UI.displayResults(data.payloads);
             break;
 
           case 'tool_use':
@@ -606,14 +1282,15 @@
             newMessageElement.dataset.rawText = '';
             messagesContainer.appendChild(newMessageElement);
 
-            // Update the current element reference
-            updateCurrentElement(newMessageElement);
-            break;
+            // The next events update the new element
+            return newMessageElement;
 
           case 'content_block_complete':
             ShopAIChat.UI.showTypingIndicator();
             break;
         }
+
+        return currentMessageElement;
       },
 
       /**
@@ -629,15 +1306,19 @@
           loadingMessage.textContent = "Loading conversation history...";
           messagesContainer.appendChild(loadingMessage);
 
-          // Fetch history from the server
-          const historyUrl = `https://localhost:3458/chat?history=true&conversation_id=${encodeURIComponent(conversationId)}`;
-          console.log('Fetching history from:', historyUrl);
+          // Fetch history from the server, the token goes in a header to keep it out of URLs
+          const historyUrl = this.getUrl('/chat', {
+            history: 'true',
+            conversation_id: conversationId,
+            shop_domain: ShopAIChat.config.shopDomain || ''
+          });
 
           const response = await fetch(historyUrl, {
             method: 'GET',
             headers: {
               'Accept': 'application/json',
-              'Content-Type': 'application/json'
+              'Content-Type': 'application/json',
+              'X-Conversation-Token': sessionStorage.getItem('shopAiConversationToken') || ''
             },
             mode: 'cors'
           });
@@ -654,7 +1335,7 @@
 
           // No messages, show welcome message
           if (!data.messages || data.messages.length === 0) {
-            const welcomeMessage = window.shopChatConfig?.welcomeMessage || "👋 Hi there! How can I help you today?";
+            const welcomeMessage = ShopAIChat.config.welcomeMessage || "👋 Hi there! How can I help you today?";
             ShopAIChat.Message.add(welcomeMessage, 'assistant', messagesContainer);
             return;
           }
@@ -686,11 +1367,12 @@
           }
 
           // Show error and welcome message
-          const welcomeMessage = window.shopChatConfig?.welcomeMessage || "👋 Hi there! How can I help you today?";
+          const welcomeMessage = ShopAIChat.config.welcomeMessage || "👋 Hi there! How can I help you today?";
           ShopAIChat.Message.add(welcomeMessage, 'assistant', messagesContainer);
 
           // Clear the conversation ID since we couldn't fetch this conversation
           sessionStorage.removeItem('shopAiConversationId');
+          sessionStorage.removeItem('shopAiConversationToken');
         }
       }
     },
@@ -737,85 +1419,216 @@
           alert('Please allow popups for this site to authenticate with Shopify.');
         }
 
-        // Start polling for token availability
+        // Wait for the customer to finish signing in
         const conversationId = sessionStorage.getItem('shopAiConversationId');
         if (conversationId) {
-          const messagesContainer = document.querySelector('.shop-ai-chat-messages');
+          const messagesContainer = ShopAIChat.UI.elements.messagesContainer;
 
           // Add a message to indicate authentication is in progress
           ShopAIChat.Message.add("Authentication in progress. Please complete the process in the popup window.",
             'assistant', messagesContainer);
 
-          this.startTokenPolling(conversationId, messagesContainer);
+          this.waitForAuthorization(conversationId, messagesContainer, this.getCallbackOrigin(authUrl));
         }
       },
 
       /**
-       * Start polling for token availability
-       * @param {string} conversationId - Conversation ID
-       * @param {HTMLElement} messagesContainer - The messages container
+       * Reads the origin of the page the auth flow returns to
+       * @param {string} authUrl - The auth URL
+       * @returns {string|null} The origin of its redirect_uri
        */
-      startTokenPolling: function(conversationId, messagesContainer) {
-        if (!conversationId) return;
-
-        console.log('Starting token polling for conversation:', conversationId);
-        const pollingId = 'polling_' + Date.now();
-        sessionStorage.setItem('shopAiTokenPollingId', pollingId);
-
-        let attemptCount = 0;
-        const maxAttempts = 30;
+      getCallbackOrigin: function(authUrl) {
+        try {
+          return new URL(new URL(authUrl).searchParams.get('redirect_uri')).origin;
+        } catch (error) {
+          return null;
+        }
+      },
 
-        const poll = async () => {
-          if (sessionStorage.getItem('shopAiTokenPollingId') !== pollingId) {
-            console.log('Another polling session has started, stopping this one');
-            return;
+      /**
+       * Wait for the customer to finish signing in, then resume the paused turn.
+       * The callback page tells this window as soon as it loads, and long-poll
+       * requests cover popups that lost their opener.
+       * @param {string} conversationId - Conversation ID
+       * @param {HTMLElement} messagesContainer - The messages container
+       * @param {string|null} callbackOrigin - The origin of the auth callback page
+       */
+      waitForAuthorization: function(conversationId, messagesContainer, callbackOrigin) {
+        if (!conversationId) return;
+
+        console.log('Waiting for authorization of conversation:', conversationId);
+        const waitId = 'auth_' + Date.now();
+        sessionStorage.setItem('shopAiAuthWaitId', waitId);
+
+        // Authorization requests expire after ten minutes
+        const deadline = Date.now() + 10 * 60 * 1000;
+        const isCurrent = () => sessionStorage.getItem('shopAiAuthWaitId') === waitId;
+
+        const stop = () => {
+          window.removeEventListener('message', onMessage);
+          if (isCurrent()) {
+            sessionStorage.removeItem('shopAiAuthWaitId');
           }
+        };
 
-          if (attemptCount >= maxAttempts) {
-            console.log('Max polling attempts reached, stopping');
+        const finish = (data) => {
+          if (!isCurrent()) return;
+          stop();
+
+          if (data.status === 'authorized') {
+            console.log('Token available, resuming conversation');
+            ShopAIChat.Auth.setConnected(true);
+            const message = sessionStorage.getItem('shopAiLastMessage');
+
+            if (message) {
+              sessionStorage.removeItem('shopAiLastMessage');
+              ShopAIChat.Message.add("Authorization successful! I'm now continuing with your request.",
+                'assistant', messagesContainer);
+              ShopAIChat.API.streamResponse(message, conversationId, messagesContainer);
+              ShopAIChat.UI.showTypingIndicator();
+            }
             return;
           }
 
-          attemptCount++;
+          // The customer declined or the sign-in could not be completed
+          console.log('Authorization failed');
+          sessionStorage.removeItem('shopAiLastMessage');
+          ShopAIChat.Message.add((data.message || 'Signing in to your account failed.') +
+            ' You can ask me to try again at any time.', 'assistant', messagesContainer);
+        };
 
-          try {
-            const tokenUrl = 'https://localhost:3458/auth/token-status?conversation_id=' +
-              encodeURIComponent(conversationId);
-            const response = await fetch(tokenUrl);
+        const checkStatus = async (wait) => {
+          const data = await ShopAIChat.Auth.fetchTokenStatus(conversationId, wait);
+          if (data.status === 'authorized' || data.status === 'failed') {
+            finish(data);
+            return true;
+          }
+          return false;
+        };
+
+        // The message only says the flow ended, the outcome is read from the server
+        const onMessage = (event) => {
+          if (!callbackOrigin || event.origin !== callbackOrigin ||
+            !event.data || event.data.type !== 'shop-ai-chat:auth-complete') {
+            return;
+          }
+
+          checkStatus(false).catch((error) => {
+            console.error('Error checking token status:', error);
+          });
+        };
+        window.addEventListener('message', onMessage);
 
-            if (!response.ok) {
-              throw new Error('Token status check failed: ' + response.status);
+        const wait = async () => {
+          while (isCurrent() && Date.now() < deadline) {
+            try {
+              if (await checkStatus(true)) return;
+            } catch (error) {
+              console.error('Error waiting for authorization:', error);
+              await new Promise((resolve) => setTimeout(resolve, 5000));
             }
+          }
 
-            const data = await response.json();
+          console.log('Stopped waiting for authorization');
+          stop();
+        };
 
-            if (data.status === 'authorized') {
-              console.log('Token available, resuming conversation');
-              const message = sessionStorage.getItem('shopAiLastMessage');
+        wait();
+      },
 
-              if (message) {
-                sessionStorage.removeItem('shopAiLastMessage');
-                setTimeout(() => {
-                  ShopAIChat.Message.add("Authorization successful! I'm now continuing with your request.",
-                    'assistant', messagesContainer);
-                  ShopAIChat.API.streamResponse(message, conversationId, messagesContainer);
-                  ShopAIChat.UI.showTypingIndicator();
-                }, 500);
-              }
+      /**
+       * Fetch the sign-in status of a conversation
+       * @param {string} conversationId - Conversation ID
+       * @param {boolean} wait - Whether the server should hold the request until the status changes
+       * @returns {Promise<Object>} The status
+       */
+      fetchTokenStatus: async function(conversationId, wait) {
+        const params = {
+          conversation_id: conversationId,
+          shop_domain: ShopAIChat.config.shopDomain || ''
+        };
+        if (wait) {
+          params.wait = '1';
+        }
 
-              sessionStorage.removeItem('shopAiTokenPollingId');
-              return;
-            }
+        const response = await fetch(ShopAIChat.API.getUrl('/auth/token-status', params), {
+          headers: {
+            'X-Conversation-Token': sessionStorage.getItem('shopAiConversationToken') || ''
+          }
+        });
+        if (!response.ok) {
+          throw new Error('Token status check failed: ' + response.status);
+        }
 
-            console.log('Token not available yet, polling again in 10s');
-            setTimeout(poll, 10000);
-          } catch (error) {
-            console.error('Error polling for token status:', error);
-            setTimeout(poll, 10000);
+        return response.json();
+      },
+
+      /**
+       * Show the disconnect action if the customer is signed in to the conversation
+       * @param {string} conversationId - Conversation ID
+       */
+      checkConnection: async function(conversationId) {
+        try {
+          const data = await this.fetchTokenStatus(conversationId, false);
+          this.setConnected(data.status === 'authorized');
+        } catch (error) {
+          console.error('Error checking token status:', error);
+        }
+      },
+
+      /**
+       * Show or hide the disconnect action in the chat header
+       * @param {boolean} connected - Whether the customer is signed in
+       */
+      setConnected: function(connected) {
+        ShopAIChat.UI.elements.disconnectButton.hidden = !connected;
+      },
+
+      /**
+       * Disconnect the customer's account from the conversation, so the
+       * assistant continues without access to it
+       */
+      disconnect: async function() {
+        const conversationId = sessionStorage.getItem('shopAiConversationId');
+        const { disconnectButton, messagesContainer } = ShopAIChat.UI.elements;
+        if (!conversationId || !window.confirm('Disconnect your account from this chat?')) {
+          return;
+        }
+
+        disconnectButton.disabled = true;
+
+        try {
+          const response = await fetch(ShopAIChat.API.getUrl('/auth/disconnect'), {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Accept': 'application/json'
+            },
+            body: JSON.stringify({
+              conversation_id: conversationId,
+              conversation_token: sessionStorage.getItem('shopAiConversationToken') || '',
+              shop_domain: ShopAIChat.config.shopDomain || ''
+            })
+          });
+
+          if (!response.ok) {
+            throw new Error('Disconnect failed: ' + response.status);
           }
-        };
 
-        setTimeout(poll, 2000);
+          // Stop waiting for a sign-in, the server tells the assistant
+          sessionStorage.removeItem('shopAiAuthWaitId');
+          sessionStorage.removeItem('shopAiLastMessage');
+          this.setConnected(false);
+
+          ShopAIChat.Message.add("Your account has been disconnected. I no longer have access to your orders or account details.",
+            'assistant', messagesContainer);
+        } catch (error) {
+          console.error('Error disconnecting account:', error);
+          ShopAIChat.Message.add("Sorry, I couldn't disconnect your account. Please try again.",
+            'assistant', messagesContainer);
+        } finally {
+          disconnectButton.disabled = false;
+        }
       }
     },
 
@@ -840,6 +1653,7 @@
         const image = document.createElement('img');
         image.src = product.image_url || 'https://cdn.shopify.com/s/files/1/0533/2089/files/placeholder-images-image_large.png';
         image.alt = product.title;
+        image.loading = 'lazy';
         image.onerror = function() {
           // If image fails to load, use a fallback placeholder
           this.src = 'https://cdn.shopify.com/s/files/1/0533/2089/files/placeholder-images-image_large.png';
@@ -857,11 +1671,15 @@
         title.textContent = product.title;
 
         // If product has a URL, make the title a link
-        if (product.url) {
+        const productUrl = ShopAIChat.Formatting.safeUrl(product.url);
+        if (productUrl) {
           const titleLink = document.createElement('a');
-          titleLink.href = product.url;
+          titleLink.href = productUrl;
           titleLink.target = '_blank';
           titleLink.textContent = product.title;
+          titleLink.addEventListener('click', function() {
+            ShopAIChat.Events.emit('product_click', { product: product, url: productUrl });
+          });
           title.textContent = '';
           title.appendChild(titleLink);
         }
@@ -871,45 +1689,952 @@
         // Add product price
         const price = document.createElement('p');
         price.classList.add('shop-ai-product-price');
-        price.textContent = product.price;
+        price.textContent = ShopAIChat.Formatting.formatPriceRange(product.price);
         info.appendChild(price);
 
-        // Add add-to-cart button
+        // Add variant picker and add-to-cart button
+        info.appendChild(this.createPurchaseControls(product, price));
+        card.appendChild(info);
+
+        return card;
+      },
+
+      /**
+       * Create the variant picker and add-to-cart button of a product
+       * @param {Object} product - Product data with its options and variants
+       * @param {HTMLElement} price - The price element, updated with the chosen variant's price
+       * @returns {HTMLElement} The purchase controls
+       */
+      createPurchaseControls: function(product, price) {
+        const controls = document.createElement('div');
+        controls.classList.add('shop-ai-purchase-controls');
+
         const button = document.createElement('button');
         button.classList.add('shop-ai-add-to-cart');
-        button.textContent = 'Add to Cart';
         button.dataset.productId = product.id;
 
+        // Let the customer choose a variant, showing its price and availability
+        const variants = product.variants || [];
+        let selectedVariant = variants.find(variant => variant.id === product.variant_id) ||
+          variants.find(variant => variant.available !== false) || variants[0] || null;
+
+        const updateSelection = function() {
+          price.textContent = selectedVariant && selectedVariant.price
+            ? ShopAIChat.Formatting.formatMoney(selectedVariant.price)
+            : ShopAIChat.Formatting.formatPriceRange(product.price);
+
+          if (variants.length > 0 && !selectedVariant) {
+            button.disabled = true;
+            button.textContent = 'Unavailable';
+          } else if (selectedVariant ? selectedVariant.available === false : product.available === false) {
+            button.disabled = true;
+            button.textContent = 'Sold out';
+          } else {
+            button.disabled = false;
+            button.textContent = 'Add to Cart';
+          }
+        };
+
+        const picker = this.createVariantPicker(product, selectedVariant, function(variant) {
+          selectedVariant = variant;
+          updateSelection();
+        });
+        if (picker) {
+          controls.appendChild(picker);
+        }
+        updateSelection();
+
         // Add click handler for the button
-        button.addEventListener('click', function() {
-          // Send message to add this product to cart
-          const input = document.querySelector('.shop-ai-chat-input input');
-          if (input) {
-            input.value = `Add ${product.title} to my cart`;
-            // Trigger a click on the send button
-            const sendButton = document.querySelector('.shop-ai-chat-send');
-            if (sendButton) {
-              sendButton.click();
+        button.addEventListener('click', async function() {
+          // Add the chosen variant straight to the storefront cart
+          if (selectedVariant && ShopAIChat.Cart.toVariantId(selectedVariant.id)) {
+            button.disabled = true;
+            button.textContent = 'Adding...';
+
+            try {
+              await ShopAIChat.Cart.addItem(product, selectedVariant, 1);
+              button.textContent = 'Added ✓';
+            } catch (error) {
+              console.error('Error adding to cart:', error);
+              ShopAIChat.Cart.showNotice(error.message, true);
             }
+
+            setTimeout(updateSelection, 2000);
+            return;
           }
+
+          // Without a variant ID, ask the assistant to add the product instead
+          ShopAIChat.Message.send(`Add ${product.title} to my cart`, ShopAIChat.UI.elements.messagesContainer);
         });
 
-        info.appendChild(button);
-        card.appendChild(info);
+        controls.appendChild(button);
+        return controls;
+      },
 
-        return card;
+      /**
+       * Create the variant picker of a product card. Products with options get
+       * one select per option, others a single select of variant titles.
+       * @param {Object} product - Product data
+       * @param {Object} selectedVariant - The initially selected variant
+       * @param {Function} onChange - Called with the chosen variant, or null for a combination that does not exist
+       * @returns {HTMLElement|null} The picker, or null when there is nothing to choose
+       */
+      createVariantPicker: function(product, selectedVariant, onChange) {
+        const variants = product.variants || [];
+        if (variants.length < 2) return null;
+
+        const picker = document.createElement('div');
+        picker.classList.add('shop-ai-variant-picker');
+
+        const options = (product.options || []).filter(option => option.values.length > 1);
+        const useOptions = options.length > 0 && variants.every(variant => variant.options.length > 0);
+
+        if (!useOptions) {
+          const select = this.createSelect('Variant', variants.map(variant => ({
+            value: variant.id,
+            label: variant.title + (variant.available === false ? ' – sold out' : ''),
+            selected: variant === selectedVariant
+          })));
+          select.addEventListener('change', function() {
+            onChange(variants.find(variant => variant.id === select.value) || null);
+          });
+          picker.appendChild(select);
+          return picker;
+        }
+
+        const selects = options.map(option => {
+          const selectedValue = selectedVariant && selectedVariant.options.find(value => value.name === option.name);
+          return this.createSelect(option.name, option.values.map(value => ({
+            value: value,
+            label: value + (this.isValueAvailable(variants, option.name, value) ? '' : ' – sold out'),
+            selected: selectedValue && selectedValue.value === value
+          })));
+        });
+
+        selects.forEach((select, index) => {
+          select.dataset.option = options[index].name;
+          select.addEventListener('change', function() {
+            const chosen = variants.find(variant => selects.every(optionSelect => variant.options.some(value =>
+              value.name === optionSelect.dataset.option && value.value === optionSelect.value)));
+            onChange(chosen || null);
+          });
+          picker.appendChild(select);
+        });
+
+        return picker;
+      },
+
+      /**
+       * Create a labelled select for the variant picker
+       * @param {string} label - The option name
+       * @param {Array} choices - The values with their label and selection state
+       * @returns {HTMLSelectElement} The select element
+       */
+      createSelect: function(label, choices) {
+        const select = document.createElement('select');
+        select.classList.add('shop-ai-variant-select');
+        select.setAttribute('aria-label', label);
+
+        choices.forEach(choice => {
+          const optionElement = document.createElement('option');
+          optionElement.value = choice.value;
+          optionElement.textContent = choice.label;
+          optionElement.selected = Boolean(choice.selected);
+          select.appendChild(optionElement);
+        });
+
+        return select;
+      },
+
+      /**
+       * Check whether any variant with an option value is in stock
+       * @param {Array} variants - The product's variants
+       * @param {string} name - The option name
+       * @param {string} value - The option value
+       * @returns {boolean} True if a variant with the value is available
+       */
+      isValueAvailable: function(variants, name, value) {
+        return variants.some(variant => variant.available !== false &&
+          variant.options.some(option => option.name === name && option.value === value));
+      }
+    },
+
+    /**
+     * Storefront cart access through the theme's Ajax Cart API
+     */
+    Cart: {
+      // The storefront cart as returned by the Ajax Cart API
+      current: null,
+      // Checkout URL of the storefront cart, as reported by the cart tools
+      checkoutUrl: null,
+
+      /**
+       * Add a variant to the storefront cart and remember the change, so the
+       * assistant learns about it with the customer's next message
+       * @param {Object} product - Product data
+       * @param {Object} variant - The chosen variant
+       * @param {number} quantity - The quantity to add
+       * @returns {Promise<Object>} The updated cart
+       */
+      addItem: async function(product, variant, quantity) {
+        const response = await fetch(this.getRoot() + 'cart/add.js', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          body: JSON.stringify({
+            items: [{ id: Number(this.toVariantId(variant.id)), quantity: quantity }]
+          })
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(result.description || result.message || 'This item could not be added to your cart.');
+        }
+
+        const cart = await this.fetchCart();
+        this.setCart(cart);
+        const variantTitle = variant.title && variant.title !== 'Default Title' ? variant.title : '';
+
+        this.recordUpdate({
+          title: product.title,
+          variant_title: variantTitle,
+          quantity: quantity,
+          variant_id: variant.id
+        }, cart);
+
+        this.showNotice('Added ' + product.title + (variantTitle ? ' (' + variantTitle + ')' : '') + ' to your cart.');
+        this.notifyTheme();
+        ShopAIChat.Events.emit('add_to_cart', { product: product, variant: variant, quantity: quantity, cart: cart });
+
+        return cart;
+      },
+
+      /**
+       * Change the quantity of a cart line, removing it at zero
+       * @param {string} lineKey - The line's key in the Ajax Cart API
+       * @param {number} quantity - The new quantity
+       * @returns {Promise<Object>} The updated cart
+       */
+      changeQuantity: async function(lineKey, quantity) {
+        const response = await fetch(this.getRoot() + 'cart/change.js', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          body: JSON.stringify({ id: lineKey, quantity: quantity })
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(result.description || result.message || 'Your cart could not be updated.');
+        }
+
+        this.setCart(result);
+        this.recordUpdate(null, result);
+        this.notifyTheme();
+        return result;
+      },
+
+      /**
+       * Reload the storefront cart, e.g. after the assistant changed it with a cart tool
+       */
+      refresh: async function() {
+        try {
+          this.setCart(await this.fetchCart());
+        } catch (error) {
+          console.error('Error loading cart:', error);
+        }
+      },
+
+      /**
+       * Keep the drawer in sync with a cart returned by a cart tool
+       * @param {Object} cartPayload - The cart payload of the tool result
+       */
+      syncFromTools: function(cartPayload) {
+        const checkoutUrl = ShopAIChat.Formatting.safeUrl(cartPayload.checkout_url);
+        if (checkoutUrl && cartPayload.id && cartPayload.id === this.getCartId()) {
+          this.checkoutUrl = checkoutUrl;
+        }
+
+        this.refresh().then(() => this.notifyTheme());
+      },
+
+      /**
+       * Store the current cart and update the drawer
+       * @param {Object} cart - The cart from the Ajax Cart API
+       */
+      setCart: function(cart) {
+        const previousId = this.getCartId();
+        this.current = cart;
+        if (this.getCartId() !== previousId) {
+          this.checkoutUrl = null;
+        }
+
+        this.renderDrawer();
+      },
+
+      /**
+       * Let the theme refresh its own cart UI after the chat changed the cart
+       */
+      notifyTheme: function() {
+        document.dispatchEvent(new CustomEvent('shop-ai-chat:cart-updated', { detail: { cart: this.current } }));
+      },
+
+      /**
+       * Get the storefront cart's ID in the form the cart tools expect
+       * @returns {string|null} The cart GID
+       */
+      getCartId: function() {
+        return this.current && this.current.token ? 'gid://shopify/Cart/' + this.current.token : null;
+      },
+
+      /**
+       * Get the URL of the checkout for the storefront cart
+       * @returns {string} The checkout URL
+       */
+      getCheckoutUrl: function() {
+        return this.checkoutUrl || this.getRoot() + 'checkout';
+      },
+
+      /**
+       * Convert an amount in the currency's subunit, as the Ajax Cart API returns it
+       * @param {number} cents - The amount in cents
+       * @returns {Object} The amount and currency code
+       */
+      toMoney: function(cents) {
+        return {
+          amount: (cents / 100).toFixed(2),
+          currency_code: this.current ? this.current.currency : null
+        };
+      },
+
+      /**
+       * Open the cart drawer
+       */
+      openDrawer: function() {
+        const { cartDrawer } = ShopAIChat.UI.elements;
+        cartDrawer.classList.add('open');
+        cartDrawer.setAttribute('aria-hidden', 'false');
+        this.refresh();
+      },
+
+      /**
+       * Close the cart drawer
+       */
+      closeDrawer: function() {
+        const { cartDrawer } = ShopAIChat.UI.elements;
+        cartDrawer.classList.remove('open');
+        cartDrawer.setAttribute('aria-hidden', 'true');
+      },
+
+      /**
+       * Toggle the cart drawer
+       */
+      toggleDrawer: function() {
+        if (ShopAIChat.UI.elements.cartDrawer.classList.contains('open')) {
+          this.closeDrawer();
+        } else {
+          this.openDrawer();
+        }
+      },
+
+      /**
+       * Render the cart lines, discounts, subtotal and checkout button in the drawer
+       */
+      renderDrawer: function() {
+        const { cartCount, cartDrawerLines, cartDrawerFooter } = ShopAIChat.UI.elements;
+        const Results = ShopAIChat.Results;
+        const Formatting = ShopAIChat.Formatting;
+        const cart = this.current;
+        if (!cart || !cartDrawerLines) return;
+
+        cartCount.textContent = cart.item_count;
+        cartCount.hidden = cart.item_count === 0;
+
+        cartDrawerLines.textContent = '';
+        cartDrawerFooter.textContent = '';
+
+        if (!cart.items || cart.items.length === 0) {
+          cartDrawerLines.appendChild(Results.createElement('p', 'shop-ai-cart-empty', 'Your cart is empty.'));
+          return;
+        }
+
+        cart.items.forEach(item => {
+          const variantTitle = item.variant_title && item.variant_title !== 'Default Title' ? item.variant_title : '';
+          const line = Results.createLine({
+            title: item.product_title,
+            variant_title: variantTitle,
+            quantity: item.quantity,
+            image_url: item.image,
+            url: item.url
+          }, '');
+
+          // Replace the quantity text with a stepper
+          const details = line.querySelector('.shop-ai-line-details');
+          details.querySelector('.shop-ai-result-meta').textContent = variantTitle;
+          (item.line_level_discount_allocations || []).forEach(allocation => {
+            details.appendChild(Results.createElement('span', 'shop-ai-cart-discount',
+              (allocation.discount_application && allocation.discount_application.title || 'Discount') +
+              ' (−' + Formatting.formatMoney(this.toMoney(allocation.amount)) + ')'));
+          });
+          details.appendChild(this.createQuantityStepper(item));
+
+          const amount = Results.createElement('div', 'shop-ai-line-amount');
+          if (item.original_line_price > item.final_line_price) {
+            amount.appendChild(Results.createElement('s', 'shop-ai-cart-original-price',
+              Formatting.formatMoney(this.toMoney(item.original_line_price))));
+          }
+          amount.appendChild(Results.createElement('span', '', Formatting.formatMoney(this.toMoney(item.final_line_price))));
+          line.appendChild(amount);
+
+          cartDrawerLines.appendChild(line);
+        });
+
+        (cart.cart_level_discount_applications || []).forEach(discount => {
+          const row = Results.createElement('div', 'shop-ai-cart-row shop-ai-cart-discount');
+          row.appendChild(Results.createElement('span', '', discount.title || 'Discount'));
+          row.appendChild(Results.createElement('span', '', '−' + Formatting.formatMoney(this.toMoney(discount.total_allocated_amount))));
+          cartDrawerFooter.appendChild(row);
+        });
+
+        const subtotal = Results.createElement('div', 'shop-ai-result-total');
+        subtotal.appendChild(Results.createElement('span', '', 'Subtotal'));
+        subtotal.appendChild(Results.createElement('span', '', Formatting.formatMoney(this.toMoney(cart.total_price))));
+        cartDrawerFooter.appendChild(subtotal);
+        cartDrawerFooter.appendChild(Results.createElement('div', 'shop-ai-result-meta', 'Taxes and shipping are calculated at checkout.'));
+
+        const checkout = Results.createElement('a', 'shop-ai-result-button', 'Checkout');
+        checkout.href = this.getCheckoutUrl();
+        cartDrawerFooter.appendChild(checkout);
+      },
+
+      /**
+       * Create the quantity controls of a cart line
+       * @param {Object} item - The cart line from the Ajax Cart API
+       * @returns {HTMLElement} The stepper element
+       */
+      createQuantityStepper: function(item) {
+        const stepper = ShopAIChat.Results.createElement('div', 'shop-ai-quantity');
+        const decrease = ShopAIChat.Results.createElement('button', '', '−');
+        const quantity = ShopAIChat.Results.createElement('span', '', String(item.quantity));
+        const increase = ShopAIChat.Results.createElement('button', '', '+');
+        decrease.setAttribute('aria-label', item.quantity === 1 ? 'Remove' : 'Decrease quantity');
+        increase.setAttribute('aria-label', 'Increase quantity');
+
+        const change = async newQuantity => {
+          decrease.disabled = true;
+          increase.disabled = true;
+          try {
+            await this.changeQuantity(item.key, newQuantity);
+          } catch (error) {
+            console.error('Error changing quantity:', error);
+            this.showNotice(error.message, true);
+            this.renderDrawer();
+          }
+        };
+
+        decrease.addEventListener('click', () => change(item.quantity - 1));
+        increase.addEventListener('click', () => change(item.quantity + 1));
+
+        stepper.appendChild(decrease);
+        stepper.appendChild(quantity);
+        stepper.appendChild(increase);
+        return stepper;
+      },
+
+      /**
+       * Fetch the current storefront cart
+       * @returns {Promise<Object>} The cart
+       */
+      fetchCart: async function() {
+        const response = await fetch(this.getRoot() + 'cart.js', {
+          headers: { 'Accept': 'application/json' }
+        });
+
+        if (!response.ok) {
+          throw new Error('Failed to fetch cart: ' + response.status);
+        }
+
+        return response.json();
+      },
+
+      /**
+       * Get the storefront's root URL, which includes the locale path on translated stores
+       * @returns {string} The root URL ending with a slash
+       */
+      getRoot: function() {
+        return (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/';
+      },
+
+      /**
+       * Read the numeric ID the Ajax Cart API expects from a variant GID
+       * @param {string} variantId - The variant ID, e.g. gid://shopify/ProductVariant/123
+       * @returns {string|null} The numeric ID, or null if there is none
+       */
+      toVariantId: function(variantId) {
+        const numericId = String(variantId || '').split('/').pop();
+        return /^\d+$/.test(numericId) ? numericId : null;
+      },
+
+      /**
+       * Remember a cart change made in the chat until the next message is sent
+       * @param {Object|null} item - The item added with a product card, null for other changes
+       * @param {Object} cart - The cart after the change
+       */
+      recordUpdate: function(item, cart) {
+        const update = this.getPendingUpdate() || { added: [] };
+        if (item) {
+          update.added.push(item);
+        }
+        update.cart = {
+          id: this.getCartId(),
+          item_count: cart.item_count,
+          subtotal: {
+            amount: ((cart.items_subtotal_price ?? cart.total_price) / 100).toFixed(2),
+            currency_code: cart.currency
+          },
+          lines: (cart.items || []).map(function(line) {
+            return {
+              title: line.product_title,
+              variant_title: line.variant_title || '',
+              quantity: line.quantity
+            };
+          })
+        };
+        sessionStorage.setItem('shopAiCartUpdate', JSON.stringify(update));
+      },
+
+      /**
+       * Get the cart changes the assistant does not know about yet
+       * @returns {Object|null} The pending cart update
+       */
+      getPendingUpdate: function() {
+        try {
+          return JSON.parse(sessionStorage.getItem('shopAiCartUpdate'));
+        } catch (e) {
+          return null;
+        }
+      },
+
+      /**
+       * Forget the pending cart changes once they were sent
+       */
+      clearPendingUpdate: function() {
+        sessionStorage.removeItem('shopAiCartUpdate');
+      },
+
+      /**
+       * Show a short note about a cart change in the chat
+       * @param {string} text - The note
+       * @param {boolean} isError - Whether the change failed
+       */
+      showNotice: function(text, isError) {
+        const notice = document.createElement('div');
+        notice.classList.add('shop-ai-cart-notice');
+        if (isError) {
+          notice.classList.add('error');
+        }
+        notice.textContent = text;
+
+        if (!isError) {
+          const viewCart = document.createElement('a');
+          viewCart.href = '#cart';
+          viewCart.classList.add('shop-ai-cart-trigger');
+          viewCart.textContent = 'View cart';
+          notice.appendChild(document.createTextNode(' '));
+          notice.appendChild(viewCart);
+        }
+
+        ShopAIChat.UI.elements.messagesContainer.appendChild(notice);
+        ShopAIChat.UI.scrollToBottom();
       }
     },
 
+    /**
+     * Components for the UI payloads of tool results, keyed by payload type
+     */
+    Results: {
+      components: {
+        /**
+         * Create a product detail card with a picker for the product's variants
+         * @param {Object} product - The product_detail payload
+         * @returns {HTMLElement} Product detail element
+         */
+        product_detail: function(product) {
+          const Results = ShopAIChat.Results;
+          const card = Results.createElement('div', 'shop-ai-result shop-ai-product-detail');
+
+          const header = Results.createElement('div', 'shop-ai-product-detail-header');
+          if (product.image_url) {
+            const image = Results.createElement('img', 'shop-ai-product-detail-image');
+            image.src = product.image_url;
+            image.alt = product.title;
+            image.loading = 'lazy';
+            header.appendChild(image);
+          }
+
+          const summary = Results.createElement('div', 'shop-ai-product-detail-summary');
+          const titleLink = Results.createLink(product.title, product.url, 'shop-ai-result-title');
+          if (titleLink.href) {
+            titleLink.addEventListener('click', function() {
+              ShopAIChat.Events.emit('product_click', { product: product, url: titleLink.href });
+            });
+          }
+          summary.appendChild(titleLink);
+          const price = Results.createElement('div', 'shop-ai-product-price',
+            ShopAIChat.Formatting.formatPriceRange(product.price));
+          summary.appendChild(price);
+          header.appendChild(summary);
+          card.appendChild(header);
+
+          if (product.description) {
+            const description = product.description.length > 240
+              ? product.description.slice(0, 240).trim() + '…'
+              : product.description;
+            card.appendChild(Results.createElement('p', 'shop-ai-result-text', description));
+          }
+
+          card.appendChild(ShopAIChat.Product.createPurchaseControls(product, price));
+
+          return card;
+        },
+
+        /**
+         * Create a cart summary with its lines and checkout link
+         * @param {Object} cart - The cart payload
+         * @returns {HTMLElement} Cart element
+         */
+        cart: function(cart) {
+          const Results = ShopAIChat.Results;
+          const element = Results.createElement('div', 'shop-ai-result shop-ai-cart');
+          const itemCount = cart.total_quantity === 1 ? '1 item' : cart.total_quantity + ' items';
+          element.appendChild(Results.createElement('div', 'shop-ai-result-title', 'Your cart (' + itemCount + ')'));
+
+          if (cart.lines.length === 0) {
+            element.appendChild(Results.createElement('p', 'shop-ai-result-text', 'Your cart is empty.'));
+            return element;
+          }
+
+          const list = Results.createElement('ul', 'shop-ai-line-list');
+          cart.lines.forEach(function(line) {
+            list.appendChild(Results.createLine(line, ShopAIChat.Formatting.formatMoney(line.total)));
+          });
+          element.appendChild(list);
+
+          if (cart.subtotal) {
+            const subtotal = Results.createElement('div', 'shop-ai-result-total');
+            subtotal.appendChild(Results.createElement('span', '', 'Subtotal'));
+            subtotal.appendChild(Results.createElement('span', '', ShopAIChat.Formatting.formatMoney(cart.subtotal)));
+            element.appendChild(subtotal);
+          }
+
+          if (ShopAIChat.Formatting.safeUrl(cart.checkout_url)) {
+            element.appendChild(Results.createLink('Checkout', cart.checkout_url, 'shop-ai-result-button'));
+          }
+
+          return element;
+        },
+
+        /**
+         * Create an order status card
+         * @param {Object} order - The order payload
+         * @returns {HTMLElement} Order element
+         */
+        order: function(order) {
+          const Results = ShopAIChat.Results;
+          const element = Results.createElement('div', 'shop-ai-result shop-ai-order');
+
+          const header = Results.createElement('div', 'shop-ai-order-header');
+          header.appendChild(Results.createElement('span', 'shop-ai-result-title', 'Order ' + (order.name || '')));
+          header.appendChild(Results.createElement('span', 'shop-ai-order-status', Results.getOrderStatus(order)));
+          element.appendChild(header);
+
+          if (order.processed_at) {
+            const date = new Date(order.processed_at);
+            if (!isNaN(date)) {
+              element.appendChild(Results.createElement('div', 'shop-ai-result-meta', 'Placed on ' + date.toLocaleDateString()));
+            }
+          }
+
+          if (order.lines.length > 0) {
+            const list = Results.createElement('ul', 'shop-ai-line-list');
+            order.lines.forEach(function(line) {
+              list.appendChild(Results.createLine(line, ''));
+            });
+            element.appendChild(list);
+          }
+
+          if (order.total) {
+            const total = Results.createElement('div', 'shop-ai-result-total');
+            total.appendChild(Results.createElement('span', '', 'Total'));
+            total.appendChild(Results.createElement('span', '', ShopAIChat.Formatting.formatMoney(order.total)));
+            element.appendChild(total);
+          }
+
+          if (ShopAIChat.Formatting.safeUrl(order.status_url)) {
+            element.appendChild(Results.createLink('View order status', order.status_url, 'shop-ai-result-link'));
+          }
+
+          return element;
+        },
+
+        /**
+         * Create a card with answers from the shop's policies and FAQs
+         * @param {Object} policy - The policy payload
+         * @returns {HTMLElement} Policy element
+         */
+        policy: function(policy) {
+          const Results = ShopAIChat.Results;
+          const element = Results.createElement('div', 'shop-ai-result shop-ai-policy');
+
+          policy.items.forEach(function(item, index) {
+            const details = document.createElement('details');
+            details.open = index === 0;
+            details.appendChild(Results.createElement('summary', 'shop-ai-result-title', item.title));
+            details.appendChild(Results.createElement('p', 'shop-ai-result-text', item.body));
+            if (ShopAIChat.Formatting.safeUrl(item.url)) {
+              details.appendChild(Results.createLink('Read the full policy', item.url, 'shop-ai-result-link'));
+            }
+            element.appendChild(details);
+          });
+
+          return element;
+        }
+      },
+
+      /**
+       * Create an element with a class and text content
+       * @param {string} tagName - The element's tag name
+       * @param {string} className - Space separated classes
+       * @param {string} text - Optional text content
+       * @returns {HTMLElement} The element
+       */
+      createElement: function(tagName, className, text) {
+        const element = document.createElement(tagName);
+        if (className) {
+          element.className = className;
+        }
+        if (text !== undefined) {
+          element.textContent = text;
+        }
+        return element;
+      },
+
+      /**
+       * Create a link that opens in a new tab, or plain text for unsafe URLs
+       * @param {string} text - The link text
+       * @param {string} url - The link URL
+       * @param {string} className - Space separated classes
+       * @returns {HTMLElement} The link or span element
+       */
+      createLink: function(text, url, className) {
+        const href = ShopAIChat.Formatting.safeUrl(url);
+        if (!href) {
+          return this.createElement('span', className, text);
+        }
+
+        const link = this.createElement('a', className, text);
+        link.href = href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        return link;
+      },
+
+      /**
+       * Create a cart or order line
+       * @param {Object} line - The line with title, variant title, quantity and image
+       * @param {string} amount - The formatted line amount, if any
+       * @returns {HTMLElement} The line element
+       */
+      createLine: function(line, amount) {
+        const item = this.createElement('li', 'shop-ai-line');
+
+        if (line.image_url) {
+          const image = this.createElement('img', 'shop-ai-line-image');
+          image.src = line.image_url;
+          image.alt = line.title;
+          image.loading = 'lazy';
+          item.appendChild(image);
+        }
+
+        const details = this.createElement('div', 'shop-ai-line-details');
+        details.appendChild(this.createLink(line.title, line.url, 'shop-ai-line-title'));
+        const meta = line.variant_title ? line.variant_title + ' · Qty ' + line.quantity : 'Qty ' + line.quantity;
+        details.appendChild(this.createElement('span', 'shop-ai-result-meta', meta));
+        item.appendChild(details);
+
+        if (amount) {
+          item.appendChild(this.createElement('span', 'shop-ai-line-amount', amount));
+        }
+
+        return item;
+      },
+
+      /**
+       * Describe where an order is, from its fulfillment and payment status
+       * @param {Object} order - The order payload
+       * @returns {string} The status label
+       */
+      getOrderStatus: function(order) {
+        if (order.cancelled) return 'Cancelled';
+
+        const status = order.fulfillment_status || order.financial_status || '';
+        const label = status.toLowerCase().replace(/_/g, ' ');
+        return label ? label.charAt(0).toUpperCase() + label.slice(1) : 'Processing';
+      }
+    },
+
+    /**
+     * Subscriptions to the events of the public API
+     */
+    Events: {
+      names: ['message', 'product_click', 'add_to_cart'],
+      handlers: {},
+
+      /**
+       * Subscribe to an event
+       * @param {string} name - The event name
+       * @param {Function} handler - Called with the event details
+       * @returns {Function} Removes the subscription
+       */
+      on: function(name, handler) {
+        if (!this.names.includes(name)) {
+          throw new Error('Unknown ShopAIChat event: ' + name);
+        }
+        if (typeof handler !== 'function') {
+          throw new TypeError('ShopAIChat event handlers must be functions');
+        }
+
+        this.handlers[name] = (this.handlers[name] || []).concat(handler);
+        return () => this.off(name, handler);
+      },
+
+      /**
+       * Remove a subscription
+       * @param {string} name - The event name
+       * @param {Function} handler - The handler passed to on
+       */
+      off: function(name, handler) {
+        this.handlers[name] = (this.handlers[name] || []).filter(existing => existing !== handler);
+      },
+
+      /**
+       * Call the handlers of an event. A failing handler does not affect the
+       * chat or the other handlers.
+       * @param {string} name - The event name
+       * @param {Object} detail - The event details
+       */
+      emit: function(name, detail) {
+        (this.handlers[name] || []).forEach(function(handler) {
+          try {
+            handler(detail);
+          } catch (error) {
+            console.error('Error in ShopAIChat ' + name + ' handler:', error);
+          }
+        });
+      }
+    },
+
+    /**
+     * Create the API themes use to control the chat, exposed as window.ShopAIChat:
+     * - open() and close() show and hide the chat window
+     * - sendMessage(text) opens the chat and sends a message as the customer
+     * - setContext(context) describes the page the customer is viewing, e.g.
+     *   { product_id: '123', product_title: 'T-shirt' }, sent with every message
+     * - on(event, handler) subscribes to 'message', 'product_click' and
+     *   'add_to_cart', returning a function that removes the subscription
+     * - off(event, handler) removes a subscription
+     * @returns {Object} The public API
+     */
+    createPublicApi: function() {
+      const chat = this;
+
+      return Object.freeze({
+        open: function() {
+          chat.UI.openChatWindow();
+        },
+        close: function() {
+          chat.UI.closeChatWindow();
+        },
+        sendMessage: function(text) {
+          const userMessage = typeof text === 'string' ? text.trim() : '';
+          if (!userMessage) {
+            return;
+          }
+          chat.UI.openChatWindow();
+          chat.Message.send(userMessage, chat.UI.elements.messagesContainer);
+        },
+        setContext: function(context) {
+          chat.pageContext = context && typeof context === 'object' && !Array.isArray(context)
+            ? Object.assign({}, context)
+            : null;
+        },
+        on: function(name, handler) {
+          return chat.Events.on(name, handler);
+        },
+        off: function(name, handler) {
+          chat.Events.off(name, handler);
+        }
+      });
+    },
+
+    /**
+     * Read the block settings from the block's JSON config
+     * @returns {Object} The settings
+     */
+    readConfig: function() {
+      const element = document.querySelector('.shop-ai-chat-config');
+      try {
+        return (element && JSON.parse(element.textContent)) || {};
+      } catch (error) {
+        console.error('Invalid chat config:', error);
+        return {};
+      }
+    },
+
+    /**
+     * Render the chat into a shadow root of its host element, so theme styles
+     * cannot reach it
+     * @param {HTMLElement} host - The host element
+     * @returns {HTMLElement|null} The main container element
+     */
+    mount: function(host) {
+      const template = host.querySelector('.shop-ai-chat-template');
+      if (!template || host.shadowRoot) return null;
+
+      const root = host.attachShadow({ mode: 'open' });
+
+      // Keep the chat hidden until its styles have loaded
+      const stylesheet = document.createElement('link');
+      stylesheet.rel = 'stylesheet';
+      stylesheet.href = host.dataset.stylesheet;
+      host.style.display = 'none';
+      const show = () => host.style.removeProperty('display');
+      stylesheet.addEventListener('load', show);
+      stylesheet.addEventListener('error', show);
+
+      root.appendChild(stylesheet);
+      root.appendChild(template.content.cloneNode(true));
+      return root.querySelector('.shop-ai-chat-container');
+    },
+
     /**
      * Initialize the chat application
      */
     init: function() {
       // Initialize UI
-      const container = document.querySelector('.shop-ai-chat-container');
+      const host = document.querySelector('.shop-ai-chat-host');
+      const container = host && this.mount(host);
       if (!container) return;
 
-      this.UI.init(container);
+      this.config = this.readConfig();
+      this.UI.init(host, container);
+
+      // Show the storefront cart in the cart drawer
+      this.Cart.refresh();
 
       // Check for existing conversation
       const conversationId = sessionStorage.getItem('shopAiConversationId');
@@ -917,11 +2642,16 @@
       if (conversationId) {
         // Fetch conversation history
         this.API.fetchChatHistory(conversationId, this.UI.elements.messagesContainer);
+        this.Auth.checkConnection(conversationId);
       } else {
         // No previous conversation, show welcome message
-        const welcomeMessage = window.shopChatConfig?.welcomeMessage || "👋 Hi there! How can I help you today?";
+        const welcomeMessage = ShopAIChat.config.welcomeMessage || "👋 Hi there! How can I help you today?";
         this.Message.add(welcomeMessage, 'assistant', this.UI.elements.messagesContainer);
       }
+
+      // Let the theme control the chat
+      window.ShopAIChat = this.createPublicApi();
+      document.dispatchEvent(new CustomEvent('shop-ai-chat:ready', { detail: window.ShopAIChat }));
     }
   };
 
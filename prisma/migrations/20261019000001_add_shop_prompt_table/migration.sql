@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "ShopPrompt" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "promptKey" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "content" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShopPrompt_shop_promptKey_version_key" ON "ShopPrompt"("shop", "promptKey", "version");
+
+-- CreateIndex
+CREATE INDEX "ShopPrompt_shop_promptKey_idx" ON "ShopPrompt"("shop", "promptKey");
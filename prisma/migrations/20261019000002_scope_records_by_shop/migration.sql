@@ -0,0 +1,77 @@
+-- Rows created before this migration cannot be attributed to a shop. They are
+-- kept with an empty shop so that no shop-scoped query can ever return them.
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Conversation" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_Conversation" ("id", "shop", "createdAt", "updatedAt") SELECT "id", '', "createdAt", "updatedAt" FROM "Conversation";
+DROP TABLE "Conversation";
+ALTER TABLE "new_Conversation" RENAME TO "Conversation";
+CREATE INDEX "Conversation_shop_idx" ON "Conversation"("shop");
+
+CREATE TABLE "new_Message" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "conversationId" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "role" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Message_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_Message" ("id", "conversationId", "shop", "role", "content", "createdAt") SELECT "id", "conversationId", '', "role", "content", "createdAt" FROM "Message";
+DROP TABLE "Message";
+ALTER TABLE "new_Message" RENAME TO "Message";
+CREATE INDEX "Message_conversationId_idx" ON "Message"("conversationId");
+CREATE INDEX "Message_shop_idx" ON "Message"("shop");
+
+CREATE TABLE "new_CustomerToken" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "conversationId" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "accessToken" TEXT NOT NULL,
+    "refreshToken" TEXT,
+    "expiresAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_CustomerToken" ("id", "conversationId", "shop", "accessToken", "refreshToken", "expiresAt", "createdAt", "updatedAt") SELECT "id", "conversationId", '', "accessToken", "refreshToken", "expiresAt", "createdAt", "updatedAt" FROM "CustomerToken";
+DROP TABLE "CustomerToken";
+ALTER TABLE "new_CustomerToken" RENAME TO "CustomerToken";
+CREATE INDEX "CustomerToken_conversationId_idx" ON "CustomerToken"("conversationId");
+CREATE INDEX "CustomerToken_shop_idx" ON "CustomerToken"("shop");
+
+CREATE TABLE "new_CodeVerifier" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "state" TEXT NOT NULL,
+    "verifier" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" DATETIME NOT NULL
+);
+INSERT INTO "new_CodeVerifier" ("id", "state", "verifier", "shop", "createdAt", "expiresAt") SELECT "id", "state", "verifier", '', "createdAt", "expiresAt" FROM "CodeVerifier";
+DROP TABLE "CodeVerifier";
+ALTER TABLE "new_CodeVerifier" RENAME TO "CodeVerifier";
+CREATE UNIQUE INDEX "CodeVerifier_state_key" ON "CodeVerifier"("state");
+CREATE INDEX "CodeVerifier_state_idx" ON "CodeVerifier"("state");
+
+CREATE TABLE "new_CustomerAccountUrl" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "conversationId" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_CustomerAccountUrl" ("id", "conversationId", "shop", "url", "createdAt", "updatedAt") SELECT "id", "conversationId", '', "url", "createdAt", "updatedAt" FROM "CustomerAccountUrl";
+DROP TABLE "CustomerAccountUrl";
+ALTER TABLE "new_CustomerAccountUrl" RENAME TO "CustomerAccountUrl";
+CREATE UNIQUE INDEX "CustomerAccountUrl_conversationId_key" ON "CustomerAccountUrl"("conversationId");
+CREATE INDEX "CustomerAccountUrl_shop_idx" ON "CustomerAccountUrl"("shop");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
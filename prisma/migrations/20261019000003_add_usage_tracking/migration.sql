@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN "cacheReadTokens" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Conversation" ADD COLUMN "cacheWriteTokens" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Conversation" ADD COLUMN "costUsd" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "Conversation" ADD COLUMN "inputTokens" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Conversation" ADD COLUMN "outputTokens" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN "cacheReadTokens" INTEGER;
+ALTER TABLE "Message" ADD COLUMN "cacheWriteTokens" INTEGER;
+ALTER TABLE "Message" ADD COLUMN "costUsd" REAL;
+ALTER TABLE "Message" ADD COLUMN "inputTokens" INTEGER;
+ALTER TABLE "Message" ADD COLUMN "latencyMs" INTEGER;
+ALTER TABLE "Message" ADD COLUMN "model" TEXT;
+ALTER TABLE "Message" ADD COLUMN "outputTokens" INTEGER;
+
+-- CreateTable
+CREATE TABLE "ShopUsageDaily" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "date" TEXT NOT NULL,
+    "requests" INTEGER NOT NULL DEFAULT 0,
+    "inputTokens" INTEGER NOT NULL DEFAULT 0,
+    "outputTokens" INTEGER NOT NULL DEFAULT 0,
+    "cacheReadTokens" INTEGER NOT NULL DEFAULT 0,
+    "cacheWriteTokens" INTEGER NOT NULL DEFAULT 0,
+    "costUsd" REAL NOT NULL DEFAULT 0,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShopUsageDaily_shop_date_key" ON "ShopUsageDaily"("shop", "date");
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "McpServer" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "authHeaderName" TEXT,
+    "authHeaderValue" TEXT,
+    "allowedTools" TEXT NOT NULL DEFAULT '[]',
+    "namePrefix" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "McpServer_shop_idx" ON "McpServer"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "McpServer_shop_namePrefix_key" ON "McpServer"("shop", "namePrefix");
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "ToolPolicy" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "toolName" TEXT NOT NULL,
+    "hidden" BOOLEAN NOT NULL DEFAULT false,
+    "requiresConfirmation" BOOLEAN NOT NULL DEFAULT false,
+    "description" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "PendingToolConfirmation" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "conversationId" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "toolCalls" TEXT NOT NULL,
+    "toolResults" TEXT NOT NULL,
+    "toolUseOrder" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ToolPolicy_shop_toolName_key" ON "ToolPolicy"("shop", "toolName");
+
+-- CreateIndex
+CREATE INDEX "PendingToolConfirmation_conversationId_idx" ON "PendingToolConfirmation"("conversationId");
+
+-- CreateIndex
+CREATE INDEX "PendingToolConfirmation_shop_idx" ON "PendingToolConfirmation"("shop");
@@ -0,0 +1,23 @@
+-- Pending authorization requests used a state derived from the conversation
+-- ID and expire after ten minutes, so they are dropped instead of migrated
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_CodeVerifier" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "state" TEXT NOT NULL,
+    "verifier" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" DATETIME NOT NULL,
+    "consumedAt" DATETIME
+);
+DROP TABLE "CodeVerifier";
+ALTER TABLE "new_CodeVerifier" RENAME TO "CodeVerifier";
+CREATE UNIQUE INDEX "CodeVerifier_state_key" ON "CodeVerifier"("state");
+CREATE INDEX "CodeVerifier_state_idx" ON "CodeVerifier"("state");
+CREATE INDEX "CodeVerifier_conversationId_shop_idx" ON "CodeVerifier"("conversationId", "shop");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
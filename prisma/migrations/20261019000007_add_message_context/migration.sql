@@ -0,0 +1,2 @@
+-- Context sent along with a customer message, kept apart from what they wrote
+ALTER TABLE "Message" ADD COLUMN "context" TEXT;
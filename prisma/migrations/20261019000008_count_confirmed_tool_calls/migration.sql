@@ -0,0 +1,2 @@
+-- Tool calls the paused turn had made, so approved calls count towards its limit
+ALTER TABLE "PendingToolConfirmation" ADD COLUMN "toolCallsUsed" INTEGER NOT NULL DEFAULT 0;
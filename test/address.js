@@ -0,0 +1,78 @@
+/**
+ * Checks of the addresses merchant MCP servers are reached at, see
+ * app/services/address.server.js
+ */
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createAddressService } from "../app/services/address.server.js";
+
+describe("address service", () => {
+  const addressService = createAddressService();
+
+  test("accepts public IPv4 and IPv6 addresses", () => {
+    for (const address of ["8.8.8.8", "23.227.38.65", "2606:4700:4700::1111", "::ffff:8.8.8.8"]) {
+      assert.equal(addressService.isPublicAddress(address), true, address);
+    }
+  });
+
+  test("rejects loopback, private, link-local and reserved addresses", () => {
+    const addresses = [
+      "127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1",
+      "0.0.0.0", "224.0.0.1", "::1", "::", "fc00::1", "fe80::1", "64:ff9b::a9fe:a9fe"
+    ];
+    for (const address of addresses) {
+      assert.equal(addressService.isPublicAddress(address), false, address);
+    }
+  });
+
+  test("rejects private IPv4 addresses mapped to IPv6", () => {
+    assert.equal(addressService.isPublicAddress("::ffff:127.0.0.1"), false);
+    assert.equal(addressService.isPublicAddress("::ffff:7f00:1"), false);
+    assert.equal(addressService.isPublicAddress("::ffff:a9fe:a9fe"), false);
+  });
+
+  test("rejects values that are not addresses", () => {
+    assert.equal(addressService.isPublicAddress("example.com"), false);
+    assert.equal(addressService.isPublicAddress(""), false);
+  });
+
+  test("only accepts https URLs of public hosts", () => {
+    assert.equal(addressService.isPublicUrl("https://mcp.example.com/mcp"), true);
+    assert.equal(addressService.isPublicUrl("https://8.8.8.8/mcp"), true);
+
+    const urls = [
+      "http://mcp.example.com/mcp", "https://localhost/mcp", "https://app.localhost/mcp",
+      "https://127.0.0.1/mcp", "https://[::1]/mcp", "https://169.254.169.254/latest", "not a url"
+    ];
+    for (const url of urls) {
+      assert.equal(addressService.isPublicUrl(url), false, url);
+    }
+  });
+
+  test("fails lookups of host names that resolve to the app's own network", async () => {
+    const error = await lookup("localhost").then(() => null, (lookupError) => lookupError);
+
+    assert.equal(error?.code, "ENOTPUBLIC");
+  });
+
+  test("passes on lookups of public addresses", async () => {
+    assert.deepEqual(await lookup("8.8.8.8"), { address: "8.8.8.8", family: 4 });
+  });
+
+  /**
+   * Runs publicLookup like a connection does
+   * @param {string} hostname - The host name
+   * @returns {Promise<Object>} The address and its family
+   */
+  function lookup(hostname) {
+    return new Promise((resolve, reject) => {
+      addressService.publicLookup(hostname, {}, (error, address, family) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ address, family });
+        }
+      });
+    });
+  }
+});
@@ -0,0 +1,88 @@
+/**
+ * Encryption of stored secrets and key rotation, see
+ * app/services/encryption.server.js
+ */
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createEncryptionService, getEncryptionKeysFromEnv } from "../app/services/encryption.server.js";
+
+const oldKey = { id: "2025-01", secret: "old secret" };
+const newKey = { id: "2025-10", secret: "new secret" };
+
+describe("encryption service", () => {
+  test("reads back what it encrypted", () => {
+    const encryptionService = createEncryptionService([newKey]);
+    const encrypted = encryptionService.encrypt("shcat_customer-token");
+
+    assert.notEqual(encrypted, "shcat_customer-token");
+    assert.equal(encryptionService.isEncrypted(encrypted), true);
+    assert.equal(encryptionService.decrypt(encrypted), "shcat_customer-token");
+  });
+
+  test("encrypts every value with its own data key", () => {
+    const encryptionService = createEncryptionService([newKey]);
+
+    assert.notEqual(encryptionService.encrypt("same value"), encryptionService.encrypt("same value"));
+  });
+
+  test("reads values of older keys and marks them for re-encryption", () => {
+    const encrypted = createEncryptionService([oldKey]).encrypt("refresh-token");
+    const rotated = createEncryptionService([newKey, oldKey]);
+
+    assert.equal(rotated.decrypt(encrypted), "refresh-token");
+    assert.equal(rotated.isCurrent(encrypted), false);
+    assert.equal(rotated.isCurrent(rotated.encrypt("refresh-token")), true);
+  });
+
+  test("cannot read values once their key is removed", () => {
+    const encrypted = createEncryptionService([oldKey]).encrypt("refresh-token");
+
+    assert.throws(() => createEncryptionService([newKey]).decrypt(encrypted), /"2025-01" is not configured/);
+  });
+
+  test("rejects changed values and values it did not write", () => {
+    const encryptionService = createEncryptionService([newKey]);
+    const parts = encryptionService.encrypt("access-token").split(":");
+    parts[parts.length - 1] = Buffer.from("changed").toString("base64url");
+
+    assert.throws(() => encryptionService.decrypt(parts.join(":")));
+    assert.throws(() => encryptionService.decrypt("plain-token"), /not encrypted/);
+    assert.equal(encryptionService.isEncrypted("plain-token"), false);
+  });
+
+  test("rejects invalid key ids and missing keys", () => {
+    assert.throws(() => createEncryptionService([{ id: "bad id", secret: "secret" }]), /Invalid encryption key/);
+    assert.throws(() => createEncryptionService([]), /environment variable is required/);
+  });
+
+  describe("keys from the environment", () => {
+    const savedEnv = { ...process.env };
+
+    afterEach(() => {
+      for (const name of ["TOKEN_ENCRYPTION_KEYS", "TOKEN_ENCRYPTION_KEY", "SHOPIFY_API_SECRET"]) {
+        if (savedEnv[name] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = savedEnv[name];
+        }
+      }
+    });
+
+    test("reads id:secret pairs in order", () => {
+      process.env.TOKEN_ENCRYPTION_KEYS = "2025-10:new:secret, 2025-01:old secret";
+
+      assert.deepEqual(getEncryptionKeysFromEnv(), [
+        { id: "2025-10", secret: "new:secret" },
+        { id: "2025-01", secret: "old secret" }
+      ]);
+    });
+
+    test("falls back to a single default key", () => {
+      delete process.env.TOKEN_ENCRYPTION_KEYS;
+      delete process.env.TOKEN_ENCRYPTION_KEY;
+      process.env.SHOPIFY_API_SECRET = "api secret";
+
+      assert.deepEqual(getEncryptionKeysFromEnv(), [{ id: "default", secret: "api secret" }]);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Windowing and summaries of the conversation history sent to the model,
+ * see app/services/history.server.js
+ */
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createAppServer } from "./support/app-server.js";
+
+const shop = "history-test.myshopify.com";
+
+describe("history service", () => {
+  let vite, db, AppConfig, historyModule, savedHistoryConfig;
+  let summarizerCalls, summarizerFails;
+
+  // Summarizes with a fixed text, or fails when the test says so
+  const llmService = {
+    streamConversation: async ({ messages }) => {
+      summarizerCalls.push(messages);
+      if (summarizerFails) {
+        throw new Error("The model is unavailable");
+      }
+      return {
+        model: "test-model",
+        content: [{ type: "text", text: "The customer asked about snowboards." }],
+        usage: { input_tokens: 40, output_tokens: 8 }
+      };
+    }
+  };
+
+  before(async () => {
+    vite = await createAppServer();
+    db = await vite.ssrLoadModule("/test/support/db.js");
+    ({ default: AppConfig } = await vite.ssrLoadModule("/app/services/config.server.js"));
+    historyModule = await vite.ssrLoadModule("/app/services/history.server.js");
+
+    // About 400 characters of history fit, the latest 200 are always kept
+    savedHistoryConfig = { ...AppConfig.history };
+    Object.assign(AppConfig.history, { tokenBudget: 100, keepRecentTokens: 50 });
+  });
+
+  after(async () => {
+    if (AppConfig) {
+      Object.assign(AppConfig.history, savedHistoryConfig);
+    }
+    await vite?.close();
+  });
+
+  beforeEach(() => {
+    db.resetDatabase();
+    summarizerCalls = [];
+    summarizerFails = false;
+  });
+
+  test("sends a short history as stored, with the context of each message first", async () => {
+    await db.saveMessage("short", shop, "user", "Do you sell snowboards?", null, JSON.stringify(["[Cart] 1 item"]));
+    await saveAssistantText("short", "Yes, we do.");
+
+    const window = await buildWindow("short");
+
+    assert.deepEqual(window, [
+      { role: "user", content: [{ type: "text", text: "[Cart] 1 item" }, { type: "text", text: "Do you sell snowboards?" }] },
+      { role: "assistant", content: [{ type: "text", text: "Yes, we do." }] }
+    ]);
+    assert.equal(summarizerCalls.length, 0);
+  });
+
+  test("summarizes older turns once the history is over budget and cuts at a customer message", async () => {
+    await storeLongConversation("long");
+
+    const window = await buildWindow("long");
+
+    assert.equal(summarizerCalls.length, 1);
+    assert.match(summarizerCalls[0][0].content, /Customer: I am looking for a snowboard/);
+    assert.deepEqual(window.map((message) => message.role), ["user", "assistant", "user", "assistant"]);
+    assert.deepEqual(window[0].content, [
+      { type: "text", text: "[Summary of the earlier conversation]\nThe customer asked about snowboards." },
+      { type: "text", text: "Where is my order?" }
+    ]);
+    assert.equal(window[2].content[0].type, "tool_result");
+
+    const summaries = (await db.getConversationHistory("long", shop))
+      .filter((message) => message.role === historyModule.SUMMARY_ROLE);
+    assert.equal(summaries.length, 1);
+    assert.equal(summaries[0].inputTokens, 40);
+  });
+
+  test("reuses the stored summary without calling the model again", async () => {
+    await storeLongConversation("summarized");
+    const firstWindow = await buildWindow("summarized");
+
+    const secondWindow = await buildWindow("summarized");
+
+    assert.equal(summarizerCalls.length, 1);
+    assert.deepEqual(secondWindow, firstWindow);
+  });
+
+  test("sends the whole history when the summary cannot be written", async () => {
+    await storeLongConversation("unavailable");
+    summarizerFails = true;
+
+    const window = await buildWindow("unavailable");
+
+    assert.equal(window.length, 6);
+    assert.equal(window[0].content, `I am looking for a snowboard ${"x".repeat(300)}`);
+    assert.equal((await db.getConversationHistory("unavailable", shop)).length, 6);
+  });
+
+  test("adds notes to the next customer message, not to tool results", async () => {
+    await db.saveMessage("notes", shop, "user", "Show my orders");
+    await saveAssistantToolUse("notes", "toolu_1");
+    await db.saveMessage("notes", shop, historyModule.NOTE_ROLE, "The customer disconnected their account.");
+    await saveToolResult("notes", "toolu_1");
+    await saveAssistantText("notes", "You have no orders.");
+    await db.saveMessage("notes", shop, "user", "Thanks");
+
+    const window = await buildWindow("notes");
+
+    assert.equal(window[2].content[0].type, "tool_result");
+    assert.equal(window[2].content.length, 1);
+    assert.deepEqual(window[4].content, [
+      { type: "text", text: "The customer disconnected their account." },
+      { type: "text", text: "Thanks" }
+    ]);
+  });
+
+  /**
+   * Builds the window of a stored conversation
+   * @param {string} conversationId - The conversation ID
+   * @returns {Promise<Array>} Messages in Claude format
+   */
+  async function buildWindow(conversationId) {
+    return historyModule.createHistoryService(llmService).buildConversationWindow({
+      dbMessages: await db.getConversationHistory(conversationId, shop),
+      conversationId,
+      shop
+    });
+  }
+
+  /**
+   * Stores a long first turn and a second turn with a tool call
+   * @param {string} conversationId - The conversation ID
+   */
+  async function storeLongConversation(conversationId) {
+    await db.saveMessage(conversationId, shop, "user", `I am looking for a snowboard ${"x".repeat(300)}`);
+    await saveAssistantText(conversationId, `We have several snowboards ${"y".repeat(300)}`);
+    await db.saveMessage(conversationId, shop, "user", "Where is my order?");
+    await saveAssistantToolUse(conversationId, "toolu_1");
+    await saveToolResult(conversationId, "toolu_1");
+    await saveAssistantText(conversationId, "It has shipped.");
+  }
+
+  /**
+   * Stores an assistant text reply
+   * @param {string} conversationId - The conversation ID
+   * @param {string} text - The reply
+   */
+  async function saveAssistantText(conversationId, text) {
+    await db.saveMessage(conversationId, shop, "assistant", JSON.stringify([{ type: "text", text }]));
+  }
+
+  /**
+   * Stores an assistant message that calls a tool
+   * @param {string} conversationId - The conversation ID
+   * @param {string} id - The tool_use ID
+   */
+  async function saveAssistantToolUse(conversationId, id) {
+    await db.saveMessage(conversationId, shop, "assistant",
+      JSON.stringify([{ type: "tool_use", id, name: "get_order_status", input: {} }]));
+  }
+
+  /**
+   * Stores the result of a tool call
+   * @param {string} conversationId - The conversation ID
+   * @param {string} id - The tool_use ID it answers
+   */
+  async function saveToolResult(conversationId, id) {
+    await db.saveMessage(conversationId, shop, "user",
+      JSON.stringify([{ type: "tool_result", tool_use_id: id, content: [{ type: "text", text: "Shipped" }] }]));
+  }
+});
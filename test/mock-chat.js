@@ -0,0 +1,160 @@
+/**
+ * Runs the chat route end to end with the mock model provider and the
+ * scripted replies in fixtures/mock-chat.json.
+ *
+ * The route is loaded through Vite like in development, with an in-memory
+ * database, a stubbed storefront API and a test MCP server in place of the
+ * shop's, see support/app-server.js. The test signs its requests like the
+ * app proxy of an installed shop.
+ */
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { createAppServer } from "./support/app-server.js";
+import { createMcpServer } from "./support/mcp-server.js";
+
+const shop = "mock-chat-test.myshopify.com";
+
+process.env.LLM_PROVIDER = "mock";
+process.env.LLM_MOCK_SCRIPT = fileURLToPath(new URL("./fixtures/mock-chat.json", import.meta.url));
+
+describe("chat route with the mock provider", () => {
+  let vite, db, shopify, chatRoute, storefrontMcp;
+
+  before(async () => {
+    vite = await createAppServer();
+
+    db = await vite.ssrLoadModule("/test/support/db.js");
+    shopify = await vite.ssrLoadModule("/test/support/shopify.js");
+    const network = await vite.ssrLoadModule("/test/support/undici.js");
+    chatRoute = await vite.ssrLoadModule("/app/routes/chat.jsx");
+
+    shopify.installShop(shop);
+
+    storefrontMcp = createMcpServer({
+      tools: [{
+        name: "get_mock_order_status",
+        description: "Looks up the status of an order",
+        inputSchema: { type: "object", properties: { order: { type: "string" } } }
+      }],
+      callTool: (name, args) => ({ content: [{ type: "text", text: `Order ${args.order} has shipped.` }] })
+    });
+    network.serve(`https://${shop}/api/mcp`, storefrontMcp);
+    network.serve(`https://account.${shop}/customer/api/mcp`, createMcpServer({}));
+  });
+
+  after(async () => {
+    db?.resetDatabase();
+    shopify?.resetShops();
+    await vite?.close();
+  });
+
+  let conversationId, conversationToken;
+
+  test("answers CORS preflight requests", async () => {
+    const response = await chatRoute.action({
+      request: new Request(proxyUrl(), { method: "OPTIONS", headers: { Origin: `https://${shop}` } })
+    });
+
+    assert.equal(response.status, 204);
+    assert.equal(response.headers.get("Access-Control-Allow-Origin"), `https://${shop}`);
+  });
+
+  test("streams the scripted reply and issues a conversation", async () => {
+    const events = await sendMessage("Hello there");
+
+    const idEvent = events.find((event) => event.type === "id");
+    assert.ok(idEvent?.conversation_id, "the stream names the conversation");
+    ({ conversation_id: conversationId, conversation_token: conversationToken } = idEvent);
+
+    assert.equal(textOf(events), "Mock reply to: Hello there");
+    assert.equal(events[events.length - 1].type, "end_turn");
+  });
+
+  test("calls the shop's MCP server and stores the call before its result", async () => {
+    const events = await sendMessage("Where is my order?", { conversation_id: conversationId, conversation_token: conversationToken });
+
+    assert.ok(events.some((event) => event.type === "new_message"), "the tool result continues the turn");
+    assert.match(textOf(events), /I could not look up your order right now\.$/);
+    assert.deepEqual(storefrontMcp.calls, [{ name: "get_mock_order_status", arguments: { order: "#1001" } }]);
+
+    const messages = await db.getConversationHistory(conversationId, shop);
+    assert.deepEqual(messages.map((message) => message.role),
+      ["user", "assistant", "user", "assistant", "user", "assistant"]);
+
+    const [toolUse] = JSON.parse(messages[3].content).filter((block) => block.type === "tool_use");
+    const [toolResult] = JSON.parse(messages[4].content);
+    assert.equal(toolUse.name, "get_mock_order_status");
+    assert.equal(toolResult.type, "tool_result");
+    assert.equal(toolResult.tool_use_id, toolUse.id);
+    assert.match(JSON.stringify(toolResult.content), /Order #1001 has shipped\./);
+  });
+
+  test("returns the stored transcript to the widget", async () => {
+    const url = proxyUrl({ history: "true", conversation_id: conversationId });
+    const response = await chatRoute.loader({
+      request: new Request(url, { headers: { "X-Conversation-Token": conversationToken } })
+    });
+    assert.equal(response.status, 200);
+
+    const { messages } = await response.json();
+    assert.equal(messages.length, 6);
+    assert.equal(messages[0].content, "Hello there");
+  });
+
+  test("refuses the transcript without the conversation token", async () => {
+    const url = proxyUrl({ history: "true", conversation_id: conversationId });
+    const response = await chatRoute.loader({ request: new Request(url) });
+
+    assert.equal(response.status, 403);
+  });
+
+  /**
+   * Posts a customer message to the chat route and reads the whole stream
+   * @param {string} message - The customer's message
+   * @param {Object} body - More fields of the request body
+   * @returns {Promise<Array>} The stream events
+   */
+  async function sendMessage(message, body = {}) {
+    const response = await chatRoute.action({
+      request: new Request(proxyUrl(), {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "text/event-stream" },
+        body: JSON.stringify({ message, shop_domain: shop, ...body })
+      })
+    });
+    assert.equal(response.status, 200);
+
+    const text = await response.text();
+    return text
+      .split("\n\n")
+      .filter((chunk) => chunk.startsWith("data: "))
+      .map((chunk) => JSON.parse(chunk.slice("data: ".length)));
+  }
+
+  /**
+   * Builds a chat URL signed like a request through the app proxy
+   * @param {Object} params - More query parameters
+   * @returns {string} The URL
+   */
+  function proxyUrl(params = {}) {
+    const query = {
+      shop,
+      path_prefix: "/apps/shop-chat",
+      timestamp: String(Math.floor(Date.now() / 1000)),
+      ...params
+    };
+    const signature = shopify.signAppProxyQuery(query);
+
+    return `${process.env.SHOPIFY_APP_URL}/chat?${new URLSearchParams({ ...query, signature })}`;
+  }
+});
+
+/**
+ * Joins the streamed text of a turn
+ * @param {Array} events - The stream events
+ * @returns {string} The text
+ */
+function textOf(events) {
+  return events.filter((event) => event.type === "chunk").map((event) => event.chunk).join("");
+}
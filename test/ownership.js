@@ -0,0 +1,52 @@
+/**
+ * Conversation ownership tokens, see app/services/ownership.server.js
+ */
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createOwnershipService } from "../app/services/ownership.server.js";
+
+const shop = "ownership-test.myshopify.com";
+
+describe("ownership service", () => {
+  const ownershipService = createOwnershipService("test-secret");
+
+  test("accepts the token issued for a conversation", () => {
+    const conversationId = ownershipService.generateConversationId();
+    const token = ownershipService.signConversation(conversationId, shop);
+
+    assert.equal(ownershipService.verifyConversationToken(conversationId, shop, token), true);
+  });
+
+  test("generates unguessable conversation IDs", () => {
+    const conversationId = ownershipService.generateConversationId();
+
+    assert.match(conversationId, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    assert.notEqual(ownershipService.generateConversationId(), conversationId);
+  });
+
+  test("rejects the token of another conversation or shop", () => {
+    const token = ownershipService.signConversation("conversation-1", shop);
+
+    assert.equal(ownershipService.verifyConversationToken("conversation-2", shop, token), false);
+    assert.equal(ownershipService.verifyConversationToken("conversation-1", "other-shop.myshopify.com", token), false);
+  });
+
+  test("rejects tokens signed with another secret", () => {
+    const token = createOwnershipService("other-secret").signConversation("conversation-1", shop);
+
+    assert.equal(ownershipService.verifyConversationToken("conversation-1", shop, token), false);
+  });
+
+  test("rejects missing, malformed and truncated tokens", () => {
+    const token = ownershipService.signConversation("conversation-1", shop);
+
+    for (const candidate of [undefined, null, "", ["token"], token.slice(0, -1), `${token}=`]) {
+      assert.equal(ownershipService.verifyConversationToken("conversation-1", shop, candidate), false);
+    }
+    assert.equal(ownershipService.verifyConversationToken("", shop, token), false);
+  });
+
+  test("requires a secret", () => {
+    assert.throws(() => createOwnershipService(""), /CONVERSATION_TOKEN_SECRET/);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * UI payloads built from tool results, see
+ * app/services/result-renderer.server.js
+ */
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createAppServer } from "./support/app-server.js";
+
+describe("result renderer", () => {
+  let vite, resultRenderer;
+
+  before(async () => {
+    vite = await createAppServer();
+    const { createResultRendererService } = await vite.ssrLoadModule("/app/services/result-renderer.server.js");
+    resultRenderer = createResultRendererService();
+  });
+
+  after(async () => {
+    await vite?.close();
+  });
+
+  test("renders catalog results as product cards with their variants", () => {
+    const [product] = resultRenderer.render("search_shop_catalog", textResult({
+      products: [{
+        product_id: "gid://shopify/Product/1",
+        title: "Snowboard",
+        url: "https://shop.example/products/snowboard",
+        price_range: { min: "100.00", max: "120.00", currency: "CAD" },
+        options: [{ name: "Size", values: ["150", "160"] }],
+        variants: [
+          { variant_id: "gid://shopify/ProductVariant/1", title: "150", price: "100.00", currency: "CAD", available: false },
+          { variant_id: "gid://shopify/ProductVariant/2", title: "160", price: "120.00", currency: "CAD" }
+        ]
+      }]
+    }));
+
+    assert.equal(product.type, "product");
+    assert.equal(product.id, "gid://shopify/Product/1");
+    assert.deepEqual(product.price, {
+      min: { amount: "100.00", currency_code: "CAD" },
+      max: { amount: "120.00", currency_code: "CAD" }
+    });
+    assert.equal(product.available, true);
+    assert.equal(product.variant_id, "gid://shopify/ProductVariant/2");
+    assert.deepEqual(product.variants[0].options, [{ name: "Size", value: "150" }]);
+  });
+
+  test("renders carts with their lines and totals", () => {
+    const [cart] = resultRenderer.render("update_cart", {
+      structuredContent: {
+        cart: {
+          id: "gid://shopify/Cart/1",
+          checkout_url: "https://shop.example/checkout",
+          cost: { total_amount: { amount: "240.00", currency: "CAD" } },
+          lines: [{
+            id: "line-1",
+            quantity: 2,
+            cost: { total_amount: { amount: "240.00", currency: "CAD" } },
+            merchandise: { id: "gid://shopify/ProductVariant/2", title: "160", product: { title: "Snowboard" } }
+          }]
+        }
+      }
+    });
+
+    assert.equal(cart.type, "cart");
+    assert.equal(cart.total_quantity, 2);
+    assert.deepEqual(cart.total, { amount: "240.00", currency_code: "CAD" });
+    assert.deepEqual(cart.lines.map((line) => [line.title, line.variant_title, line.quantity]), [["Snowboard", "160", 2]]);
+  });
+
+  test("renders orders and policy answers", () => {
+    const [order] = resultRenderer.render("get_order_status", textResult({
+      order: { id: "gid://shopify/Order/1", name: "#1001", fulfillmentStatus: "FULFILLED", totalPrice: { amount: "50.0", currencyCode: "CAD" } }
+    }));
+    const [policy] = resultRenderer.render("search_shop_policies_and_faqs", textResult([
+      { question: "Do you ship to Canada?", answer: "Yes." },
+      { question: "Incomplete answer" }
+    ]));
+
+    assert.equal(order.type, "order");
+    assert.equal(order.name, "#1001");
+    assert.equal(order.fulfillment_status, "FULFILLED");
+    assert.deepEqual(policy, { type: "policy", items: [{ title: "Do you ship to Canada?", body: "Yes.", url: "" }] });
+  });
+
+  test("renders results of unknown tools by their shape", () => {
+    const payloads = resultRenderer.render("merchant_search", textResult({ products: [{ id: "p1", title: "Wax" }] }));
+
+    assert.deepEqual(payloads.map((payload) => [payload.type, payload.title]), [["product", "Wax"]]);
+  });
+
+  test("renders nothing for plain text and unexpected results", () => {
+    assert.deepEqual(resultRenderer.render("search_shop_catalog", { content: [{ type: "text", text: "No products found" }] }), []);
+    assert.deepEqual(resultRenderer.render("get_cart", textResult({ note: "empty" })), []);
+    assert.deepEqual(resultRenderer.render("merchant_tool", textResult({ value: 1 })), []);
+  });
+
+  test("keeps the latest payload of the same product or cart in its first position", () => {
+    const merged = resultRenderer.mergePayloads([
+      { type: "cart", id: "cart-1", total_quantity: 1 },
+      { type: "product", id: "p1", title: "Old" },
+      { type: "product", id: "p2", title: "Other" },
+      { type: "product", id: "p1", title: "New" },
+      { type: "cart", id: "cart-1", total_quantity: 2 }
+    ]);
+
+    assert.deepEqual(merged.map((payload) => payload.title || payload.total_quantity), [2, "New", "Other"]);
+  });
+
+  /**
+   * Wraps data like a tool result with a JSON text block
+   * @param {Object|Array} data - The tool's data
+   * @returns {Object} The tool result
+   */
+  function textResult(data) {
+    return { content: [{ type: "text", text: JSON.stringify(data) }] };
+  }
+});
@@ -0,0 +1,37 @@
+/**
+ * Loads app modules through Vite like in development, with the modules that
+ * reach outside the process replaced: the database, the Shopify API client
+ * and the fetch used for MCP servers. Tests run without a database or
+ * network access and share the state of the replacements through Vite.
+ */
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createServer } from "vite";
+
+const root = fileURLToPath(new URL("../..", import.meta.url));
+
+// Imports of the replaced modules and the test modules that stand in for them
+const REPLACEMENTS = [
+  { find: /^(?:\.{1,2}\/)+db\.server(?:\.js)?$/, replacement: join(root, "test/support/db.js") },
+  { find: /^(?:\.{1,2}\/)+shopify\.server(?:\.js)?$/, replacement: join(root, "test/support/shopify.js") },
+  { find: /^undici$/, replacement: join(root, "test/support/undici.js") }
+];
+
+process.env.SHOPIFY_API_KEY ||= "test-api-key";
+process.env.SHOPIFY_API_SECRET ||= "test-api-secret";
+process.env.SHOPIFY_APP_URL ||= "https://localhost";
+
+/**
+ * Creates a Vite server that loads app modules with the replacements
+ * @returns {Promise<Object>} The Vite server, close it after the tests
+ */
+export function createAppServer() {
+  return createServer({
+    root,
+    configFile: false,
+    logLevel: "error",
+    appType: "custom",
+    server: { middlewareMode: true, hmr: false },
+    resolve: { alias: REPLACEMENTS }
+  });
+}
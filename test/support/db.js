@@ -0,0 +1,153 @@
+/**
+ * Stands in for app/db.server.js with in-memory tables, so tests need no
+ * database. It has the functions the storefront routes use, with the same
+ * arguments and results. Secrets are kept as they are given, encryption is
+ * tested on its own.
+ */
+import { randomUUID } from "node:crypto";
+
+export const tables = {
+  conversations: [],
+  messages: [],
+  customerTokens: [],
+  customerAccountUrls: [],
+  mcpServers: [],
+  toolPolicies: [],
+  shopPrompts: [],
+  pendingConfirmations: []
+};
+
+/**
+ * Empties all tables
+ */
+export function resetDatabase() {
+  Object.values(tables).forEach((table) => table.splice(0));
+}
+
+export async function getConversation(conversationId, shop) {
+  return tables.conversations.find((conversation) => conversation.id === conversationId && conversation.shop === shop) || null;
+}
+
+export async function createOrUpdateConversation(conversationId, shop) {
+  const existing = tables.conversations.find((conversation) => conversation.id === conversationId);
+
+  if (existing) {
+    if (existing.shop !== shop) {
+      const error = new Error("Conversation belongs to a different shop");
+      error.status = 403;
+      throw error;
+    }
+    existing.updatedAt = new Date();
+    return existing;
+  }
+
+  const conversation = { id: conversationId, shop, createdAt: new Date(), updatedAt: new Date() };
+  tables.conversations.push(conversation);
+  return conversation;
+}
+
+export async function saveMessage(conversationId, shop, role, content, usage = null, context = null) {
+  await createOrUpdateConversation(conversationId, shop);
+
+  const message = {
+    id: randomUUID(),
+    conversationId,
+    shop,
+    role,
+    content,
+    context: usage ? null : context,
+    ...usage,
+    createdAt: new Date()
+  };
+  tables.messages.push(message);
+  return message;
+}
+
+export async function getConversationHistory(conversationId, shop) {
+  return tables.messages.filter((message) => message.conversationId === conversationId && message.shop === shop);
+}
+
+export async function storeCustomerAccountUrl(conversationId, shop, url) {
+  tables.customerAccountUrls = tables.customerAccountUrls.filter((record) => record.conversationId !== conversationId);
+  const record = { conversationId, shop, url, updatedAt: new Date() };
+  tables.customerAccountUrls.push(record);
+  return record;
+}
+
+export async function getCustomerAccountUrl(conversationId, shop) {
+  return tables.customerAccountUrls
+    .find((record) => record.conversationId === conversationId && record.shop === shop)?.url || null;
+}
+
+export async function storeCustomerToken(conversationId, shop, accessToken, expiresAt, refreshToken = null) {
+  await deleteCustomerTokens(conversationId, shop);
+  const token = { id: randomUUID(), conversationId, shop, accessToken, refreshToken, expiresAt };
+  tables.customerTokens.push(token);
+  return token;
+}
+
+export async function getCustomerToken(conversationId, shop) {
+  const token = await getCustomerTokenRecord(conversationId, shop);
+  return token && token.expiresAt > new Date() ? token : null;
+}
+
+export async function getCustomerTokenRecord(conversationId, shop) {
+  const token = tables.customerTokens.find((record) => record.conversationId === conversationId && record.shop === shop);
+  return token ? { ...token } : null;
+}
+
+export async function deleteCustomerTokens(conversationId, shop) {
+  const count = tables.customerTokens.length;
+  tables.customerTokens = tables.customerTokens
+    .filter((record) => record.conversationId !== conversationId || record.shop !== shop);
+  return count - tables.customerTokens.length;
+}
+
+export async function getShopPrompt(shop, promptKey) {
+  return tables.shopPrompts
+    .filter((prompt) => prompt.shop === shop && prompt.promptKey === promptKey)
+    .sort((a, b) => b.version - a.version)[0] || null;
+}
+
+export async function listMcpServers(shop, { enabledOnly = false } = {}) {
+  return tables.mcpServers.filter((server) => server.shop === shop && (!enabledOnly || server.enabled));
+}
+
+export async function listToolPolicies(shop) {
+  return tables.toolPolicies
+    .filter((policy) => policy.shop === shop)
+    .sort((a, b) => a.toolName.localeCompare(b.toolName));
+}
+
+export async function createPendingConfirmation(conversationId, shop, { toolCalls, toolResults, toolUseOrder, toolCallsUsed = 0 }, expiresAt) {
+  const confirmation = {
+    id: randomUUID(),
+    conversationId,
+    shop,
+    toolCalls: JSON.stringify(toolCalls),
+    toolResults: JSON.stringify(toolResults),
+    toolUseOrder: JSON.stringify(toolUseOrder),
+    toolCallsUsed,
+    createdAt: new Date(),
+    expiresAt
+  };
+  tables.pendingConfirmations.push(confirmation);
+  return confirmation;
+}
+
+export async function takePendingConfirmations(conversationId, shop, id = null) {
+  const isTaken = (confirmation) => confirmation.conversationId === conversationId &&
+    confirmation.shop === shop && (!id || confirmation.id === id);
+
+  const taken = tables.pendingConfirmations.filter(isTaken);
+  tables.pendingConfirmations = tables.pendingConfirmations.filter((confirmation) => !isTaken(confirmation));
+
+  return taken.map((confirmation) => ({
+    ...confirmation,
+    toolCalls: JSON.parse(confirmation.toolCalls),
+    toolResults: JSON.parse(confirmation.toolResults),
+    toolUseOrder: JSON.parse(confirmation.toolUseOrder)
+  }));
+}
+
+export default {};
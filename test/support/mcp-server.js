@@ -0,0 +1,61 @@
+/**
+ * A minimal MCP server for tests. It runs the initialization handshake,
+ * lists its tools and answers tool calls as server-sent events, like the
+ * storefront MCP servers do.
+ */
+
+/**
+ * Creates the request handler of an MCP server
+ * @param {Object} options - Server options
+ * @param {Array} options.tools - Tools in MCP format
+ * @param {Function} options.callTool - Receives the tool name and arguments
+ * and returns the tool result
+ * @returns {Function} Handler that receives a Request and returns a Response
+ */
+export function createMcpServer({ tools = [], callTool = () => ({ content: [] }) }) {
+  const calls = [];
+
+  const handler = async (request) => {
+    const message = await request.json();
+
+    // Notifications are acknowledged without a body
+    if (message.id === undefined) {
+      return new Response(null, { status: 202 });
+    }
+
+    switch (message.method) {
+      case "initialize":
+        return Response.json({
+          jsonrpc: "2.0",
+          id: message.id,
+          result: {
+            protocolVersion: message.params.protocolVersion,
+            capabilities: { tools: {} },
+            serverInfo: { name: "test-mcp-server", version: "1.0.0" }
+          }
+        }, { headers: { "Mcp-Session-Id": "test-session" } });
+
+      case "tools/list":
+        return Response.json({ jsonrpc: "2.0", id: message.id, result: { tools } });
+
+      case "tools/call": {
+        calls.push(message.params);
+        const result = await callTool(message.params.name, message.params.arguments);
+        const data = JSON.stringify({ jsonrpc: "2.0", id: message.id, result });
+        return new Response(`event: message\ndata: ${data}\n\n`, {
+          headers: { "Content-Type": "text/event-stream" }
+        });
+      }
+
+      default:
+        return Response.json({
+          jsonrpc: "2.0",
+          id: message.id,
+          error: { code: -32601, message: `Unknown method ${message.method}` }
+        });
+    }
+  };
+
+  handler.calls = calls;
+  return handler;
+}
@@ -0,0 +1,95 @@
+/**
+ * Stands in for app/shopify.server.js. App proxy signatures are checked the
+ * way Shopify signs them, and the storefront API answers for the shops a
+ * test has installed the app on.
+ */
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+// Installed shops and what their storefront API returns
+const shops = new Map();
+
+/**
+ * Installs the app on a shop
+ * @param {string} shop - The myshopify.com domain
+ * @param {Object} options - Storefront details
+ * @param {string} options.primaryHost - The host of the shop's primary domain
+ * @param {string} options.customerAccountUrl - The shop's customer account URL
+ */
+export function installShop(shop, { primaryHost = shop, customerAccountUrl = `https://account.${shop}` } = {}) {
+  shops.set(shop, { primaryHost, customerAccountUrl });
+}
+
+/**
+ * Uninstalls the app from all shops
+ */
+export function resetShops() {
+  shops.clear();
+}
+
+/**
+ * Signs query parameters like a request through the app proxy
+ * @param {Object} query - The query parameters
+ * @returns {string} The signature
+ */
+export function signAppProxyQuery(query) {
+  const message = Object.keys(query)
+    .sort((a, b) => a.localeCompare(b))
+    .map((key) => `${key}=${query[key]}`)
+    .join("");
+  return createHmac("sha256", process.env.SHOPIFY_API_SECRET).update(message).digest("hex");
+}
+
+export const authenticate = {
+  public: {
+    /**
+     * Verifies the signature of an app proxy request
+     * @param {Request} request - The request
+     * @returns {Promise<Object>} The offline session of the shop, if installed
+     * @throws {Response} 400 if the signature is invalid
+     */
+    appProxy: async (request) => {
+      const { signature, ...query } = Object.fromEntries(new URL(request.url).searchParams);
+      const expected = Buffer.from(signAppProxyQuery(query));
+      const actual = Buffer.from(signature || "");
+
+      if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+        throw new Response(null, { status: 400 });
+      }
+
+      return { session: shops.has(query.shop) ? { shop: query.shop, isOnline: false } : undefined };
+    }
+  }
+};
+
+export const unauthenticated = {
+  /**
+   * Gets a storefront API client for an installed shop
+   * @param {string} shop - The myshopify.com domain
+   * @returns {Promise<Object>} The client
+   * @throws {Error} If the app is not installed on the shop
+   */
+  storefront: async (shop) => {
+    const details = shops.get(shop);
+    if (!details) {
+      throw new Error(`Could not find a session for shop ${shop}`);
+    }
+
+    return {
+      storefront: {
+        graphql: async () => Response.json({
+          data: {
+            shop: {
+              primaryDomain: { host: details.primaryHost },
+              customerAccountUrl: details.customerAccountUrl
+            }
+          }
+        })
+      }
+    };
+  }
+};
+
+export default {
+  authenticate,
+  unauthenticated
+};
@@ -0,0 +1,53 @@
+/**
+ * Stands in for undici, which the MCP client uses to reach MCP servers.
+ * Requests go to the servers a test has registered; any other URL fails
+ * like an unreachable host.
+ */
+
+// Request handlers by URL
+const servers = new Map();
+
+/**
+ * Registers a server for a URL
+ * @param {string} url - The URL requests are sent to
+ * @param {Function} handler - Receives the Request and returns a Response
+ */
+export function serve(url, handler) {
+  servers.set(url, handler);
+}
+
+/**
+ * Removes all registered servers
+ */
+export function resetServers() {
+  servers.clear();
+}
+
+/**
+ * Sends a request to the server registered for its URL
+ * @param {string} url - The URL
+ * @param {Object} init - Request options, the dispatcher is ignored
+ * @returns {Promise<Response>} The server's response
+ */
+export async function fetch(url, init = {}) {
+  const { dispatcher, ...options } = init;
+  const handler = servers.get(String(url));
+  if (!handler) {
+    throw new TypeError("fetch failed");
+  }
+  return handler(new Request(url, options));
+}
+
+/**
+ * Accepts the options of undici's Agent, which no request here needs
+ */
+export class Agent {
+  constructor(options = {}) {
+    this.options = options;
+  }
+}
+
+export default {
+  Agent,
+  fetch
+};
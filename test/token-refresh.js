@@ -0,0 +1,126 @@
+/**
+ * Refreshing customer access tokens, see getCustomerAccessToken in
+ * app/auth.server.js
+ */
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createAppServer } from "./support/app-server.js";
+
+const shop = "token-test.myshopify.com";
+const conversationId = "conversation-1";
+const customerAccountUrl = "https://account.token-test.example";
+const tokenEndpoint = `${customerAccountUrl}/oauth/token`;
+const minute = 60 * 1000;
+
+describe("customer token refresh", () => {
+  let vite, db, network, auth, globalFetch;
+  let tokenRequests, tokenResponse;
+
+  before(async () => {
+    vite = await createAppServer();
+    db = await vite.ssrLoadModule("/test/support/db.js");
+    network = await vite.ssrLoadModule("/test/support/undici.js");
+    auth = await vite.ssrLoadModule("/app/auth.server.js");
+
+    // The authorization server is reached with the global fetch
+    globalFetch = global.fetch;
+    global.fetch = network.fetch;
+  });
+
+  after(async () => {
+    global.fetch = globalFetch;
+    await vite?.close();
+  });
+
+  beforeEach(async () => {
+    db.resetDatabase();
+    network.resetServers();
+    tokenRequests = [];
+    tokenResponse = () => Response.json({ access_token: "new-access", refresh_token: "new-refresh", expires_in: 3600 });
+
+    await db.storeCustomerAccountUrl(conversationId, shop, customerAccountUrl);
+    network.serve(`${customerAccountUrl}/.well-known/oauth-authorization-server`,
+      () => Response.json({ token_endpoint: tokenEndpoint }));
+    network.serve(tokenEndpoint, async (request) => {
+      tokenRequests.push(Object.fromEntries(new URLSearchParams(await request.text())));
+      return tokenResponse();
+    });
+  });
+
+  test("returns a token that is not about to expire as it is", async () => {
+    await storeToken({ expiresIn: 60 * minute });
+
+    assert.equal(await auth.getCustomerAccessToken(conversationId, shop), "current-access");
+    assert.equal(tokenRequests.length, 0);
+  });
+
+  test("refreshes a token about to expire and stores the rotated refresh token", async () => {
+    await storeToken({ expiresIn: minute });
+
+    assert.equal(await auth.getCustomerAccessToken(conversationId, shop), "new-access");
+    assert.equal(tokenRequests.length, 1);
+    assert.equal(tokenRequests[0].grant_type, "refresh_token");
+    assert.equal(tokenRequests[0].refresh_token, "current-refresh");
+
+    const stored = await db.getCustomerTokenRecord(conversationId, shop);
+    assert.equal(stored.accessToken, "new-access");
+    assert.equal(stored.refreshToken, "new-refresh");
+  });
+
+  test("keeps the refresh token when the server does not rotate it", async () => {
+    await storeToken({ expiresIn: -minute });
+    tokenResponse = () => Response.json({ access_token: "new-access", expires_in: 3600 });
+
+    assert.equal(await auth.getCustomerAccessToken(conversationId, shop), "new-access");
+    assert.equal((await db.getCustomerTokenRecord(conversationId, shop)).refreshToken, "current-refresh");
+  });
+
+  test("shares one refresh between concurrent calls", async () => {
+    await storeToken({ expiresIn: minute });
+
+    const tokens = await Promise.all([1, 2, 3].map(() => auth.getCustomerAccessToken(conversationId, shop)));
+
+    assert.deepEqual(tokens, ["new-access", "new-access", "new-access"]);
+    assert.equal(tokenRequests.length, 1);
+  });
+
+  test("refreshes a token the MCP server rejected, even if it has not expired", async () => {
+    await storeToken({ expiresIn: 60 * minute });
+
+    assert.equal(await auth.getCustomerAccessToken(conversationId, shop, "current-access"), "new-access");
+    assert.equal(tokenRequests.length, 1);
+  });
+
+  test("deletes the tokens once the grant is revoked", async () => {
+    await storeToken({ expiresIn: minute });
+    tokenResponse = () => Response.json({ error: "invalid_grant" }, { status: 400 });
+
+    assert.equal(await auth.getCustomerAccessToken(conversationId, shop), null);
+    assert.equal(await db.getCustomerTokenRecord(conversationId, shop), null);
+  });
+
+  test("keeps using a valid token while the authorization server fails", async () => {
+    await storeToken({ expiresIn: minute });
+    tokenResponse = () => new Response("Unavailable", { status: 503 });
+
+    assert.equal(await auth.getCustomerAccessToken(conversationId, shop), "current-access");
+    assert.equal((await db.getCustomerTokenRecord(conversationId, shop)).accessToken, "current-access");
+  });
+
+  test("asks the customer to log in when an expired token cannot be refreshed", async () => {
+    await storeToken({ expiresIn: -minute, refreshToken: null });
+
+    assert.equal(await auth.getCustomerAccessToken(conversationId, shop), null);
+    assert.equal(tokenRequests.length, 0);
+  });
+
+  /**
+   * Stores the customer token of the conversation
+   * @param {Object} options - Token options
+   * @param {number} options.expiresIn - Milliseconds until the access token expires
+   * @param {string|null} options.refreshToken - The refresh token
+   */
+  async function storeToken({ expiresIn, refreshToken = "current-refresh" }) {
+    await db.storeCustomerToken(conversationId, shop, "current-access", new Date(Date.now() + expiresIn), refreshToken);
+  }
+});